@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Report or delete stored files that no artwork references.
+ *
+ * Every file in each bucket listed in `BUCKET_KEYS` (src/storage/gridfs.js:
+ * originals, protected, masks, derivatives, renders and resumable-upload
+ * staging) of each configured storage driver is cross-referenced against
+ * `artworks_meta.formats.*.fileId`, open upload sessions, shared blobs and the
+ * render cache. Files younger than the grace period are left alone. The run
+ * summary shows up in `/health`.
+ *
+ * Usage: node scripts/collect-orphans.js [--config=config/runtime.json] [--dry-run]
+ *          [--grace-hours=N]
+ */
+
+const logger = require('../src/config/logger');
+const { connectMongo, disconnectMongo } = require('../src/config/mongo');
+const { ensureIndexes } = require('../src/config/indexes');
+const { collectOrphanedFiles } = require('../src/services/orphan-gc.service');
+
+const dryRun = process.argv.includes('--dry-run');
+const graceArg = process.argv.find((arg) => arg.startsWith('--grace-hours='));
+const graceHours = graceArg ? Number(graceArg.slice('--grace-hours='.length)) : undefined;
+
+(async () => {
+  if (graceArg && !(graceHours >= 1)) {
+    logger.error('--grace-hours must be a number of at least 1');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await connectMongo();
+    await ensureIndexes();
+
+    const summary = await collectOrphanedFiles({ dryRun, graceHours });
+    if (summary.errors.length > 0) {
+      logger.warn({ errors: summary.errors }, 'Some storage buckets or files could not be processed');
+      process.exitCode = 1;
+    }
+    logger.info(
+      {
+        dryRun,
+        graceHours: summary.graceHours,
+        scanned: summary.scanned,
+        orphans: summary.orphans,
+        orphanBytes: summary.orphanBytes,
+        deleted: summary.deleted,
+        bytesReclaimed: summary.bytesReclaimed,
+        buckets: summary.buckets,
+      },
+      dryRun ? 'Orphaned file scan complete' : 'Orphaned file collection complete',
+    );
+  } catch (error) {
+    logger.error({ err: error }, 'Orphaned file collection failed');
+    process.exitCode = 1;
+  } finally {
+    try {
+      await disconnectMongo();
+    } catch (disconnectError) {
+      logger.error({ err: disconnectError }, 'Failed to disconnect from MongoDB');
+    }
+  }
+})();
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Collapse duplicate GridFS files into content-addressed blobs.
+ *
+ * Every artwork format that shares a bucket and checksum is repointed at a
+ * single surviving file, the other copies are deleted and the blob reference
+ * counts are rebuilt. Re-running it is safe. Pause uploads and deletes while
+ * it runs, since reference counts are recomputed from the artworks.
+ *
+ * Usage: node scripts/dedupe-blobs.js [--config=config/runtime.json] [--dry-run]
+ */
+
+const logger = require('../src/config/logger');
+const { connectMongo, disconnectMongo } = require('../src/config/mongo');
+const { ensureIndexes } = require('../src/config/indexes');
+const { collapseDuplicateBlobs } = require('../src/services/blob.service');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  try {
+    await connectMongo();
+    await ensureIndexes();
+
+    const summary = await collapseDuplicateBlobs({ dryRun });
+    if (summary.fileErrors.length > 0) {
+      logger.warn({ fileErrors: summary.fileErrors }, 'Some duplicate files could not be deleted');
+    }
+    logger.info(
+      {
+        dryRun,
+        blobs: summary.blobs,
+        duplicateFiles: summary.duplicateFiles,
+        bytesReclaimed: summary.bytesReclaimed,
+        artworksUpdated: summary.artworksUpdated,
+        missingFiles: summary.missingFiles,
+      },
+      dryRun ? 'Blob deduplication dry run complete' : 'Blob deduplication complete',
+    );
+  } catch (error) {
+    logger.error({ err: error }, 'Blob deduplication failed');
+    process.exitCode = 1;
+  } finally {
+    try {
+      await disconnectMongo();
+    } catch (disconnectError) {
+      logger.error({ err: disconnectError }, 'Failed to disconnect from MongoDB');
+    }
+  }
+})();
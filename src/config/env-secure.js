@@ -127,6 +127,59 @@ function getAuthSecret() {
   return secret;
 }
 
+// Optional secrets that sign something of their own, and the purpose their
+// fallback key is derived from BETTER_AUTH_SECRET with
+const SIGNING_SECRETS = {
+  URL_SIGNING_SECRET: 'signed-url',
+  PROVENANCE_SIGNING_SECRET: 'provenance',
+};
+
+/**
+ * Get a dedicated HMAC key for one purpose
+ * Uses the key in `envName` when set, otherwise derives one from
+ * BETTER_AUTH_SECRET so no two purposes (or sessions) share a key
+ * @param {string} envName - Environment variable that may hold the key
+ * @param {string} purpose - Label the derived key is bound to
+ * @returns {Buffer} HMAC key
+ * @throws {Error} If the variable is set but shorter than 32 characters, or neither secret is usable
+ */
+function requireSecret(envName, purpose) {
+  const secret = process.env[envName];
+
+  if (secret === undefined || secret === '') {
+    return crypto
+      .createHmac('sha256', getAuthSecret())
+      .update(`artorize:${purpose}`)
+      .digest();
+  }
+
+  if (secret.length < 32) {
+    throw new Error(
+      `${envName} must be at least 32 characters long, got ${secret.length} characters. ` +
+      'Generate with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"'
+    );
+  }
+
+  return Buffer.from(secret, 'utf8');
+}
+
+/**
+ * Get the secret used to sign download URLs (URL_SIGNING_SECRET)
+ * @returns {Buffer} HMAC key for signed URLs
+ */
+function getUrlSigningSecret() {
+  return requireSecret('URL_SIGNING_SECRET', SIGNING_SECRETS.URL_SIGNING_SECRET);
+}
+
+/**
+ * Get the secret used to sign provenance manifests embedded in protected
+ * images (PROVENANCE_SIGNING_SECRET)
+ * @returns {Buffer} HMAC key for provenance manifests
+ */
+function getProvenanceSigningSecret() {
+  return requireSecret('PROVENANCE_SIGNING_SECRET', SIGNING_SECRETS.PROVENANCE_SIGNING_SECRET);
+}
+
 /**
  * Validate OAuth provider credentials
  * @param {string} provider - OAuth provider name (e.g., 'Google', 'GitHub')
@@ -248,6 +301,16 @@ function validateSecureEnv() {
     errors.push(error.message);
   }
 
+  // Unset signing secrets fall back to BETTER_AUTH_SECRET, checked above
+  for (const [envName, purpose] of Object.entries(SIGNING_SECRETS)) {
+    if (!process.env[envName]) continue;
+    try {
+      requireSecret(envName, purpose);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
   try {
     validateAppBaseUrl();
   } catch (error) {
@@ -279,4 +342,7 @@ module.exports = {
   validateAppBaseUrl,
   getEncryptionKeyBuffer,
   getAuthSecret,
+  requireSecret,
+  getUrlSigningSecret,
+  getProvenanceSigningSecret,
 };
@@ -2,6 +2,10 @@ const fs = require('fs');
 const path = require('path');
 
 const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/runtime.json');
+const STORAGE_DRIVERS = ['gridfs', 'fs', 's3'];
+const DERIVATIVE_FORMATS = ['webp', 'avif'];
+// Derivative sizes become variant names, so they must not shadow the stored variants
+const RESERVED_VARIANTS = ['original', 'protected', 'mask'];
 
 let cachedConfig;
 
@@ -56,6 +60,94 @@ function normaliseConfig(rawConfig, configPath) {
     throw new Error(`Invalid port value in configuration: ${rawConfig.port}`);
   }
 
+  const retentionDays = rawConfig.trash?.retentionDays;
+  if (retentionDays !== undefined && (typeof retentionDays !== 'number' || retentionDays < 0)) {
+    throw new Error(`Invalid trash.retentionDays value in configuration: ${retentionDays}`);
+  }
+
+  const resumableMaxBytes = rawConfig.uploads?.resumableMaxBytes;
+  if (resumableMaxBytes !== undefined && (!Number.isInteger(resumableMaxBytes) || resumableMaxBytes <= 0)) {
+    throw new Error(`Invalid uploads.resumableMaxBytes value in configuration: ${resumableMaxBytes}`);
+  }
+
+  for (const key of ['sanitizeImages', 'validateConsistency', 'embedProvenance']) {
+    const value = rawConfig.uploads?.[key];
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new Error(`Invalid uploads.${key} value in configuration: ${value}`);
+    }
+  }
+
+  const storageDriver = rawConfig.storage?.driver ?? 'gridfs';
+  if (!STORAGE_DRIVERS.includes(storageDriver)) {
+    throw new Error(`Invalid storage.driver value in configuration: ${storageDriver}`);
+  }
+
+  const s3Config = rawConfig.storage?.s3;
+  if (s3Config !== undefined && (!s3Config?.endpoint || !s3Config?.bucket)) {
+    throw new Error('Configuration storage.s3 requires endpoint and bucket.');
+  }
+  if (storageDriver === 's3' && !s3Config) {
+    throw new Error('Configuration is missing storage.s3 for the s3 storage driver.');
+  }
+
+  const idempotencyTtlHours = rawConfig.idempotency?.ttlHours;
+  if (idempotencyTtlHours !== undefined && (typeof idempotencyTtlHours !== 'number' || idempotencyTtlHours <= 0)) {
+    throw new Error(`Invalid idempotency.ttlHours value in configuration: ${idempotencyTtlHours}`);
+  }
+
+  const orphanGraceHours = rawConfig.orphans?.graceHours;
+  if (orphanGraceHours !== undefined && (typeof orphanGraceHours !== 'number' || orphanGraceHours < 1)) {
+    throw new Error(`Invalid orphans.graceHours value in configuration: ${orphanGraceHours}`);
+  }
+
+  const orphanAutoDelete = rawConfig.orphans?.autoDelete;
+  if (orphanAutoDelete !== undefined && typeof orphanAutoDelete !== 'boolean') {
+    throw new Error(`Invalid orphans.autoDelete value in configuration: ${orphanAutoDelete}`);
+  }
+
+  const derivativeSizes = rawConfig.derivatives?.sizes;
+  if (derivativeSizes !== undefined) {
+    const entries = derivativeSizes && typeof derivativeSizes === 'object' ? Object.entries(derivativeSizes) : [];
+    const invalid = entries.length === 0 || entries.some(([name, size]) => !/^[a-z][a-z0-9]{0,19}$/u.test(name)
+      || RESERVED_VARIANTS.includes(name)
+      || !Number.isInteger(size) || size < 16 || size > 8192);
+    if (invalid) {
+      throw new Error(`Invalid derivatives.sizes value in configuration: ${JSON.stringify(derivativeSizes)}`);
+    }
+  }
+
+  const derivativeFormats = rawConfig.derivatives?.formats;
+  if (derivativeFormats !== undefined && (!Array.isArray(derivativeFormats)
+    || derivativeFormats.length === 0
+    || derivativeFormats.some((format) => !DERIVATIVE_FORMATS.includes(format)))) {
+    throw new Error(`Invalid derivatives.formats value in configuration: ${JSON.stringify(derivativeFormats)}`);
+  }
+
+  const derivativeQuality = rawConfig.derivatives?.quality;
+  if (derivativeQuality !== undefined
+    && (!Number.isInteger(derivativeQuality) || derivativeQuality < 1 || derivativeQuality > 100)) {
+    throw new Error(`Invalid derivatives.quality value in configuration: ${derivativeQuality}`);
+  }
+
+  const derivativesOnUpload = rawConfig.derivatives?.onUpload;
+  if (derivativesOnUpload !== undefined && typeof derivativesOnUpload !== 'boolean') {
+    throw new Error(`Invalid derivatives.onUpload value in configuration: ${derivativesOnUpload}`);
+  }
+
+  const renderSizes = rawConfig.renders?.sizes;
+  if (renderSizes !== undefined && (!Array.isArray(renderSizes)
+    || renderSizes.length === 0
+    || renderSizes.some((size) => !Number.isInteger(size) || size < 1 || size > 8192))) {
+    throw new Error(`Invalid renders.sizes value in configuration: ${JSON.stringify(renderSizes)}`);
+  }
+
+  for (const key of ['maxPixels', 'cacheMaxBytes', 'maxQueue']) {
+    const value = rawConfig.renders?.[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0 || (key === 'maxPixels' && value === 0))) {
+      throw new Error(`Invalid renders.${key} value in configuration: ${value}`);
+    }
+  }
+
   const config = {
     env: environment,
     port,
@@ -78,6 +170,51 @@ function normaliseConfig(rawConfig, configPath) {
         blockhash16: 0.7,
       },
     },
+    trash: {
+      retentionDays: rawConfig.trash?.retentionDays ?? 30,
+    },
+    uploads: {
+      resumableMaxBytes: rawConfig.uploads?.resumableMaxBytes ?? 1024 * 1024 * 1024,
+      sanitizeImages: rawConfig.uploads?.sanitizeImages ?? false,
+      validateConsistency: rawConfig.uploads?.validateConsistency ?? true,
+      embedProvenance: rawConfig.uploads?.embedProvenance ?? false,
+    },
+    idempotency: {
+      ttlHours: rawConfig.idempotency?.ttlHours ?? 24,
+    },
+    orphans: {
+      graceHours: orphanGraceHours ?? 24,
+      autoDelete: orphanAutoDelete ?? false,
+    },
+    derivatives: {
+      sizes: derivativeSizes ?? { thumb: 256, small: 640, medium: 1280 },
+      formats: derivativeFormats ? [...new Set(derivativeFormats)] : ['webp', 'avif'],
+      quality: derivativeQuality ?? 80,
+      onUpload: derivativesOnUpload ?? false,
+    },
+    renders: {
+      sizes: renderSizes
+        ? [...new Set(renderSizes)].sort((a, b) => a - b)
+        : [64, 128, 256, 320, 480, 640, 800, 1024, 1280, 1600, 1920, 2048],
+      maxPixels: rawConfig.renders?.maxPixels ?? 2048 * 2048,
+      cacheMaxBytes: rawConfig.renders?.cacheMaxBytes ?? 1024 * 1024 * 1024,
+      maxQueue: rawConfig.renders?.maxQueue ?? 32,
+    },
+    storage: {
+      driver: storageDriver,
+      fs: {
+        root: path.resolve(process.cwd(), rawConfig.storage?.fs?.root ?? 'data/storage'),
+      },
+      s3: s3Config
+        ? {
+          endpoint: s3Config.endpoint,
+          bucket: s3Config.bucket,
+          region: s3Config.region ?? 'us-east-1',
+          prefix: s3Config.prefix ?? '',
+          forcePathStyle: s3Config.forcePathStyle ?? true,
+        }
+        : null,
+    },
   };
 
   return config;
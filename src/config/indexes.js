@@ -8,6 +8,9 @@ async function ensureIndexes() {
     db.collection('artworks_meta').createIndex({ tags: 1 }),
     db.collection('artworks_meta').createIndex({ title: 'text', description: 'text' }),
     db.collection('artworks_meta').createIndex({ userId: 1, uploadedAt: -1 }, { sparse: true }),
+    db.collection('artworks_meta').createIndex({ 'imageMetadata.capturedAt': -1 }, { sparse: true }),
+    // Trash purge lookups
+    db.collection('artworks_meta').createIndex({ deletedAt: 1 }, { sparse: true }),
     // Hash indexes for similarity search
     db.collection('artworks_meta').createIndex({ 'hashes.perceptual_hash_int': 1 }),
     db.collection('artworks_meta').createIndex({ 'hashes.average_hash_int': 1 }),
@@ -16,6 +19,17 @@ async function ensureIndexes() {
     db.collection('artworks_meta').createIndex({ 'hashes.color_hash_int': 1 }),
     db.collection('artworks_meta').createIndex({ 'hashes.blockhash8_int': 1 }),
     db.collection('artworks_meta').createIndex({ 'hashes.blockhash16_int': 1 }),
+    // Content-addressed blobs (one file per driver, bucket and checksum, reference counted)
+    db.collection('gridfs_blobs').createIndex({ driver: 1, bucket: 1, checksum: 1 }, { unique: true }),
+    db.collection('gridfs_blobs').createIndex({ driver: 1, bucket: 1, fileId: 1 }),
+    // Resumable upload sessions (expired sessions are swept with their staged chunks)
+    db.collection('upload_sessions').createIndex({ expiresAt: 1 }),
+    // Render cache lookups and LRU eviction
+    db.collection('render_cache').createIndex({ artworkId: 1, transform: 1 }, { unique: true }),
+    db.collection('render_cache').createIndex({ lastAccessedAt: 1 }),
+    // Idempotency records replay the first response per key until they expire
+    db.collection('idempotency_keys').createIndex({ scope: 1, key: 1 }, { unique: true }),
+    db.collection('idempotency_keys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
     // Token indexes for authentication
     db.collection('auth_tokens').createIndex({ token: 1 }, { unique: true }),
     db.collection('auth_tokens').createIndex({ expiresAt: 1 }),
@@ -5,55 +5,195 @@ const {
   getArtworksByIds,
   getArtworksByUser,
   checkArtworkExists,
+  updateArtwork,
+  deleteArtwork,
+  restoreArtwork,
+  getTrashedArtworksByUser,
+  canViewArtwork,
+  canStreamVariant,
+  canSignVariant,
+  isArtworkOwner,
 } = require('../services/artwork.service');
 const {
-  getOriginalBucket,
-  getProtectedBucket,
-  getMaskBucket,
+  getDerivativeSizes,
+  getDerivativeFormats,
+  isDerivativeVariant,
+  derivativeKey,
+  ensureDerivative,
+  scheduleDerivatives,
+} = require('../services/derivative.service');
+const { resolveTransform, getRender } = require('../services/render.service');
+const { readImageProvenance } = require('../services/provenance.service');
+const { readStoredMask, reconstructOriginal } = require('../services/reconstruction.service');
+const { buildSAC, buildRgbSAC, parseSACHeader } = require('../services/sac-encoder.service');
+const { resolvePreviewOptions, renderMaskPreview } = require('../services/mask-preview.service');
+const { readMaskRegion } = require('../services/mask-region.service');
+const { signArtworkUrl, verifyArtworkUrl } = require('../utils/signed-url');
+const {
+  getBucketByKey,
+  getBucketForFormat,
   downloadStreamFromBucket,
+  getFileLength,
 } = require('../storage/gridfs');
+const { discardUploadedFiles } = require('../storage/gridfs-upload-storage');
+const { pickSingleFile, parseJsonFile, parseHashes } = require('../utils/upload-parts');
+
+function resolveRequester(req) {
+  return {
+    userId: req.auth?.authType === 'session' ? req.auth.userId : null,
+    internal: req.internalAuth === true,
+  };
+}
 
-const bucketSelectors = {
-  originals: getOriginalBucket,
-  protected: getProtectedBucket,
-  masks: getMaskBucket,
-};
+// Anything an anonymous caller may not fetch must stay out of shared caches
+function cacheControlFor(doc, variant) {
+  return canStreamVariant(doc, variant)
+    ? 'public, max-age=31536000, immutable'
+    : 'private, no-store';
+}
+
+// The protected image in whichever format the client's Accept header prefers.
+// A transcode is lossy, so `protected` itself always serves the stored file,
+// which is the one masks reconstruct the original from.
+const DISPLAY_VARIANT = 'display';
+
+function etagFor(doc, variant) {
+  return `"${doc._id}-${variant}"`;
+}
+
+// `image/png` -> `png`; null for non-image files such as masks
+function imageFormatOf(contentType) {
+  const match = /^image\/([a-z0-9.+-]+)$/u.exec(contentType || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Pick a transcoded format for the protected image when the client's Accept
+ * header prefers one of the configured derivative formats over the stored one.
+ * Wildcards alone never trigger a transcode.
+ * @returns {string|null} Output format (`avif`, `webp`) or null to serve the stored file
+ */
+function negotiateImageFormat(req, stored) {
+  const storedType = stored?.contentType;
+  if (!storedType || !req.get('Accept')) return null;
+
+  const offers = getDerivativeFormats()
+    .map((format) => `image/${format}`)
+    .filter((type) => type !== storedType);
+  // Listing the stored type first makes it win ties, e.g. against `*/*`
+  const preferred = offers.length > 0 ? req.accepts([storedType, ...offers]) : false;
+  return preferred && preferred !== storedType ? imageFormatOf(preferred) : null;
+}
+
+function sacMediaType(version) {
+  return `application/x-sac; version=${version}`;
+}
+
+/**
+ * Pick the SAC container version to serve a mask in. Clients that do not ask
+ * for `application/x-sac; version=2` get SAC v1, so readers written before
+ * v2 keep working whichever version was uploaded; `application/x-sac` without
+ * a version means v1.
+ * @returns {{ version: number, contentType: string }}
+ */
+function negotiateSacVersion(req) {
+  const offers = [1, 2].map(sacMediaType);
+  const preferred = req.get('Accept') ? req.accepts(['application/octet-stream', ...offers]) : false;
+  return {
+    version: preferred === offers[1] ? 2 : 1,
+    contentType: offers.includes(preferred) ? preferred : 'application/octet-stream',
+  };
+}
+
+/**
+ * Encode a parsed mask, or mask region, as a SAC container of the given version.
+ * SAC v1 readers only know int16, so float16 values are rounded (and clamped) for them.
+ * @param {Object} mask - See `parseSAC` or `readMaskRegion`
+ * @param {number} version - SAC container version
+ * @returns {Buffer}
+ */
+function encodeMaskForReader(mask, version) {
+  const widen = (values) => (version === 1 && mask.dtype === 'float16'
+    ? Int16Array.from(values, (value) => Math.max(-32768, Math.min(32767, Math.round(value))))
+    : values);
+  const options = version === 1 ? { version, dtype: 'int16' } : { version };
+  return mask.arrayC
+    ? buildRgbSAC(widen(mask.arrayA), widen(mask.arrayB), widen(mask.arrayC), mask.width, mask.height, options)
+    : buildSAC(widen(mask.arrayA), widen(mask.arrayB), mask.width, mask.height, options);
+}
 
-function pickSingleFile(files, field) {
-  const entries = files?.[field];
-  if (!entries || entries.length === 0) {
-    const err = new Error(`Missing required file field '${field}'`);
-    err.status = 400;
-    throw err;
+async function resolveFileSize(bucket, format) {
+  return Number.isInteger(format.bytes) ? format.bytes : getFileLength(bucket, format.fileId);
+}
+
+/**
+ * Apply conditional and Range headers to a file response. Call once Cache-Control,
+ * ETag and Content-Type are set. Answers 304/416 itself and returns null; otherwise
+ * sets the status, Content-Length and Content-Range and returns the byte range to
+ * stream (`end` exclusive, as GridFS expects).
+ * @param {number} size - Stored file length in bytes
+ * @returns {{ start?: number, end?: number }|null}
+ */
+function prepareFileResponse(req, res, size) {
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  if (req.fresh) {
+    res.status(304).end();
+    return null;
   }
-  if (entries.length > 1) {
-    const err = new Error(`Multiple files provided for field '${field}'`);
-    err.status = 400;
-    throw err;
+
+  // A stale If-Range validator means the client's partial copy is outdated: send everything
+  const rangeHeader = req.get('Range');
+  const ifRange = req.get('If-Range');
+  if (rangeHeader && (!ifRange || ifRange === res.get('ETag'))) {
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.status(416).json({ error: 'Range not satisfiable' });
+      return null;
+    }
+
+    // Malformed and multi-range requests fall back to the full body
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+      res.setHeader('Content-Length', end - start + 1);
+      return { start, end: end + 1 };
+    }
   }
-  return entries[0];
+
+  res.setHeader('Content-Length', size);
+  return {};
 }
 
-function parseJsonFile(file, fieldName) {
-  try {
-    return JSON.parse(file.buffer.toString('utf8'));
-  } catch (error) {
-    const err = new Error(`Invalid JSON payload for '${fieldName}'`);
-    err.status = 400;
-    throw err;
-  }
+function sendVariantForbidden(res) {
+  return res.status(403).json({
+    error: 'Variant only available through a signed URL',
+  });
 }
 
-function parseHashes(hashesString) {
-  if (!hashesString) return undefined;
-  if (typeof hashesString === 'object') return hashesString;
-  try {
-    return JSON.parse(hashesString);
-  } catch (error) {
-    const err = new Error('hashes must be valid JSON');
-    err.status = 400;
-    throw err;
-  }
+const SIGNED_URL_ERRORS = {
+  malformed: 'Malformed signed URL',
+  invalid: 'Invalid signed URL',
+  expired: 'Signed URL has expired',
+  user: 'Signed URL is bound to another user',
+};
+
+/**
+ * Verify the signed URL parameters on a stream/download request, if any.
+ * A valid link is recorded on the requester so the access checks honour it.
+ * @returns {string|null} Error message when a link was presented but must be rejected
+ */
+function applySignedUrl(req, requester, id, variant) {
+  const { exp, sig, uid } = req.query;
+  const result = verifyArtworkUrl({ artworkId: id, variant, exp, sig, uid });
+  if (result.reason === 'missing') return null;
+  if (!result.valid) return SIGNED_URL_ERRORS[result.reason];
+  if (uid && requester.userId !== uid) return SIGNED_URL_ERRORS.user;
+
+  requester.signedVariant = variant;
+  return null;
 }
 
 async function uploadArtwork(req, res, next) {
@@ -87,9 +227,13 @@ async function uploadArtwork(req, res, next) {
       id: document._id,
       formats: document.formats,
       userId: document.userId,
+      visibility: document.visibility,
     });
+    scheduleDerivatives(document, req.log);
   } catch (error) {
     req.log.error({ err: error }, 'Failed to upload artwork');
+    // Parts were streamed into GridFS before we could validate the request as a whole
+    await discardUploadedFiles(req.files);
     next(error);
   }
 }
@@ -99,33 +243,82 @@ async function getArtworkStream(req, res, next) {
   const variant = (req.query.variant || 'original').toString();
 
   // Validate variant name format
-  const validVariants = ['original', 'protected', 'mask'];
-  if (!validVariants.includes(variant)) {
+  const validVariants = ['original', 'protected', 'mask', DISPLAY_VARIANT];
+  const derivative = isDerivativeVariant(variant);
+  if (!validVariants.includes(variant) && !derivative) {
     return res.status(404).json({ error: 'Variant not available' });
   }
 
+  // Derivatives are stored per output format; the first configured one is the default
+  const derivativeFormat = derivative ? req.query.format || getDerivativeFormats()[0] : null;
+  if (derivative && !getDerivativeFormats().includes(derivativeFormat)) {
+    return res.status(404).json({ error: 'Format not available' });
+  }
+  const formatKey = derivative ? derivativeKey(variant, derivativeFormat) : variant;
+
   try {
+    const requester = resolveRequester(req);
+    const signatureError = applySignedUrl(req, requester, id, variant);
+    if (signatureError) {
+      return res.status(403).json({ error: signatureError });
+    }
+
     const doc = await getArtworkById(id);
-    if (!doc) {
+    if (!doc || !canViewArtwork(doc, requester)) {
       return res.status(404).json({ error: 'Artwork not found' });
     }
 
-    const format = doc.formats?.[variant];
+    if (!canStreamVariant(doc, variant, requester)) {
+      return sendVariantForbidden(res);
+    }
+
+    let servedKey = formatKey;
+    let format = doc.formats?.[variant];
+    if (variant === DISPLAY_VARIANT) {
+      // Transcoded for clients that prefer AVIF/WebP, so shared caches must key it on Accept
+      res.vary('Accept');
+      servedKey = 'protected';
+      format = doc.formats?.protected;
+      const negotiated = format?.fileId ? negotiateImageFormat(req, format) : null;
+      if (negotiated) {
+        try {
+          format = await ensureDerivative(doc, 'protected', negotiated);
+          servedKey = derivativeKey('protected', negotiated);
+        } catch (err) {
+          // A full render queue is passed on, so the client backs off instead of
+          // every request falling back to the full-size stored image
+          if (err.retryAfter) throw err;
+          req.log.warn({ err, artworkId: id, format: negotiated }, 'Failed to transcode protected image');
+        }
+      }
+    } else if (derivative && doc.formats?.protected?.fileId) {
+      // Derivatives are rendered from the protected image on first request
+      format = await ensureDerivative(doc, variant, derivativeFormat);
+    }
     if (!format || !format.fileId) {
       return res.status(404).json({ error: 'Variant not available' });
     }
 
-    const bucketResolver = format.bucket ? bucketSelectors[format.bucket] : bucketSelectors[variant];
-    if (!bucketResolver) {
+    const bucket = getBucketForFormat(format, servedKey);
+    if (!bucket) {
       return res.status(404).json({ error: 'Variant not accessible' });
     }
 
-    const bucket = bucketResolver();
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-    res.setHeader('ETag', `${doc._id}-${variant}`);
+    const size = await resolveFileSize(bucket, format);
+    if (size === null) {
+      return res.status(404).json({ error: 'Variant not available' });
+    }
+
+    // Derivative keys already name their format; stored images get theirs appended
+    const storedFormat = format.derivedFrom ? null : imageFormatOf(format.contentType);
+    res.setHeader('Cache-Control', cacheControlFor(doc, variant));
+    res.setHeader('ETag', etagFor(doc, storedFormat ? derivativeKey(servedKey, storedFormat) : servedKey));
     res.setHeader('Content-Type', format.contentType || 'application/octet-stream');
 
-    const stream = downloadStreamFromBucket(bucket, format.fileId);
+    const range = prepareFileResponse(req, res, size);
+    if (!range) return;
+
+    const stream = downloadStreamFromBucket(bucket, format.fileId, range);
     stream.on('error', (err) => {
       req.log.error({ err, artworkId: id, variant }, 'Error streaming file');
       if (!res.headersSent) {
@@ -146,7 +339,7 @@ async function getArtworkMetadata(req, res, next) {
 
   try {
     const doc = await getArtworkById(id);
-    if (!doc) {
+    if (!doc || !canViewArtwork(doc, resolveRequester(req))) {
       return res.status(404).json({ error: 'Artwork not found' });
     }
     res.json(doc);
@@ -167,6 +360,14 @@ async function search(req, res, next) {
       tags,
       text: req.query.q,
       userId: req.query.userId,
+      imageMetadata: {
+        copyright: req.query.copyright,
+        creator: req.query.creator,
+        software: req.query.software,
+        colorProfile: req.query.colorProfile,
+        capturedFrom: req.query.capturedFrom,
+        capturedTo: req.query.capturedTo,
+      },
       limit,
       skip,
     });
@@ -210,12 +411,14 @@ async function getArtworkVariants(req, res, next) {
 
   try {
     const doc = await getArtworkById(id);
-    if (!doc) {
+    if (!doc || !canViewArtwork(doc, resolveRequester(req))) {
       return res.status(404).json({ error: 'Artwork not found' });
     }
 
     const variants = {};
     for (const [key, format] of Object.entries(doc.formats || {})) {
+      // Derivatives are listed per size below
+      if (format.derivedFrom) continue;
       variants[key] = {
         available: true,
         contentType: format.contentType,
@@ -225,6 +428,31 @@ async function getArtworkVariants(req, res, next) {
       };
     }
 
+    // Derivatives that have not been requested yet are rendered on first fetch
+    if (doc.formats?.protected?.fileId) {
+      for (const [name, maxDimension] of Object.entries(getDerivativeSizes())) {
+        const formats = {};
+        for (const outputFormat of getDerivativeFormats()) {
+          const stored = doc.formats[derivativeKey(name, outputFormat)];
+          formats[outputFormat] = {
+            generated: Boolean(stored?.fileId),
+            contentType: stored?.contentType || `image/${outputFormat}`,
+            size: stored?.bytes,
+            width: stored?.width,
+            height: stored?.height,
+            url: `/artworks/${id}?variant=${name}&format=${outputFormat}`,
+          };
+        }
+        variants[name] = {
+          available: true,
+          derivedFrom: 'protected',
+          maxDimension,
+          formats,
+          url: `/artworks/${id}?variant=${name}`,
+        };
+      }
+    }
+
     res.json({
       id: doc._id,
       title: doc.title,
@@ -248,7 +476,7 @@ async function getBatchArtworks(req, res, next) {
       return res.status(400).json({ error: 'Maximum 100 IDs allowed per request' });
     }
 
-    const artworks = await getArtworksByIds(ids, fields);
+    const artworks = await getArtworksByIds(ids, fields, resolveRequester(req));
     res.json({ artworks });
   } catch (error) {
     req.log.error({ err: error }, 'Failed to get batch artworks');
@@ -259,36 +487,52 @@ async function getBatchArtworks(req, res, next) {
 async function getArtworkDownloadUrl(req, res, next) {
   const { id } = req.params;
   const variant = (req.query.variant || 'original').toString();
-  const expiresIn = parseInt(req.query.expires) || 3600;
+  const expiresIn = req.query.expires || 3600;
 
   // Validate variant name format
-  const validVariants = ['original', 'protected', 'mask_hi', 'mask_lo'];
+  const validVariants = ['original', 'protected', 'mask'];
   if (!validVariants.includes(variant)) {
     return res.status(404).json({ error: 'Variant not available' });
   }
 
   try {
     const doc = await getArtworkById(id);
-    if (!doc) {
+    const requester = resolveRequester(req);
+    if (!doc || !canViewArtwork(doc, requester)) {
       return res.status(404).json({ error: 'Artwork not found' });
     }
 
+    if (!canSignVariant(doc, variant, requester)) {
+      return res.status(403).json({ error: 'Only the artwork owner can sign this variant' });
+    }
+
+    if (req.query.bindUser && !requester.userId) {
+      return res.status(400).json({ error: 'bindUser requires a user session' });
+    }
+
     const format = doc.formats?.[variant];
     if (!format || !format.fileId) {
       return res.status(404).json({ error: 'Variant not available' });
     }
 
-    const downloadUrl = `${req.protocol}://${req.get('host')}/artworks/${id}/download?variant=${variant}`;
-    const directUrl = `${req.protocol}://${req.get('host')}/artworks/${id}?variant=${variant}`;
+    const signature = signArtworkUrl({
+      artworkId: id,
+      variant,
+      expiresAt: Date.now() + expiresIn * 1000,
+      userId: req.query.bindUser ? requester.userId : null,
+    });
+    const query = new URLSearchParams({ variant, ...signature }).toString();
+    const baseUrl = `${req.protocol}://${req.get('host')}/artworks/${id}`;
 
     res.json({
-      downloadUrl,
-      directUrl,
+      downloadUrl: `${baseUrl}/download?${query}`,
+      directUrl: `${baseUrl}?${query}`,
       variant,
       contentType: format.contentType,
       size: format.bytes,
       checksum: format.checksum,
-      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      expiresAt: new Date(Number(signature.exp) * 1000).toISOString(),
+      boundUserId: signature.uid || null,
     });
   } catch (error) {
     req.log.error({ err: error, artworkId: id }, 'Failed to generate download URL');
@@ -307,29 +551,47 @@ async function downloadArtwork(req, res, next) {
   }
 
   try {
+    const requester = resolveRequester(req);
+    const signatureError = applySignedUrl(req, requester, id, variant);
+    if (signatureError) {
+      return res.status(403).json({ error: signatureError });
+    }
+
     const doc = await getArtworkById(id);
-    if (!doc) {
+    if (!doc || !canViewArtwork(doc, requester)) {
       return res.status(404).json({ error: 'Artwork not found' });
     }
 
+    if (!canStreamVariant(doc, variant, requester)) {
+      return sendVariantForbidden(res);
+    }
+
     const format = doc.formats?.[variant];
     if (!format || !format.fileId) {
       return res.status(404).json({ error: 'Variant not available' });
     }
 
-    const bucketResolver = format.bucket ? bucketSelectors[format.bucket] : bucketSelectors[variant];
-    if (!bucketResolver) {
+    const bucket = getBucketForFormat(format, variant);
+    if (!bucket) {
       return res.status(404).json({ error: 'Variant not accessible' });
     }
 
-    const bucket = bucketResolver();
+    const size = await resolveFileSize(bucket, format);
+    if (size === null) {
+      return res.status(404).json({ error: 'Variant not available' });
+    }
+
     const filename = `${doc.title || 'artwork'}-${variant}.${format.contentType.split('/')[1]}`;
 
+    res.setHeader('Cache-Control', cacheControlFor(doc, variant));
+    res.setHeader('ETag', etagFor(doc, variant));
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('Content-Type', format.contentType || 'application/octet-stream');
-    res.setHeader('Content-Length', format.size || 0);
 
-    const stream = downloadStreamFromBucket(bucket, format.fileId);
+    const range = prepareFileResponse(req, res, size);
+    if (!range) return;
+
+    const stream = downloadStreamFromBucket(bucket, format.fileId, range);
     stream.on('error', (err) => {
       req.log.error({ err, artworkId: id, variant }, 'Error downloading file');
       if (!res.headersSent) {
@@ -353,7 +615,7 @@ async function checkExists(req, res, next) {
       title,
       artist,
       tags,
-    });
+    }, resolveRequester(req));
 
     res.json(result);
   } catch (error) {
@@ -367,23 +629,73 @@ async function getMask(req, res, next) {
   const variant = 'mask';
 
   try {
+    const requester = resolveRequester(req);
+    const signatureError = applySignedUrl(req, requester, id, variant);
+    if (signatureError) {
+      return res.status(403).json({ error: signatureError });
+    }
+
     const doc = await getArtworkById(id);
-    if (!doc) {
+    if (!doc || !canViewArtwork(doc, requester)) {
       return res.status(404).json({ error: 'Artwork not found' });
     }
+    if (!canStreamVariant(doc, variant, requester)) {
+      return sendVariantForbidden(res);
+    }
 
     const format = doc.formats?.[variant];
     if (!format || !format.fileId) {
       return res.status(404).json({ error: 'Mask not available' });
     }
 
-    const bucket = getMaskBucket();
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-    res.setHeader('ETag', `${doc._id}-${variant}`);
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Content-Disposition', `inline; filename="${doc.title || 'artwork'}-mask.sac"`);
+    const bucket = getBucketForFormat(format, variant);
+    if (!bucket) {
+      return res.status(404).json({ error: 'Mask not available' });
+    }
+
+    const size = await resolveFileSize(bucket, format);
+    if (size === null) {
+      return res.status(404).json({ error: 'Mask not available' });
+    }
+
+    // Masks uploaded before SAC v2 are all int16 SAC v1
+    const storedVersion = format.sacVersion || 1;
+    const storedDtype = format.sacDtype || 'int16';
+    const { version, contentType } = negotiateSacVersion(req);
+    const { x = 0, y = 0, w, h } = req.query;
+    const region = w !== undefined ? { x, y, w, h } : null;
+    // SAC v1 readers only know int16, so narrower SAC v1 uploads are widened for them
+    const servedAsStored = !region && version === storedVersion && (version === 2 || storedDtype === 'int16');
+    const regionKey = region ? `-x${x}-y${y}-w${w}-h${h}` : '';
+    res.vary('Accept');
+    res.setHeader('Cache-Control', cacheControlFor(doc, variant));
+    res.setHeader('ETag', etagFor(doc, servedAsStored ? variant : `${variant}-sac${version}${regionKey}`));
+    // Set once the mask has been read, so errors reading it are still sent as JSON
+    const setContentHeaders = (dtype) => {
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `inline; filename="${doc.title || 'artwork'}-mask.sac"`);
+      res.setHeader('X-SAC-Dtype', dtype);
+    };
+
+    if (!servedAsStored) {
+      // Converted (or cut to the region) in memory on each request; revalidations skip the work
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      const mask = region ? await readMaskRegion(doc, region) : await readStoredMask(doc);
+      const converted = encodeMaskForReader(mask, version);
+      setContentHeaders(parseSACHeader(converted).dtype);
+      const convertedRange = prepareFileResponse(req, res, converted.length);
+      if (!convertedRange) return;
+      return res.end(converted.subarray(convertedRange.start, convertedRange.end));
+    }
+
+    setContentHeaders(storedDtype);
 
-    const stream = downloadStreamFromBucket(bucket, format.fileId);
+    const range = prepareFileResponse(req, res, size);
+    if (!range) return;
+
+    const stream = downloadStreamFromBucket(bucket, format.fileId, range);
     stream.on('error', (err) => {
       req.log.error({ err, artworkId: id }, 'Error streaming mask file');
       if (!res.headersSent) {
@@ -399,6 +711,243 @@ async function getMask(req, res, next) {
   }
 }
 
+async function getMaskPreview(req, res, next) {
+  const { id } = req.params;
+  const variant = 'mask';
+
+  try {
+    const requester = resolveRequester(req);
+    const signatureError = applySignedUrl(req, requester, id, variant);
+    if (signatureError) {
+      return res.status(403).json({ error: signatureError });
+    }
+
+    const doc = await getArtworkById(id);
+    if (!doc || !canViewArtwork(doc, requester)) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+    if (!canStreamVariant(doc, variant, requester)) {
+      return sendVariantForbidden(res);
+    }
+    if (!doc.formats?.[variant]?.fileId) {
+      return res.status(404).json({ error: 'Mask not available' });
+    }
+
+    const options = resolvePreviewOptions(req.query);
+
+    // Same caching as the raw mask; the ETag also covers the preview options
+    res.setHeader('Cache-Control', cacheControlFor(doc, variant));
+    res.setHeader('ETag', etagFor(doc, `mask-preview-${options.key}`));
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const { image, scale } = await renderMaskPreview(doc, options);
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Disposition', `inline; filename="${doc.title || 'artwork'}-mask-preview.png"`);
+    res.setHeader('X-Mask-Scale', String(scale));
+    res.send(image);
+  } catch (error) {
+    req.log.error({ err: error, artworkId: id }, 'Failed to render mask preview');
+    next(error);
+  }
+}
+
+async function renderArtwork(req, res, next) {
+  const { id } = req.params;
+  const variant = 'protected';
+
+  try {
+    const requester = resolveRequester(req);
+    const doc = await getArtworkById(id);
+    if (!doc || !canViewArtwork(doc, requester)) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    if (!canStreamVariant(doc, variant, requester)) {
+      return sendVariantForbidden(res);
+    }
+    if (!doc.formats?.[variant]?.fileId) {
+      return res.status(404).json({ error: 'Variant not available' });
+    }
+
+    const options = resolveTransform(doc, req.query);
+
+    // The ETag only depends on the transform, so revalidations never render
+    res.setHeader('Cache-Control', cacheControlFor(doc, variant));
+    res.setHeader('ETag', etagFor(doc, options.transform));
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const { entry, cached } = await getRender(doc, options);
+    res.setHeader('X-Render-Cache', cached ? 'HIT' : 'MISS');
+    res.setHeader('Content-Type', entry.contentType);
+
+    const range = prepareFileResponse(req, res, entry.bytes);
+    if (!range) return;
+
+    const stream = downloadStreamFromBucket(getBucketByKey(entry.bucket, entry.driver), entry.fileId, range);
+    stream.on('error', (err) => {
+      req.log.error({ err, artworkId: id, transform: options.transform }, 'Error streaming render');
+      if (!res.headersSent) {
+        res.status(404).end();
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    req.log.error({ err: error, artworkId: id }, 'Failed to render artwork');
+    next(error);
+  }
+}
+
+async function reconstructArtwork(req, res, next) {
+  const { id } = req.params;
+
+  try {
+    const doc = await getArtworkById(id);
+    const requester = resolveRequester(req);
+    if (!doc || !canViewArtwork(doc, requester)) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+    // The result approximates the original, which only its owner may fetch
+    if (!isArtworkOwner(doc, requester)) {
+      return res.status(403).json({ error: 'Only the artwork owner can reconstruct the original' });
+    }
+
+    const png = await reconstructOriginal(doc);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Disposition', `inline; filename="${doc.title || 'artwork'}-reconstructed.png"`);
+    res.send(png);
+  } catch (error) {
+    req.log.error({ err: error, artworkId: id }, 'Failed to reconstruct artwork');
+    next(error);
+  }
+}
+
+async function updateArtworkMetadata(req, res, next) {
+  const { id } = req.params;
+
+  try {
+    const doc = await updateArtwork(id, req.body, resolveRequester(req));
+    if (!doc) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    req.log.info({ artworkId: id, fields: Object.keys(req.body) }, 'Artwork metadata updated');
+    res.json(doc);
+  } catch (error) {
+    req.log.error({ err: error, artworkId: id }, 'Failed to update artwork metadata');
+    next(error);
+  }
+}
+
+async function removeArtwork(req, res, next) {
+  const { id } = req.params;
+
+  try {
+    const result = await deleteArtwork(id, resolveRequester(req));
+    if (!result) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    req.log.info(
+      { artworkId: id, purgeAt: result.purgeAt, tokensRevoked: result.tokensRevoked },
+      'Artwork moved to trash',
+    );
+
+    res.json({
+      success: true,
+      id: result._id,
+      deletedAt: result.deletedAt,
+      purgeAt: result.purgeAt,
+      tokensRevoked: result.tokensRevoked,
+    });
+  } catch (error) {
+    req.log.error({ err: error, artworkId: id }, 'Failed to delete artwork');
+    next(error);
+  }
+}
+
+async function restoreArtworkFromTrash(req, res, next) {
+  const { id } = req.params;
+
+  try {
+    const doc = await restoreArtwork(id, resolveRequester(req));
+    if (!doc) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    req.log.info({ artworkId: id }, 'Artwork restored from trash');
+    res.json(doc);
+  } catch (error) {
+    req.log.error({ err: error, artworkId: id }, 'Failed to restore artwork');
+    next(error);
+  }
+}
+
+async function getMyTrash(req, res, next) {
+  try {
+    const userId = req.user?.id || req.auth?.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'User ID not found in authentication context',
+      });
+    }
+
+    const limit = typeof req.query.limit === 'number' ? req.query.limit : 20;
+    const skip = typeof req.query.skip === 'number' ? req.query.skip : 0;
+
+    const artworks = await getTrashedArtworksByUser(userId, { limit, skip });
+
+    res.json({
+      artworks,
+      total: artworks.length,
+      userId,
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Failed to get trashed artworks');
+    next(error);
+  }
+}
+
+async function verifyProvenance(req, res, next) {
+  if (!req.file) {
+    return res.status(400).json({ error: 'image file is required' });
+  }
+
+  try {
+    const { embedded, valid, reason, manifest, checksum } = await readImageProvenance(req.file.buffer);
+    if (!valid) {
+      return res.json({ embedded, valid, reason });
+    }
+
+    // Only a manifest we signed names an artwork, so the lookup is safe to make;
+    // a private artwork is reported like a deleted one to anyone who cannot view it
+    const found = await getArtworkById(manifest.artworkId);
+    const doc = found && canViewArtwork(found, resolveRequester(req)) ? found : null;
+    res.json({
+      embedded,
+      valid,
+      manifest,
+      artwork: {
+        id: manifest.artworkId,
+        available: Boolean(doc),
+        // False once the image was altered beyond its metadata, or for a manifest copied onto another image
+        matchesProtectedImage: doc?.formats?.protected?.checksum === checksum,
+      },
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Failed to verify provenance');
+    next(error);
+  }
+}
+
 module.exports = {
   uploadArtwork,
   getArtworkStream,
@@ -411,4 +960,12 @@ module.exports = {
   downloadArtwork,
   checkExists,
   getMask,
+  getMaskPreview,
+  renderArtwork,
+  reconstructArtwork,
+  updateArtworkMetadata,
+  removeArtwork,
+  restoreArtworkFromTrash,
+  getMyTrash,
+  verifyProvenance,
 };
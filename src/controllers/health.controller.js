@@ -4,6 +4,8 @@
  */
 
 const { getClient, getDb } = require('../config/mongo');
+const config = require('../config/env');
+const { getLastOrphanRun } = require('../services/orphan-gc.service');
 const logger = require('../config/logger');
 
 /**
@@ -126,6 +128,55 @@ async function checkHashStorageHealth() {
   }
 }
 
+/**
+ * Report the last orphaned file collection run
+ * @returns {Object} Orphan collection status
+ */
+async function checkOrphanedFilesHealth() {
+  try {
+    const lastRun = await getLastOrphanRun();
+
+    if (!lastRun) {
+      return {
+        status: 'healthy',
+        lastRun: null,
+        message: 'No orphaned file scan has run yet',
+      };
+    }
+
+    // Orphans only waste space; a scan that could not finish is worth flagging
+    const pending = lastRun.dryRun ? lastRun.orphans : lastRun.orphans - lastRun.deleted;
+    const status = lastRun.errorCount > 0 ? 'degraded' : 'healthy';
+
+    return {
+      status,
+      autoDelete: config.orphans.autoDelete,
+      graceHours: lastRun.graceHours,
+      lastRun: {
+        finishedAt: lastRun.finishedAt,
+        dryRun: lastRun.dryRun,
+        scanned: lastRun.scanned,
+        orphans: lastRun.orphans,
+        orphanBytes: lastRun.orphanBytes,
+        deleted: lastRun.deleted,
+        bytesReclaimed: lastRun.bytesReclaimed,
+        errorCount: lastRun.errorCount,
+      },
+      message: lastRun.errorCount > 0
+        ? `Last scan hit ${lastRun.errorCount} error(s)`
+        : pending > 0
+        ? `${pending} orphaned file(s) awaiting deletion`
+        : 'No orphaned files pending',
+    };
+  } catch (error) {
+    logger.error({ err: error }, 'Orphaned file health check failed');
+    return {
+      status: 'unhealthy',
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Main health check endpoint handler
  * @param {Request} req - Express request
@@ -136,22 +187,25 @@ async function healthCheck(req, res) {
 
   try {
     // Run all health checks in parallel
-    const [mongoHealth, gridfsHealth, hashStorageHealth] = await Promise.all([
+    const [mongoHealth, gridfsHealth, hashStorageHealth, orphanedFilesHealth] = await Promise.all([
       checkMongoHealth(),
       checkGridFSHealth(),
       checkHashStorageHealth(),
+      checkOrphanedFilesHealth(),
     ]);
 
     // Determine overall health status
     const allHealthy =
       mongoHealth.status === 'healthy' &&
       gridfsHealth.status === 'healthy' &&
-      hashStorageHealth.status === 'healthy';
+      hashStorageHealth.status === 'healthy' &&
+      orphanedFilesHealth.status === 'healthy';
 
     const anyUnhealthy =
       mongoHealth.status === 'unhealthy' ||
       gridfsHealth.status === 'unhealthy' ||
-      hashStorageHealth.status === 'unhealthy';
+      hashStorageHealth.status === 'unhealthy' ||
+      orphanedFilesHealth.status === 'unhealthy';
 
     const overallStatus = anyUnhealthy ? 'unhealthy' : (allHealthy ? 'healthy' : 'degraded');
 
@@ -162,6 +216,7 @@ async function healthCheck(req, res) {
       mongodb: mongoHealth.status,
       gridfs: gridfsHealth.status,
       hashStorage: hashStorageHealth.status,
+      orphanedFiles: orphanedFilesHealth.status,
     };
 
     const healthData = {
@@ -179,6 +234,7 @@ async function healthCheck(req, res) {
         mongodb: mongoHealth,
         gridfs: gridfsHealth,
         hashStorage: hashStorageHealth,
+        orphanedFiles: orphanedFilesHealth,
       },
       system: {
         nodeVersion: process.version,
@@ -207,6 +263,7 @@ async function healthCheck(req, res) {
         mongodb: { status: 'unknown' },
         gridfs: { status: 'unknown' },
         hashStorage: { status: 'unknown' },
+        orphanedFiles: { status: 'unknown' },
       },
     });
   }
@@ -0,0 +1,253 @@
+const { createArtwork } = require('../services/artwork.service');
+const { scheduleDerivatives } = require('../services/derivative.service');
+const {
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  claimUploadSession,
+  releaseUploadSession,
+  assembleUpload,
+  discardUploadSession,
+} = require('../services/upload-session.service');
+const { consumeTokenById, releaseTokenById } = require('../services/token.service');
+const { getOriginalBucket, deleteFileFromBucket } = require('../storage/gridfs');
+const { discardUploadedFiles } = require('../storage/gridfs-upload-storage');
+const { IMAGE_PROBE_BYTES } = require('../middlewares/artworkUpload');
+const { pickSingleFile, parseJsonFile, parseHashes } = require('../utils/upload-parts');
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+function sendTokenRequired(res) {
+  return res.status(401).json({
+    error: 'Authentication required',
+    message: 'Resumable uploads require an upload token',
+  });
+}
+
+// Sessions are only visible to the token that opened them
+async function findOwnedSession(req) {
+  const session = await getUploadSession(req.params.id);
+  if (!session) {
+    const err = new Error('Upload session not found');
+    err.status = 404;
+    throw err;
+  }
+
+  if (!req.auth?.tokenId || !session.tokenId.equals(req.auth.tokenId)) {
+    const err = new Error('Upload session belongs to another token');
+    err.status = 403;
+    throw err;
+  }
+
+  return session;
+}
+
+function setProgressHeaders(res, session) {
+  res.setHeader('Upload-Offset', String(session.offset));
+  res.setHeader('Upload-Length', String(session.length));
+  res.setHeader('Upload-Expires', session.expiresAt.toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+/**
+ * Open a resumable upload session
+ * POST /uploads
+ */
+async function createUpload(req, res, next) {
+  if (req.auth?.authType !== 'token') {
+    return sendTokenRequired(res);
+  }
+
+  try {
+    const session = await createUploadSession({
+      tokenId: req.auth.tokenId,
+      expiresAt: req.auth.expiresAt,
+      length: req.body.length,
+      filename: req.body.filename,
+      contentType: req.body.contentType,
+      userId: req.auth.userId,
+    });
+
+    req.log.info({ uploadId: session._id, length: session.length }, 'Resumable upload session created');
+
+    res.setHeader('Location', `${req.baseUrl}/${session._id}`);
+    setProgressHeaders(res, session);
+    res.status(201).json({
+      id: session._id,
+      offset: session.offset,
+      length: session.length,
+      expiresAt: session.expiresAt,
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Failed to create upload session');
+    next(error);
+  }
+}
+
+/**
+ * Report how many bytes have been received
+ * HEAD /uploads/:id
+ */
+async function getUploadProgress(req, res, next) {
+  if (req.auth?.authType !== 'token') {
+    return sendTokenRequired(res);
+  }
+
+  try {
+    const session = await findOwnedSession(req);
+    setProgressHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).end();
+    }
+    req.log.error({ err: error, uploadId: req.params.id }, 'Failed to read upload progress');
+    next(error);
+  }
+}
+
+/**
+ * Append a chunk at the offset given by the Upload-Offset header
+ * PATCH /uploads/:id
+ */
+async function uploadChunk(req, res, next) {
+  if (req.auth?.authType !== 'token') {
+    return sendTokenRequired(res);
+  }
+
+  if (!req.is(CHUNK_CONTENT_TYPE)) {
+    return res.status(415).json({ error: `Content-Type must be ${CHUNK_CONTENT_TYPE}` });
+  }
+
+  const offsetHeader = req.get('Upload-Offset');
+  const offset = Number(offsetHeader);
+  if (!offsetHeader || !Number.isSafeInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset header must be a non-negative integer' });
+  }
+
+  try {
+    const session = await findOwnedSession(req);
+    const updated = await appendUploadChunk(session, offset, req);
+
+    setProgressHeaders(res, updated);
+    res.status(204).end();
+  } catch (error) {
+    req.log.error({ err: error, uploadId: req.params.id, offset }, 'Failed to store upload chunk');
+    next(error);
+  }
+}
+
+/**
+ * Abandon an upload session and its staged chunks
+ * DELETE /uploads/:id
+ */
+async function cancelUpload(req, res, next) {
+  if (req.auth?.authType !== 'token') {
+    return sendTokenRequired(res);
+  }
+
+  try {
+    const session = await findOwnedSession(req);
+    if (session.status !== 'active') {
+      return res.status(409).json({ error: 'Upload session is being finalized' });
+    }
+
+    await discardUploadSession(session);
+    req.log.info({ uploadId: session._id }, 'Resumable upload session cancelled');
+    res.status(204).end();
+  } catch (error) {
+    req.log.error({ err: error, uploadId: req.params.id }, 'Failed to cancel upload session');
+    next(error);
+  }
+}
+
+/**
+ * Turn a complete upload session into an artwork. The remaining assets and
+ * metadata are sent as multipart, exactly like POST /artworks minus `original`.
+ * The upload token is consumed before the artwork is created, so two sessions
+ * of one token cannot both become artworks, and handed back if creation fails,
+ * so a rejected finalize can be retried without re-uploading the original.
+ * POST /uploads/:id/finalize
+ */
+async function finalizeUpload(req, res, next) {
+  let claimed = null;
+  let tokenUsedAt = null;
+  let originalFile = null;
+
+  try {
+    if (req.auth?.authType !== 'token') {
+      await discardUploadedFiles(req.files);
+      return sendTokenRequired(res);
+    }
+
+    const session = await findOwnedSession(req);
+    claimed = await claimUploadSession(session);
+
+    tokenUsedAt = await consumeTokenById(claimed.tokenId);
+    if (!tokenUsedAt) {
+      const err = new Error('Upload token has already been used or has expired');
+      err.status = 409;
+      throw err;
+    }
+
+    const protectedFile = pickSingleFile(req.files, 'protected');
+    const maskFile = pickSingleFile(req.files, 'mask');
+    const analysisFile = pickSingleFile(req.files, 'analysis');
+    const summaryFile = pickSingleFile(req.files, 'summary');
+
+    const body = { ...req.body };
+    if (body.hashes) {
+      body.hashes = parseHashes(body.hashes);
+    }
+
+    const analysisJson = parseJsonFile(analysisFile, 'analysis');
+    const summaryJson = parseJsonFile(summaryFile, 'summary');
+
+    originalFile = await assembleUpload(claimed, { probeBytes: IMAGE_PROBE_BYTES });
+
+    const document = await createArtwork({
+      originalFile,
+      protectedFile,
+      maskFile,
+      analysisJson,
+      summaryJson,
+      body,
+      userId: req.auth.userId || null,
+    });
+    // The artwork exists, so the token stays spent whatever happens next
+    tokenUsedAt = null;
+
+    await discardUploadSession(claimed);
+
+    req.log.info({ uploadId: claimed._id, artworkId: document._id }, 'Resumable upload finalized');
+
+    res.status(201).json({
+      id: document._id,
+      formats: document.formats,
+      userId: document.userId,
+      visibility: document.visibility,
+    });
+    scheduleDerivatives(document, req.log);
+  } catch (error) {
+    req.log.error({ err: error, uploadId: req.params.id }, 'Failed to finalize upload');
+    await discardUploadedFiles(req.files);
+    if (originalFile && !originalFile.adopted) {
+      await deleteFileFromBucket(getOriginalBucket(originalFile.driver), originalFile.fileId).catch(() => {});
+    }
+    if (tokenUsedAt) {
+      await releaseTokenById(claimed.tokenId, tokenUsedAt).catch(() => {});
+    }
+    if (claimed) {
+      await releaseUploadSession(claimed._id);
+    }
+    next(error);
+  }
+}
+
+module.exports = {
+  createUpload,
+  getUploadProgress,
+  uploadChunk,
+  cancelUpload,
+  finalizeUpload,
+};
@@ -0,0 +1,119 @@
+const multer = require('multer');
+const { createGridFsUploadStorage } = require('../storage/gridfs-upload-storage');
+const { SAC2_HEADER_SIZE } = require('../services/sac-encoder.service');
+
+const ALLOWED_IMAGE_TYPES = new Set([
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/avif',
+  'image/gif',
+]);
+
+const FILE_RULES = {
+  original: {
+    mimeTypes: ALLOWED_IMAGE_TYPES,
+    label: 'original image',
+  },
+  protected: {
+    mimeTypes: ALLOWED_IMAGE_TYPES,
+    label: 'protected image',
+  },
+  mask: {
+    mimeTypes: new Set(['application/octet-stream', 'application/x-sac']),
+    label: 'mask asset (SAC)',
+  },
+  analysis: {
+    mimeTypes: new Set(['application/json']),
+    label: 'analysis JSON document',
+  },
+  summary: {
+    mimeTypes: new Set(['application/json']),
+    label: 'summary JSON document',
+  },
+};
+
+// Image probing only needs the leading bytes; formats whose header doesn't fit
+// (e.g. WebP, AVIF) are probed from GridFS via a temp file instead
+const IMAGE_PROBE_BYTES = 1024 * 1024;
+
+// Image and mask parts stream straight into GridFS; the JSON documents stay in memory
+const uploadStorage = createGridFsUploadStorage({
+  fields: {
+    original: { bucketKey: 'originals', probeBytes: IMAGE_PROBE_BYTES },
+    protected: { bucketKey: 'protected', probeBytes: IMAGE_PROBE_BYTES },
+    // The SAC v2 header is the larger of the two versions
+    mask: { bucketKey: 'masks', probeBytes: SAC2_HEADER_SIZE },
+  },
+  memoryLimit: 16 * 1024 * 1024,
+});
+
+const upload = multer({
+  storage: uploadStorage,
+  limits: {
+    fileSize: 256 * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    const rule = FILE_RULES[file.fieldname];
+    if (!rule) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    if (!rule.mimeTypes.has(file.mimetype)) {
+      const err = new Error(`Invalid file type for ${rule.label}`);
+      err.status = 400;
+      return cb(err);
+    }
+    return cb(null, true);
+  },
+});
+
+const ARTWORK_FILE_FIELDS = ['original', 'protected', 'mask', 'analysis', 'summary'];
+
+/**
+ * Multipart parser for artwork assets (one file per field)
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Fields supplied some other way, e.g. a resumable original
+ * @returns {Function} Express middleware
+ */
+function artworkFiles({ exclude = [] } = {}) {
+  return upload.fields(
+    ARTWORK_FILE_FIELDS
+      .filter((name) => !exclude.includes(name))
+      .map((name) => ({ name, maxCount: 1 })),
+  );
+}
+
+// Images submitted for a provenance check are only inspected, never stored
+const provenanceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 32 * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname !== 'image') {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    if (!ALLOWED_IMAGE_TYPES.has(file.mimetype)) {
+      const err = new Error('Invalid file type for image');
+      err.status = 400;
+      return cb(err);
+    }
+    return cb(null, true);
+  },
+});
+
+/**
+ * Multipart parser for the single `image` part of a provenance check, kept in memory
+ * @returns {Function} Express middleware
+ */
+function provenanceImage() {
+  return provenanceUpload.single('image');
+}
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  IMAGE_PROBE_BYTES,
+  artworkFiles,
+  provenanceImage,
+};
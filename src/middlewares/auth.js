@@ -69,7 +69,10 @@ function authenticate({ consume = true, required = true, userOnly = false } = {}
     const token = parts[1];
 
     try {
-      const tokenDoc = await validateToken(token, { consume });
+      const tokenDoc = await validateToken(token, {
+        consume,
+        idempotencyKey: req.idempotencyKey,
+      });
 
       if (!tokenDoc) {
         if (required) {
@@ -87,6 +90,7 @@ function authenticate({ consume = true, required = true, userOnly = false } = {}
         artworkId: tokenDoc.artworkId,
         metadata: tokenDoc.metadata,
         createdAt: tokenDoc.createdAt,
+        expiresAt: tokenDoc.expiresAt,
         authType: 'token',
         userId: tokenDoc.metadata?.userId || null,
         userEmail: tokenDoc.metadata?.userEmail || null,
@@ -107,7 +111,62 @@ function optionalAuthenticate() {
   return authenticate({ consume: false, required: false });
 }
 
+/**
+ * Attach the Better Auth user session when one is present, without requiring it.
+ * Requests without cookies skip the session lookup so anonymous reads stay cheap.
+ */
+function optionalUserSession() {
+  return async (req, res, next) => {
+    if (!req.headers.cookie) {
+      return next();
+    }
+
+    const sessionData = await validateSession(req);
+    if (sessionData) {
+      req.user = sessionData.user;
+      req.auth = {
+        userId: sessionData.user.id,
+        userEmail: sessionData.user.email,
+        authType: 'session',
+      };
+    }
+    return next();
+  };
+}
+
+/**
+ * Require either an internal service caller (see optionalInternalAuth) or a
+ * Better Auth user session. Bearer tokens are not accepted because they are
+ * not tied to an artwork owner.
+ */
+function requireUserOrInternal() {
+  return async (req, res, next) => {
+    if (req.internalAuth) {
+      return next();
+    }
+
+    const sessionData = await validateSession(req);
+    if (sessionData) {
+      req.user = sessionData.user;
+      req.auth = {
+        userId: sessionData.user.id,
+        userEmail: sessionData.user.email,
+        authType: 'session',
+      };
+      return next();
+    }
+
+    logger.warn({ path: req.path }, 'Missing authentication (no session or internal key)');
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'User session or internal service authentication required',
+    });
+  };
+}
+
 module.exports = {
   authenticate,
   optionalAuthenticate,
+  optionalUserSession,
+  requireUserOrInternal,
 };
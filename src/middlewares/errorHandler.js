@@ -20,7 +20,12 @@ function errorHandler(err, req, res, next) {
   const status = err.status || err.statusCode || 500;
   const message = err.message || 'Internal Server Error';
   log.error({ err, status }, 'Request failed');
-  return res.status(status).json({ error: message });
+  // A full render queue tells the client when to try again
+  if (err.retryAfter) {
+    res.setHeader('Retry-After', String(err.retryAfter));
+  }
+  // Services attach structured detail, e.g. the list of inconsistencies behind a 422
+  return res.status(status).json(err.details ? { error: message, details: err.details } : { error: message });
 }
 
 module.exports = {
@@ -0,0 +1,118 @@
+const {
+  fingerprintRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+} = require('../services/idempotency.service');
+const { discardUploadedFiles } = require('../storage/gridfs-upload-storage');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/u;
+
+/**
+ * Read the optional Idempotency-Key header into `req.idempotencyKey`.
+ * Runs before authenticate() so a consumed upload token can be re-presented
+ * by a retry carrying the same key.
+ * @returns {Function} Express middleware
+ */
+function parseIdempotencyKey() {
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        error: 'Idempotency-Key must be 1-255 visible ASCII characters',
+      });
+    }
+
+    req.idempotencyKey = key;
+    return next();
+  };
+}
+
+function scopeFor(auth) {
+  if (auth?.authType === 'token' && auth.tokenId) {
+    return `token:${auth.tokenId}`;
+  }
+  if (auth?.userId) {
+    return `user:${auth.userId}`;
+  }
+  return null;
+}
+
+/**
+ * Replay the stored response for a repeated Idempotency-Key, or record the
+ * response of the first request that uses it. Must run after the body has
+ * been parsed and validated, since the fingerprint covers fields and files.
+ * @returns {Function} Express middleware
+ */
+function idempotentRequest() {
+  return async (req, res, next) => {
+    const key = req.idempotencyKey;
+    const scope = scopeFor(req.auth);
+    if (!key || !scope) {
+      return next();
+    }
+
+    try {
+      const fingerprint = fingerprintRequest(req.body, req.files);
+      const { acquired, record } = await beginIdempotentRequest({ scope, key, fingerprint });
+
+      if (!acquired) {
+        // The retry's parts were streamed before we could tell it was a retry
+        await discardUploadedFiles(req.files);
+
+        if (record.fingerprint !== fingerprint) {
+          return res.status(409).json({
+            error: 'Idempotency-Key was already used with a different request body',
+          });
+        }
+        if (record.status !== 'completed') {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still in progress',
+          });
+        }
+
+        req.log.info({ idempotencyKey: key }, 'Replaying idempotent response');
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(record.response.statusCode).json(record.response.body);
+      }
+
+      // Record the response before it is sent so a fast retry cannot miss it
+      let settled = false;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        settled = true;
+        const statusCode = res.statusCode;
+        const persisted = statusCode < 500
+          ? completeIdempotentRequest({ scope, key, statusCode, body })
+          : releaseIdempotentRequest({ scope, key });
+        persisted
+          .catch((err) => {
+            req.log.error({ err, idempotencyKey: key }, 'Failed to record idempotent response');
+          })
+          .finally(() => json(body));
+        return res;
+      };
+
+      // Free the key if the request ends without a JSON response
+      res.once('close', () => {
+        if (!settled) {
+          releaseIdempotentRequest({ scope, key }).catch(() => {});
+        }
+      });
+
+      return next();
+    } catch (error) {
+      await discardUploadedFiles(req.files);
+      return next(error);
+    }
+  };
+}
+
+module.exports = {
+  parseIdempotencyKey,
+  idempotentRequest,
+};
@@ -53,6 +53,27 @@ function requireInternalAuth() {
   };
 }
 
+/**
+ * Optional internal service authentication
+ * Marks the request as internally authenticated when a valid X-Internal-Key
+ * header is present, but never rejects the request. Used on routes that are
+ * open to both internal services and artwork owners.
+ * @returns {Function} Express middleware
+ */
+function optionalInternalAuth() {
+  return (req, res, next) => {
+    const providedKey = req.headers['x-internal-key'];
+
+    if (providedKey && INTERNAL_API_KEY && timingSafeEqual(providedKey, INTERNAL_API_KEY)) {
+      req.internalAuth = true;
+    } else if (providedKey) {
+      logger.warn({ path: req.path, ip: req.ip }, 'Ignoring invalid internal API key');
+    }
+
+    next();
+  };
+}
+
 /**
  * Constant-time string comparison to prevent timing attacks
  * @param {string} a - First string
@@ -81,4 +102,5 @@ function timingSafeEqual(a, b) {
 
 module.exports = {
   requireInternalAuth,
+  optionalInternalAuth,
 };
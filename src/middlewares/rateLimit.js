@@ -24,9 +24,18 @@ const similaritySearchLimiter = rateLimit({
   message: { error: 'Similarity search limit exceeded. Try again later.' },
 });
 
+const provenanceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Provenance check limit exceeded. Try again later.' },
+});
+
 module.exports = {
   generalLimiter,
   uploadLimiter,
   similaritySearchLimiter,
+  provenanceLimiter,
 };
 
@@ -1,8 +1,9 @@
 const { ZodError } = require('zod');
 const logger = require('../config/logger');
+const { discardUploadedFiles } = require('../storage/gridfs-upload-storage');
 
 function validateRequest(schema) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (schema.body) {
         req.body = schema.body.parse(req.body);
@@ -22,6 +23,8 @@ function validateRequest(schema) {
         };
         const log = req && req.log ? req.log : logger;
         log.warn({ validationIssues: responseError.details }, 'Request validation failed');
+        // Multipart bodies are only parsed once their files have streamed to storage
+        await discardUploadedFiles(req.files);
         return res.status(400).json(responseError);
       }
       return next(error);
@@ -1,5 +1,4 @@
 const express = require('express');
-const multer = require('multer');
 const {
   uploadArtwork,
   getArtworkStream,
@@ -12,125 +11,147 @@ const {
   downloadArtwork,
   checkExists,
   getMask,
+  getMaskPreview,
+  renderArtwork,
+  reconstructArtwork,
+  updateArtworkMetadata,
+  removeArtwork,
+  restoreArtworkFromTrash,
+  getMyTrash,
+  verifyProvenance,
 } = require('../controllers/artworks.controller');
-const { uploadLimiter } = require('../middlewares/rateLimit');
+const { uploadLimiter, provenanceLimiter } = require('../middlewares/rateLimit');
 const { validateRequest } = require('../middlewares/validateRequest');
-const { authenticate } = require('../middlewares/auth');
+const {
+  authenticate,
+  optionalUserSession,
+  requireUserOrInternal,
+} = require('../middlewares/auth');
+const { optionalInternalAuth } = require('../middlewares/internalAuth');
+const { artworkFiles, provenanceImage } = require('../middlewares/artworkUpload');
+const { parseIdempotencyKey, idempotentRequest } = require('../middlewares/idempotency');
 const {
   uploadArtworkSchema,
+  updateArtworkSchema,
   artworkStreamSchema,
   artworkMetadataSchema,
+  renderArtworkSchema,
   artworkSearchSchema,
   batchArtworksSchema,
   downloadUrlSchema,
   checkExistsSchema,
   maskSchema,
+  maskPreviewSchema,
+  deleteArtworkSchema,
+  restoreArtworkSchema,
+  reconstructArtworkSchema,
 } = require('../validators/artwork.validators');
 
-const ALLOWED_IMAGE_TYPES = new Set([
-  'image/jpeg',
-  'image/png',
-  'image/webp',
-  'image/avif',
-  'image/gif',
-]);
-
-const FILE_RULES = {
-  original: {
-    mimeTypes: ALLOWED_IMAGE_TYPES,
-    label: 'original image',
-  },
-  protected: {
-    mimeTypes: ALLOWED_IMAGE_TYPES,
-    label: 'protected image',
-  },
-  mask: {
-    mimeTypes: new Set(['application/octet-stream']),
-    label: 'mask asset (SAC v1)',
-  },
-  analysis: {
-    mimeTypes: new Set(['application/json']),
-    label: 'analysis JSON document',
-  },
-  summary: {
-    mimeTypes: new Set(['application/json']),
-    label: 'summary JSON document',
-  },
-};
-
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 256 * 1024 * 1024,
-  },
-  fileFilter: (req, file, cb) => {
-    const rule = FILE_RULES[file.fieldname];
-    if (!rule) {
-      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
-    }
-    if (!rule.mimeTypes.has(file.mimetype)) {
-      const err = new Error(`Invalid file type for ${rule.label}`);
-      err.status = 400;
-      return cb(err);
-    }
-    return cb(null, true);
-  },
-});
-
 const router = express.Router();
 
-const uploadFields = upload.fields([
-  { name: 'original', maxCount: 1 },
-  { name: 'protected', maxCount: 1 },
-  { name: 'mask', maxCount: 1 },
-  { name: 'analysis', maxCount: 1 },
-  { name: 'summary', maxCount: 1 },
-]);
+// Identifies owners and internal callers on read routes without requiring either,
+// so private artworks and restricted variants can be gated per request
+const identifyViewer = [optionalInternalAuth(), optionalUserSession()];
 
-// Upload endpoint (requires authentication)
+// Upload endpoint (requires authentication). Retries that repeat an
+// Idempotency-Key get the first response back instead of a second artwork.
 router.post(
   '/',
   uploadLimiter,
+  parseIdempotencyKey(),
   authenticate({ consume: true }),
-  uploadFields,
+  artworkFiles(),
   validateRequest(uploadArtworkSchema),
+  idempotentRequest(),
   uploadArtwork,
 );
 
+// Checks the provenance manifest embedded in a protected image; the image is not stored
+router.post('/verify-provenance', provenanceLimiter, identifyViewer, provenanceImage(), verifyProvenance);
+
 // Read endpoints
 router.get('/', validateRequest(artworkSearchSchema), search);
-router.get('/check-exists', validateRequest(checkExistsSchema), checkExists);
+router.get('/check-exists', validateRequest(checkExistsSchema), identifyViewer, checkExists);
 router.get('/me', authenticate({ required: true }), getMyArtworks);
-router.post('/batch', validateRequest(batchArtworksSchema), getBatchArtworks);
+router.get('/me/trash', authenticate({ required: true }), getMyTrash);
+router.post('/batch', validateRequest(batchArtworksSchema), identifyViewer, getBatchArtworks);
 router.get(
   '/:id',
   validateRequest(artworkStreamSchema),
+  identifyViewer,
   getArtworkStream,
 );
 router.get(
   '/:id/metadata',
   validateRequest(artworkMetadataSchema),
+  identifyViewer,
   getArtworkMetadata,
 );
 router.get(
   '/:id/variants',
   validateRequest(artworkMetadataSchema),
+  identifyViewer,
   getArtworkVariants,
 );
+router.get(
+  '/:id/render',
+  validateRequest(renderArtworkSchema),
+  identifyViewer,
+  renderArtwork,
+);
 router.get(
   '/:id/mask',
   validateRequest(maskSchema),
+  identifyViewer,
   getMask,
 );
+router.get(
+  '/:id/mask/preview',
+  validateRequest(maskPreviewSchema),
+  identifyViewer,
+  getMaskPreview,
+);
+router.get(
+  '/:id/reconstruct',
+  validateRequest(reconstructArtworkSchema),
+  optionalInternalAuth(),
+  requireUserOrInternal(),
+  reconstructArtwork,
+);
 router.get(
   '/:id/download-url',
   validateRequest(downloadUrlSchema),
+  identifyViewer,
   getArtworkDownloadUrl,
 );
 router.get(
   '/:id/download',
   validateRequest(artworkStreamSchema),
+  identifyViewer,
   downloadArtwork,
 );
 
+// Write endpoints (owner session or internal service)
+router.patch(
+  '/:id',
+  validateRequest(updateArtworkSchema),
+  optionalInternalAuth(),
+  requireUserOrInternal(),
+  updateArtworkMetadata,
+);
+router.delete(
+  '/:id',
+  validateRequest(deleteArtworkSchema),
+  optionalInternalAuth(),
+  requireUserOrInternal(),
+  removeArtwork,
+);
+router.post(
+  '/:id/restore',
+  validateRequest(restoreArtworkSchema),
+  optionalInternalAuth(),
+  requireUserOrInternal(),
+  restoreArtworkFromTrash,
+);
+
 module.exports = router;
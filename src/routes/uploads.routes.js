@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  createUpload,
+  getUploadProgress,
+  uploadChunk,
+  cancelUpload,
+  finalizeUpload,
+} = require('../controllers/uploads.controller');
+const { uploadLimiter } = require('../middlewares/rateLimit');
+const { validateRequest } = require('../middlewares/validateRequest');
+const { authenticate } = require('../middlewares/auth');
+const { artworkFiles } = require('../middlewares/artworkUpload');
+const {
+  createUploadSchema,
+  uploadSessionSchema,
+  finalizeUploadSchema,
+} = require('../validators/upload.validators');
+
+const router = express.Router();
+
+// Resumable uploads - every request carries the upload token, which is only
+// consumed once the session has been finalized into an artwork
+router.post(
+  '/',
+  uploadLimiter,
+  authenticate({ consume: false }),
+  validateRequest(createUploadSchema),
+  createUpload,
+);
+router.head('/:id', validateRequest(uploadSessionSchema), authenticate({ consume: false }), getUploadProgress);
+router.patch('/:id', validateRequest(uploadSessionSchema), authenticate({ consume: false }), uploadChunk);
+router.delete('/:id', validateRequest(uploadSessionSchema), authenticate({ consume: false }), cancelUpload);
+router.post(
+  '/:id/finalize',
+  authenticate({ consume: false }),
+  artworkFiles({ exclude: ['original'] }),
+  validateRequest(finalizeUploadSchema),
+  finalizeUpload,
+);
+
+module.exports = router;
@@ -41,6 +41,9 @@ const { validateSecureEnv } = require('./config/env-secure');
 const { connectMongo, disconnectMongo, getDb, getClient } = require('./config/mongo');
 const { ensureIndexes } = require('./config/indexes');
 const { cleanupTokens } = require('./services/token.service');
+const { purgeDeletedArtworks } = require('./services/artwork.service');
+const { purgeExpiredUploadSessions } = require('./services/upload-session.service');
+const { collectOrphanedFiles } = require('./services/orphan-gc.service');
 const logger = require('./config/logger');
 const { performSelfUpdate } = require('./utils/self-update');
 const createApp = require('./app');
@@ -48,6 +51,29 @@ const { createAuth } = require('./auth/betterAuth');
 
 let server;
 let cleanupInterval;
+let purgeInterval;
+let orphanInterval;
+
+async function runTrashPurge() {
+  const { purged, filesDeleted, fileErrors } = await purgeDeletedArtworks();
+  if (fileErrors.length > 0) {
+    logger.warn({ fileErrors }, 'Some trashed artwork files could not be deleted');
+  }
+  if (purged > 0) {
+    logger.info({ purged, filesDeleted }, 'Purged trashed artworks past retention');
+  }
+}
+
+async function runOrphanCollection() {
+  const dryRun = !config.orphans.autoDelete;
+  const { orphans, orphanBytes, deleted, errors } = await collectOrphanedFiles({ dryRun });
+  if (errors.length > 0) {
+    logger.warn({ errors }, 'Some orphaned files could not be processed');
+  }
+  if (orphans > 0) {
+    logger.info({ orphans, orphanBytes, deleted, dryRun }, dryRun ? 'Found orphaned files' : 'Deleted orphaned files');
+  }
+}
 
 async function start() {
   try {
@@ -96,6 +122,15 @@ async function start() {
       } catch (err) {
         logger.error({ err }, 'Token cleanup failed');
       }
+
+      try {
+        const sessions = await purgeExpiredUploadSessions();
+        if (sessions > 0) {
+          logger.info({ sessions }, 'Discarded expired upload sessions');
+        }
+      } catch (err) {
+        logger.error({ err }, 'Upload session cleanup failed');
+      }
     }, 60 * 60 * 1000); // 1 hour
 
     // Run initial cleanup
@@ -104,6 +139,33 @@ async function start() {
       logger.info({ deleted }, 'Initial token cleanup completed');
     }
 
+    // Start trash purge scheduler (runs every hour)
+    purgeInterval = setInterval(async () => {
+      try {
+        await runTrashPurge();
+      } catch (err) {
+        logger.error({ err }, 'Trash purge failed');
+      }
+    }, 60 * 60 * 1000); // 1 hour
+
+    try {
+      await runTrashPurge();
+    } catch (err) {
+      logger.error({ err }, 'Initial trash purge failed');
+    }
+
+    // Start orphaned file collection (runs daily; scans every stored file)
+    orphanInterval = setInterval(() => {
+      runOrphanCollection().catch((err) => {
+        logger.error({ err }, 'Orphaned file collection failed');
+      });
+    }, 24 * 60 * 60 * 1000); // 24 hours
+
+    // Don't hold up startup on a full storage scan
+    runOrphanCollection().catch((err) => {
+      logger.error({ err }, 'Initial orphaned file collection failed');
+    });
+
     const app = await createApp(auth);
     server = http.createServer(app);
     server.listen(config.port, '127.0.0.1', () => {
@@ -120,6 +182,12 @@ async function shutdown(signal) {
   if (cleanupInterval) {
     clearInterval(cleanupInterval);
   }
+  if (purgeInterval) {
+    clearInterval(purgeInterval);
+  }
+  if (orphanInterval) {
+    clearInterval(orphanInterval);
+  }
   if (server) {
     await new Promise((resolve) => server.close(resolve));
   }
@@ -3,16 +3,33 @@ const { Readable } = require('stream');
 const sharp = require('sharp');
 const { ObjectId } = require('mongodb');
 const { getDb } = require('../config/mongo');
+const config = require('../config/env');
 const {
   getOriginalBucket,
   getProtectedBucket,
   getMaskBucket,
+  getBucketByKey,
   uploadStreamToBucket,
-  deleteFileFromBucket,
+  downloadStreamFromBucket,
+  LEGACY_DRIVER,
 } = require('../storage/gridfs');
 const { sha256FromBuffer } = require('../utils/checksum');
+const { withTempFile } = require('../utils/temp-file');
+const { sniffImageType } = require('../utils/image-signature');
+const { extractImageMetadata } = require('../utils/image-metadata');
 const { processHashesForStorage } = require('./hash-storage.service');
-const { parseSAC } = require('./sac-encoder.service');
+const {
+  parseSAC,
+  validateSACLayout,
+  verifySAC2Stream,
+  RGB_ARRAYS_COUNT,
+} = require('./sac-encoder.service');
+const { revokeTokensForArtwork } = require('./token.service');
+const { acquireBlob, releaseBlob } = require('./blob.service');
+const { vpTreeCache } = require('./vptree.service');
+const { purgeRenderCache } = require('./render-cache.service');
+const { sanitizeUploadedImage } = require('./image-sanitizer.service');
+const { embedProvenance } = require('./provenance.service');
 
 const cpuCount = typeof os.availableParallelism === 'function'
   ? os.availableParallelism()
@@ -21,6 +38,23 @@ const workerCount = Math.max(1, cpuCount - 1);
 sharp.cache(false);
 sharp.concurrency(workerCount);
 
+const VISIBILITY_LEVELS = ['public', 'unlisted', 'private'];
+// Variants that are only served through a signed URL minted by the owner (or an internal service)
+const RESTRICTED_VARIANTS = new Set(['original']);
+// Unlisted and private works are left out of search and similarity results
+const LISTED_FILTER = { visibility: { $nin: ['unlisted', 'private'] } };
+
+// Fields no read path returns, e.g. metadata stripped from uploaded images
+const PRIVATE_FIELDS = ['privateMetadata'];
+const PUBLIC_PROJECTION = Object.fromEntries(PRIVATE_FIELDS.map((field) => [field, 0]));
+
+// Fields of `imageMetadata` that GET /artworks can filter on by substring
+const IMAGE_METADATA_TEXT_FIELDS = ['copyright', 'creator', 'software', 'colorProfile'];
+
+function isPrivateField(field) {
+  return PRIVATE_FIELDS.some((name) => field === name || field.startsWith(`${name}.`));
+}
+
 function parseTags(input) {
   if (!input) return [];
   if (Array.isArray(input)) return input.map((tag) => tag.trim()).filter(Boolean);
@@ -49,14 +83,98 @@ function parseExtra(extra) {
   }
 }
 
+// Files streamed to GridFS by the upload storage engine arrive with a fileId instead of a buffer
+function isStoredFile(file) {
+  return Boolean(file && file.fileId);
+}
+
 function ensureFilePresence(file, label) {
-  if (!file || !file.buffer) {
+  if (!file || (!file.buffer && !isStoredFile(file))) {
     const err = new Error(`Missing ${label}`);
     err.status = 400;
     throw err;
   }
 }
 
+function toBuffer(file) {
+  return Buffer.isBuffer(file.buffer) ? file.buffer : Buffer.from(file.buffer);
+}
+
+/**
+ * Read image metadata from a streamed upload's probe prefix. Containers that
+ * need the whole file (WebP, AVIF) are spooled from GridFS to a temp file so
+ * the image is never held in memory.
+ */
+async function probeStoredImage(file, bucket) {
+  try {
+    return await sharp(file.probe, { failOnError: false }).metadata();
+  } catch (error) {
+    if (!file.probeTruncated) throw error;
+  }
+
+  return withTempFile(
+    downloadStreamFromBucket(bucket, file.fileId),
+    'artwork-probe',
+    (filePath) => sharp(filePath, { failOnError: false }).metadata(),
+  );
+}
+
+/**
+ * Check a streamed SAC v2 mask as it is read back from storage. Its checksum
+ * footer and compressed payload cover the whole file, which the header probe
+ * alone cannot check.
+ */
+function verifyStoredMask(file, header) {
+  const bucket = getBucketByKey(file.bucketKey || 'masks', file.driver);
+  return verifySAC2Stream(downloadStreamFromBucket(bucket, file.fileId), header);
+}
+
+function readImageMetadata(item) {
+  return isStoredFile(item.file)
+    ? probeStoredImage(item.file, item.bucket)
+    : sharp(item.data, { failOnError: false }).metadata();
+}
+
+// Dimensions as displayed, i.e. after EXIF orientation is applied
+function displayedSize(metadata) {
+  return metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Reject uploads whose protected image or mask does not line up with the
+ * original pixel for pixel. Masks without dimensions in their header are only
+ * checked for layout. Throws a 422 listing every mismatch.
+ */
+function assertConsistentAssets(originalMetadata, protectedMetadata, maskHeader) {
+  const expected = displayedSize(originalMetadata);
+  const candidates = [
+    { asset: 'protected', actual: displayedSize(protectedMetadata) },
+    maskHeader.width && maskHeader.height
+      ? { asset: 'mask', actual: { width: maskHeader.width, height: maskHeader.height } }
+      : null,
+  ];
+
+  const inconsistencies = candidates
+    .filter((candidate) => candidate
+      && (candidate.actual.width !== expected.width || candidate.actual.height !== expected.height))
+    .map(({ asset, actual }) => ({
+      asset,
+      property: 'dimensions',
+      expected,
+      actual,
+      message: `${asset} is ${actual.width}x${actual.height}, original is ${expected.width}x${expected.height}`,
+    }));
+
+  if (inconsistencies.length > 0) {
+    const err = new Error('Artwork assets are inconsistent');
+    err.status = 422;
+    err.details = inconsistencies;
+    throw err;
+  }
+}
+
 function resolveFilename(originalName, fallback) {
   return originalName && typeof originalName === 'string' && originalName.trim().length
     ? originalName
@@ -76,19 +194,15 @@ async function createArtwork({
   ensureFilePresence(protectedFile, 'protected image');
   ensureFilePresence(maskFile, 'mask file');
 
-  const originalBuffer = Buffer.isBuffer(originalFile.buffer)
-    ? originalFile.buffer
-    : Buffer.from(originalFile.buffer);
-  const protectedBuffer = Buffer.isBuffer(protectedFile.buffer)
-    ? protectedFile.buffer
-    : Buffer.from(protectedFile.buffer);
-  const maskBuffer = Buffer.isBuffer(maskFile.buffer)
-    ? maskFile.buffer
-    : Buffer.from(maskFile.buffer);
-
-  // Validate SAC v1 format for mask
+  // Validate SAC v1/v2 format for mask
+  let maskHeader;
   try {
-    parseSAC(maskBuffer);
+    maskHeader = isStoredFile(maskFile)
+      ? validateSACLayout(maskFile.probe, maskFile.size)
+      : parseSAC(toBuffer(maskFile));
+    if (isStoredFile(maskFile) && maskHeader.version === 2) {
+      await verifyStoredMask(maskFile, maskHeader);
+    }
   } catch (error) {
     const err = new Error(`Invalid SAC format for mask: ${error.message}`);
     err.status = 400;
@@ -101,35 +215,30 @@ async function createArtwork({
 
   const originalMimeType = originalFile.mimetype || 'application/octet-stream';
   const protectedMimeType = protectedFile.mimetype || 'application/octet-stream';
-  const maskMimeType = 'application/octet-stream'; // SAC v1 format
-
-  const originalChecksum = sha256FromBuffer(originalBuffer);
-  const protectedChecksum = sha256FromBuffer(protectedBuffer);
-  const maskChecksum = sha256FromBuffer(maskBuffer);
-
-  const baseImage = sharp(originalBuffer, { failOnError: false });
-  const metaInfo = await baseImage.metadata();
+  const maskMimeType = 'application/octet-stream'; // SAC v1/v2 format
 
   const uploadPlan = [
     {
       key: 'original',
+      label: 'original image',
+      image: true,
       bucket: getOriginalBucket(),
       bucketKey: 'originals',
       filename: originalFilename,
       contentType: originalMimeType,
-      data: originalBuffer,
-      checksum: originalChecksum,
+      file: originalFile,
     },
     {
       key: 'protected',
+      label: 'protected image',
+      image: true,
       bucket: getProtectedBucket(),
       bucketKey: 'protected',
       filename: protectedFilename,
       contentType: protectedMimeType,
-      data: protectedBuffer,
-      checksum: protectedChecksum,
+      file: protectedFile,
     },
-    // Mask is stored in SAC v1 binary format
+    // Mask is stored as uploaded, in SAC v1 or v2 binary format
     // SAC = Simple Array Container - compact binary protocol for int16 arrays
     {
       key: 'mask',
@@ -137,64 +246,164 @@ async function createArtwork({
       bucketKey: 'masks',
       filename: maskFilename,
       contentType: maskMimeType,
-      data: maskBuffer,
-      checksum: maskChecksum,
+      file: maskFile,
     },
   ];
 
-  const uploadResults = await Promise.allSettled(
-    uploadPlan.map((item) =>
-      uploadStreamToBucket(
-        item.bucket,
-        Readable.from(item.data),
-        { filename: item.filename, contentType: item.contentType },
-      ),
-    ),
+  for (const item of uploadPlan) {
+    if (isStoredFile(item.file)) {
+      item.bucketKey = item.file.bucketKey || item.bucketKey;
+      item.bucket = getBucketByKey(item.bucketKey, item.file.driver);
+      item.bytes = item.file.size;
+      item.checksum = item.file.checksum;
+    } else {
+      item.data = toBuffer(item.file);
+      item.bytes = item.data.length;
+      item.checksum = sha256FromBuffer(item.data);
+    }
+  }
+
+  // The declared type is what the image is later served as, so the content has to match it
+  const imagePlans = uploadPlan.filter((item) => item.image);
+  for (const item of imagePlans) {
+    const sniffedType = sniffImageType(isStoredFile(item.file) ? item.file.probe : item.data);
+    if (sniffedType !== item.contentType) {
+      const err = new Error(sniffedType
+        ? `Invalid file type for ${item.label}: content is ${sniffedType}, declared ${item.contentType}`
+        : `Invalid file type for ${item.label}: content is not a supported image`);
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  const [originalPlan, protectedPlan] = uploadPlan;
+  if (config.uploads.validateConsistency) {
+    for (const item of imagePlans) {
+      item.metadata = await readImageMetadata(item);
+    }
+    assertConsistentAssets(originalPlan.metadata, protectedPlan.metadata, maskHeader);
+  }
+
+  // Read before sanitising, which strips the embedded metadata from the original
+  originalPlan.metadata = originalPlan.metadata || await readImageMetadata(originalPlan);
+  const imageMetadata = extractImageMetadata(originalPlan.metadata);
+
+  const strippedMetadata = {};
+  if (config.uploads.sanitizeImages) {
+    // One at a time: re-encoding the original decodes a full image
+    for (const item of imagePlans) {
+      let stripped;
+      try {
+        stripped = await sanitizeUploadedImage(item);
+      } catch (error) {
+        const err = new Error(`Could not sanitise ${item.label}: ${error.message}`);
+        err.status = 400;
+        throw err;
+      }
+      if (stripped) strippedMetadata[item.key] = stripped;
+    }
+  }
+
+  const metaInfo = originalPlan.metadata;
+
+  // The id is fixed up front so the protected image can name its artwork
+  const artworkId = new ObjectId();
+  let provenance = null;
+  if (config.uploads.embedProvenance) {
+    const protectedAt = new Date();
+    try {
+      const manifest = await embedProvenance(protectedPlan, {
+        artworkId,
+        owner: userId,
+        originalChecksum: originalPlan.checksum,
+        protectedAt,
+      });
+      if (manifest) provenance = { version: manifest.version, protectedAt };
+    } catch (error) {
+      const err = new Error(`Could not embed provenance in protected image: ${error.message}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  // Content already stored under the same checksum is reused instead of written again.
+  // Streamed files are adopted (or dropped as duplicates) once acquired; until then the
+  // caller rolls them back.
+  const acquireResults = await Promise.allSettled(
+    uploadPlan.map(async (item) => {
+      const blob = await acquireBlob({
+        driver: item.bucket.driver,
+        bucketKey: item.bucketKey,
+        checksum: item.checksum,
+        bytes: item.bytes,
+        fileId: isStoredFile(item.file) ? item.file.fileId : null,
+        upload: () => uploadStreamToBucket(
+          item.bucket,
+          Readable.from(item.data),
+          { filename: item.filename, contentType: item.contentType },
+        ),
+      });
+      item.fileId = blob.fileId;
+      item.file.adopted = true;
+      return blob;
+    }),
+  );
+
+  const releaseAcquired = () => Promise.all(
+    uploadPlan
+      .filter((item, index) => acquireResults[index].status === 'fulfilled')
+      .map((item) => releaseBlob({
+        driver: item.bucket.driver,
+        bucketKey: item.bucketKey,
+        fileId: item.fileId,
+      }).catch(() => {})),
   );
 
-  const failed = uploadResults.find((result) => result.status === 'rejected');
+  const failed = acquireResults.find((result) => result.status === 'rejected');
   if (failed) {
-    await Promise.all(
-      uploadResults.map((result, index) =>
-        result.status === 'fulfilled'
-          ? deleteFileFromBucket(uploadPlan[index].bucket, result.value).catch(() => {})
-          : Promise.resolve(),
-      ),
-    );
+    await releaseAcquired();
     throw failed.reason || new Error('Failed to upload artwork assets');
   }
 
-  const formats = uploadResults.reduce((acc, result, index) => {
-    if (result.status !== 'fulfilled') return acc;
-    const plan = uploadPlan[index];
+  const formats = uploadPlan.reduce((acc, plan) => {
     acc[plan.key] = {
-      fileId: result.value,
+      fileId: plan.fileId,
       bucket: plan.bucketKey,
+      driver: plan.bucket.driver,
       contentType: plan.contentType,
       filename: plan.filename,
-      bytes: plan.data.length,
+      bytes: plan.bytes,
       checksum: plan.checksum,
     };
     return acc;
   }, {});
+  // getMask converts between container versions and dtypes on request
+  formats.mask.sacVersion = maskHeader.version;
+  formats.mask.sacDtype = maskHeader.dtype;
 
   const document = {
+    _id: artworkId,
     title: body.title || null,
-    artist: body.artist || null,
+    // The form wins; embedded metadata only fills in what it leaves out
+    artist: body.artist || imageMetadata.creator || null,
     tags: parseTags(body.tags),
     description: body.description || null,
-    createdAt: safeDate(body.createdAt),
+    createdAt: safeDate(body.createdAt || imageMetadata.capturedAt),
     width: metaInfo.width || null,
     height: metaInfo.height || null,
+    imageMetadata,
     mimeType: originalMimeType,
-    bytes: originalBuffer.length,
-    checksum: originalChecksum,
+    bytes: originalPlan.bytes,
+    checksum: originalPlan.checksum,
     formats,
     analysis: analysisJson || null,
     summary: summaryJson || null,
     extra: parseExtra(body.extra),
     uploadedAt: new Date(),
     userId: userId || null,
+    visibility: VISIBILITY_LEVELS.includes(body.visibility) ? body.visibility : 'public',
+    // How clients apply the mask: one luminance difference, or one per colour channel
+    maskMode: maskHeader.arraysCount === RGB_ARRAYS_COUNT ? 'rgb' : 'grayscale',
   };
 
   // Process and add hashes if provided
@@ -206,6 +415,15 @@ async function createArtwork({
     }
   }
 
+  if (provenance) {
+    document.provenance = provenance;
+  }
+
+  // Kept for the owner's records but never returned by the read paths
+  if (config.uploads.sanitizeImages) {
+    document.privateMetadata = { stripped: strippedMetadata };
+  }
+
   if (typeof document.extra === 'undefined') {
     delete document.extra;
   }
@@ -218,19 +436,38 @@ async function createArtwork({
 
   const db = getDb();
   const metaCollection = db.collection('artworks_meta');
-  const result = await metaCollection.insertOne(document);
-  document._id = result.insertedId;
+  try {
+    const result = await metaCollection.insertOne(document);
+    document._id = result.insertedId;
+  } catch (error) {
+    await releaseAcquired();
+    throw error;
+  }
   return document;
 }
 
-async function getArtworkById(id) {
+async function getArtworkById(id, { includeDeleted = false } = {}) {
   const db = getDb();
-  return db.collection('artworks_meta').findOne({ _id: new ObjectId(id) });
+  const filter = { _id: new ObjectId(id) };
+  if (!includeDeleted) filter.deletedAt = null;
+  return db.collection('artworks_meta').findOne(filter, { projection: PUBLIC_PROJECTION });
 }
 
-async function searchArtworks({ artist, tags, text, userId, limit = 20, skip = 0 }) {
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function searchArtworks({
+  artist,
+  tags,
+  text,
+  userId,
+  imageMetadata = {},
+  limit = 20,
+  skip = 0,
+}) {
   const db = getDb();
-  const filter = {};
+  const filter = { deletedAt: null, ...LISTED_FILTER };
   if (artist) filter.artist = artist;
   if (tags && tags.length) {
     filter.tags = { $all: tags };
@@ -238,9 +475,22 @@ async function searchArtworks({ artist, tags, text, userId, limit = 20, skip = 0
   if (text) filter.$text = { $search: text };
   if (userId) filter.userId = userId;
 
+  // Embedded metadata is free text, so it is matched case-insensitively anywhere in the value
+  for (const field of IMAGE_METADATA_TEXT_FIELDS) {
+    if (imageMetadata[field]) {
+      filter[`imageMetadata.${field}`] = { $regex: escapeRegExp(imageMetadata[field]), $options: 'i' };
+    }
+  }
+  if (imageMetadata.capturedFrom || imageMetadata.capturedTo) {
+    filter['imageMetadata.capturedAt'] = {
+      ...(imageMetadata.capturedFrom && { $gte: imageMetadata.capturedFrom }),
+      ...(imageMetadata.capturedTo && { $lte: imageMetadata.capturedTo }),
+    };
+  }
+
   return db
     .collection('artworks_meta')
-    .find(filter)
+    .find(filter, { projection: PUBLIC_PROJECTION })
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(Math.min(limit, 100))
@@ -251,14 +501,14 @@ async function getArtworksByUser(userId, { limit = 20, skip = 0 } = {}) {
   const db = getDb();
   return db
     .collection('artworks_meta')
-    .find({ userId })
+    .find({ userId, deletedAt: null }, { projection: PUBLIC_PROJECTION })
     .sort({ uploadedAt: -1 })
     .skip(skip)
     .limit(Math.min(limit, 100))
     .toArray();
 }
 
-async function getArtworksByIds(ids, fields) {
+async function getArtworksByIds(ids, fields, requester = {}) {
   const db = getDb();
   const collection = db.collection('artworks_meta');
 
@@ -272,12 +522,12 @@ async function getArtworksByIds(ids, fields) {
 
   const projection = fields ?
     fields.split(',').reduce((acc, field) => {
-      acc[field.trim()] = 1;
+      if (!isPrivateField(field.trim())) acc[field.trim()] = 1;
       return acc;
-    }, { _id: 1 }) : {};
+    }, { _id: 1 }) : PUBLIC_PROJECTION;
 
   const artworks = await collection.find(
-    { _id: { $in: objectIds } },
+    { _id: { $in: objectIds }, deletedAt: null, ...buildVisibilityFilter(requester) },
     { projection }
   ).toArray();
 
@@ -292,7 +542,7 @@ async function getAllVariants(artworkId) {
   for (const [key, format] of Object.entries(artwork.formats || {})) {
     variants[key] = {
       contentType: format.contentType,
-      size: format.size,
+      size: format.bytes,
       checksum: format.checksum,
       fileId: format.fileId,
       bucket: format.bucket,
@@ -302,7 +552,7 @@ async function getAllVariants(artworkId) {
   return variants;
 }
 
-async function checkArtworkExists({ id, checksum, title, artist, tags }) {
+async function checkArtworkExists({ id, checksum, title, artist, tags }, requester = {}) {
   const db = getDb();
   const collection = db.collection('artworks_meta');
 
@@ -343,9 +593,9 @@ async function checkArtworkExists({ id, checksum, title, artist, tags }) {
     return { exists: false, matches: [], matchCount: 0 };
   }
 
-  // Find matches using OR logic (match any criteria)
+  // Find matches using OR logic (match any criteria) among artworks the requester can see
   const matches = await collection.find(
-    { $or: queries },
+    { $and: [{ $or: queries }, buildVisibilityFilter(requester)], deletedAt: null },
     {
       projection: {
         _id: 1,
@@ -366,7 +616,240 @@ async function checkArtworkExists({ id, checksum, title, artist, tags }) {
   };
 }
 
+function isArtworkOwner(artwork, { userId = null, internal = false } = {}) {
+  if (internal) return true;
+  return Boolean(userId && artwork.userId && artwork.userId === userId);
+}
+
+// requester.signedVariant is set once the request's signed URL has been verified for this artwork
+function canViewArtwork(artwork, requester = {}) {
+  if (requester.signedVariant) return true;
+  return artwork.visibility !== 'private' || isArtworkOwner(artwork, requester);
+}
+
+// An RGB mask rebuilds the original exactly from the public protected image,
+// so it is guarded like the original
+function isRestrictedVariant(artwork, variant) {
+  return RESTRICTED_VARIANTS.has(variant) || (variant === 'mask' && artwork.maskMode === 'rgb');
+}
+
+function canStreamVariant(artwork, variant, requester = {}) {
+  if (!canViewArtwork(artwork, requester)) return false;
+  if (!isRestrictedVariant(artwork, variant)) return true;
+  if (requester.signedVariant === variant) return true;
+  // Owners and internal callers read RGB masks without signing, as for reconstruction
+  return variant === 'mask' && isArtworkOwner(artwork, requester);
+}
+
+function canSignVariant(artwork, variant, requester = {}) {
+  if (!canViewArtwork(artwork, requester)) return false;
+  return !isRestrictedVariant(artwork, variant) || isArtworkOwner(artwork, requester);
+}
+
+function buildVisibilityFilter({ userId = null, internal = false } = {}) {
+  if (internal) return {};
+  const visible = [{ visibility: { $ne: 'private' } }];
+  if (userId) visible.push({ userId });
+  return { $or: visible };
+}
+
+function assertCanManageArtwork(artwork, requester = {}) {
+  if (isArtworkOwner(artwork, requester)) return;
+  const err = new Error('You do not have permission to modify this artwork');
+  err.status = 403;
+  throw err;
+}
+
+const EDITABLE_FIELDS = ['title', 'artist', 'description', 'tags', 'extra', 'visibility'];
+
+async function updateArtwork(id, changes = {}, { userId = null, internal = false } = {}) {
+  const artwork = await getArtworkById(id);
+  if (!artwork) return null;
+
+  assertCanManageArtwork(artwork, { userId, internal });
+
+  const $set = {};
+  const $unset = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (typeof changes[field] === 'undefined') continue;
+    const value = changes[field];
+
+    if (field === 'tags') {
+      $set.tags = parseTags(value);
+    } else if (field === 'extra') {
+      const extra = parseExtra(value);
+      if (extra === null || typeof extra === 'undefined') {
+        $unset.extra = '';
+      } else {
+        $set.extra = extra;
+      }
+    } else {
+      $set[field] = value || null;
+    }
+  }
+  $set.updatedAt = new Date();
+
+  const update = { $set };
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+
+  const db = getDb();
+  const updated = await db
+    .collection('artworks_meta')
+    .findOneAndUpdate({ _id: artwork._id }, update, { returnDocument: 'after', projection: PUBLIC_PROJECTION });
+
+  // VP-tree points carry title/artist/tags and are built from listed works only
+  if (artwork.hashes && ['title', 'artist', 'tags', 'visibility'].some((field) => field in $set)) {
+    vpTreeCache.invalidate();
+  }
+
+  return updated;
+}
+
+function getTrashRetentionMs() {
+  return config.trash.retentionDays * 24 * 60 * 60 * 1000;
+}
+
+function withPurgeDate(artwork) {
+  return {
+    ...artwork,
+    purgeAt: new Date(artwork.deletedAt.getTime() + getTrashRetentionMs()),
+  };
+}
+
+/**
+ * Moves an artwork to the trash. The document and its files are kept until
+ * purgeDeletedArtworks() removes them after the configured retention period.
+ */
+async function deleteArtwork(id, { userId = null, internal = false } = {}) {
+  const artwork = await getArtworkById(id);
+  if (!artwork) return null;
+
+  assertCanManageArtwork(artwork, { userId, internal });
+
+  const deletedAt = new Date();
+  const db = getDb();
+  await db.collection('artworks_meta').updateOne(
+    { _id: artwork._id },
+    { $set: { deletedAt } },
+  );
+
+  const tokensRevoked = await revokeTokensForArtwork(artwork._id);
+
+  if (artwork.hashes) {
+    vpTreeCache.invalidate();
+  }
+
+  return {
+    ...withPurgeDate({ _id: artwork._id, deletedAt }),
+    tokensRevoked,
+  };
+}
+
+async function restoreArtwork(id, { userId = null, internal = false } = {}) {
+  const artwork = await getArtworkById(id, { includeDeleted: true });
+  if (!artwork) return null;
+
+  assertCanManageArtwork(artwork, { userId, internal });
+
+  if (!artwork.deletedAt) {
+    const err = new Error('Artwork is not in the trash');
+    err.status = 409;
+    throw err;
+  }
+
+  const db = getDb();
+  const restored = await db.collection('artworks_meta').findOneAndUpdate(
+    { _id: artwork._id },
+    { $unset: { deletedAt: '' }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after', projection: PUBLIC_PROJECTION },
+  );
+
+  if (artwork.hashes) {
+    vpTreeCache.invalidate();
+  }
+
+  return restored;
+}
+
+async function getTrashedArtworksByUser(userId, { limit = 20, skip = 0 } = {}) {
+  const db = getDb();
+  const artworks = await db
+    .collection('artworks_meta')
+    .find({ userId, deletedAt: { $ne: null } }, { projection: PUBLIC_PROJECTION })
+    .sort({ deletedAt: -1 })
+    .skip(skip)
+    .limit(Math.min(limit, 100))
+    .toArray();
+
+  return artworks.map(withPurgeDate);
+}
+
+/**
+ * Hard-deletes an artwork: removes the metadata document and releases its GridFS files.
+ */
+async function purgeArtwork(artwork) {
+  // Remove the metadata first so the artwork disappears from every read path
+  // even if a GridFS delete below fails and leaves an orphaned file behind.
+  const db = getDb();
+  await db.collection('artworks_meta').deleteOne({ _id: artwork._id });
+
+  // Files shared with other artworks are only deleted with their last reference
+  const formats = Object.values(artwork.formats || {}).filter((format) => format.fileId);
+  const fileResults = await Promise.allSettled(
+    formats.map((format) => releaseBlob({
+      driver: format.driver || LEGACY_DRIVER,
+      bucketKey: format.bucket,
+      fileId: format.fileId,
+    })),
+  );
+
+  // Cached renders are not blobs; they belong to this artwork alone
+  const renderErrors = await purgeRenderCache(artwork._id);
+
+  return {
+    id: artwork._id,
+    filesDeleted: fileResults.filter((result) => result.status === 'fulfilled' && result.value).length,
+    fileErrors: fileResults
+      .map((result, index) => (result.status === 'rejected'
+        ? { fileId: formats[index].fileId, bucket: formats[index].bucket, error: result.reason?.message }
+        : null))
+      .filter(Boolean)
+      .concat(renderErrors),
+  };
+}
+
+/**
+ * Purges trashed artworks whose retention period has elapsed
+ * @param {Object} options
+ * @param {number} [options.olderThan] - Purge artworks trashed longer ago than this many milliseconds
+ * @returns {Promise<Object>} Number of artworks purged, files deleted and file errors
+ */
+async function purgeDeletedArtworks({ olderThan = getTrashRetentionMs() } = {}) {
+  const db = getDb();
+  const cutoffDate = new Date(Date.now() - olderThan);
+
+  const expired = await db
+    .collection('artworks_meta')
+    .find({ deletedAt: { $lte: cutoffDate } })
+    .project({ _id: 1, formats: 1 })
+    .toArray();
+
+  const summary = { purged: 0, filesDeleted: 0, fileErrors: [] };
+  for (const artwork of expired) {
+    const result = await purgeArtwork(artwork);
+    summary.purged += 1;
+    summary.filesDeleted += result.filesDeleted;
+    summary.fileErrors.push(...result.fileErrors);
+  }
+
+  return summary;
+}
+
 module.exports = {
+  VISIBILITY_LEVELS,
+  IMAGE_WORKER_COUNT: workerCount,
   createArtwork,
   getArtworkById,
   searchArtworks,
@@ -374,4 +857,13 @@ module.exports = {
   getArtworksByUser,
   getAllVariants,
   checkArtworkExists,
+  canViewArtwork,
+  canStreamVariant,
+  canSignVariant,
+  isArtworkOwner,
+  updateArtwork,
+  deleteArtwork,
+  restoreArtwork,
+  getTrashedArtworksByUser,
+  purgeDeletedArtworks,
 };
@@ -0,0 +1,251 @@
+const { getDb } = require('../config/mongo');
+const {
+  DEFAULT_VARIANT_BUCKETS,
+  LEGACY_DRIVER,
+  getBucketByKey,
+  getFileLength,
+  deleteFileFromBucket,
+} = require('../storage/gridfs');
+
+const BLOB_COLLECTION = 'gridfs_blobs';
+const MAX_ACQUIRE_ATTEMPTS = 3;
+
+function getCollection() {
+  return getDb().collection(BLOB_COLLECTION);
+}
+
+// Blob records written before storage drivers existed have no driver and live in GridFS
+function driverFilter(driver) {
+  return driver === LEGACY_DRIVER ? { $in: [LEGACY_DRIVER, null] } : driver;
+}
+
+function sameId(a, b) {
+  return String(a) === String(b);
+}
+
+/**
+ * Take a reference on the blob holding the given content, storing it only
+ * when no identical blob exists in the bucket yet.
+ *
+ * Pass `fileId` for content that is already stored (streamed uploads); it is
+ * deleted when an identical blob is found. Pass `upload` for buffered content;
+ * it is only called when the content has to be written.
+ * @param {Object} options
+ * @param {string} options.driver - Storage driver the content is stored with
+ * @param {string} options.bucketKey - Bucket key (originals, protected, masks)
+ * @param {string} options.checksum - `sha256:` checksum of the content
+ * @param {number} options.bytes - Content length
+ * @param {ObjectId} [options.fileId] - Already-stored copy of the content
+ * @param {Function} [options.upload] - Writes the content and resolves to its file ID
+ * @returns {Promise<{ fileId: ObjectId, deduplicated: boolean }>}
+ */
+async function acquireBlob({ driver, bucketKey, checksum, bytes, fileId = null, upload = null }) {
+  const bucket = getBucketByKey(bucketKey, driver);
+  const collection = getCollection();
+  let storedId = fileId;
+
+  for (let attempt = 0; attempt < MAX_ACQUIRE_ATTEMPTS; attempt += 1) {
+    const existing = await collection.findOneAndUpdate(
+      { driver: driverFilter(driver), bucket: bucketKey, checksum },
+      { $inc: { refCount: 1 }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' },
+    );
+
+    if (existing) {
+      if (storedId && !sameId(storedId, existing.fileId)) {
+        await deleteFileFromBucket(bucket, storedId).catch(() => {});
+      }
+      return { fileId: existing.fileId, deduplicated: true };
+    }
+
+    if (!storedId) {
+      storedId = await upload();
+    }
+
+    try {
+      const now = new Date();
+      await collection.insertOne({
+        driver,
+        bucket: bucketKey,
+        checksum,
+        fileId: storedId,
+        bytes,
+        refCount: 1,
+        createdAt: now,
+        updatedAt: now,
+      });
+      return { fileId: storedId, deduplicated: false };
+    } catch (error) {
+      // Another upload registered the same content first; take a reference on theirs
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Could not register blob ${checksum} in '${bucketKey}' (${driver})`);
+}
+
+/**
+ * Drop one reference to a stored file and delete it once nothing uses it.
+ * Files that predate blob tracking have no record and are deleted directly.
+ * @param {Object} options
+ * @param {string} options.driver - Storage driver from `formats.*.driver`
+ * @param {string} options.bucketKey - Bucket key from `formats.*.bucket`
+ * @param {ObjectId} options.fileId - Stored file ID
+ * @returns {Promise<boolean>} True if the stored file was deleted
+ */
+async function releaseBlob({ driver, bucketKey, fileId }) {
+  const bucket = getBucketByKey(bucketKey, driver);
+  if (!bucket) {
+    throw new Error(`Unknown bucket '${bucketKey}'`);
+  }
+
+  const collection = getCollection();
+  const blob = await collection.findOneAndUpdate(
+    { driver: driverFilter(driver), bucket: bucketKey, fileId },
+    { $inc: { refCount: -1 }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after' },
+  );
+
+  if (!blob) {
+    await deleteFileFromBucket(bucket, fileId);
+    return true;
+  }
+
+  if (blob.refCount > 0) {
+    return false;
+  }
+
+  // Only delete if no upload took a new reference in the meantime
+  const removed = await collection.deleteOne({ _id: blob._id, refCount: { $lte: 0 } });
+  if (removed.deletedCount === 0) {
+    return false;
+  }
+
+  await deleteFileFromBucket(bucket, fileId);
+  return true;
+}
+
+/**
+ * Collapse stored files with identical content into a single blob per driver and bucket,
+ * repoint every artwork at the surviving file and rebuild reference counts.
+ * Safe to re-run; run it while uploads and deletes are paused.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @returns {Promise<Object>} Migration summary
+ */
+async function collapseDuplicateBlobs({ dryRun = false } = {}) {
+  const db = getDb();
+  const collection = getCollection();
+  const groups = new Map();
+
+  const cursor = db
+    .collection('artworks_meta')
+    .find({}, { projection: { formats: 1 } })
+    .sort({ _id: 1 });
+
+  for await (const artwork of cursor) {
+    for (const [variant, format] of Object.entries(artwork.formats || {})) {
+      const bucketKey = format?.bucket || DEFAULT_VARIANT_BUCKETS[variant];
+      if (!format?.fileId || !format.checksum || !bucketKey) continue;
+
+      const driver = format.driver || LEGACY_DRIVER;
+      const groupKey = `${driver}\n${bucketKey}\n${format.checksum}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { driver, bucketKey, checksum: format.checksum, bytes: format.bytes, refs: [] });
+      }
+      groups.get(groupKey).refs.push({ artworkId: artwork._id, variant, fileId: format.fileId });
+    }
+  }
+
+  const summary = {
+    blobs: 0,
+    duplicateFiles: 0,
+    bytesReclaimed: 0,
+    artworksUpdated: 0,
+    missingFiles: 0,
+    fileErrors: [],
+  };
+
+  for (const group of groups.values()) {
+    const bucket = getBucketByKey(group.bucketKey, group.driver);
+    const blobFilter = { driver: driverFilter(group.driver), bucket: group.bucketKey, checksum: group.checksum };
+    const record = await collection.findOne(blobFilter);
+
+    const candidates = [];
+    for (const id of [record?.fileId, ...group.refs.map((ref) => ref.fileId)]) {
+      if (id && !candidates.some((candidate) => sameId(candidate, id))) {
+        candidates.push(id);
+      }
+    }
+
+    let canonical = null;
+    for (const id of candidates) {
+      if ((await getFileLength(bucket, id)) !== null) {
+        canonical = id;
+        break;
+      }
+    }
+    if (!canonical) {
+      summary.missingFiles += group.refs.length;
+      continue;
+    }
+
+    const duplicates = candidates.filter((id) => !sameId(id, canonical));
+    const stale = group.refs.filter((ref) => !sameId(ref.fileId, canonical));
+    summary.blobs += 1;
+    summary.duplicateFiles += duplicates.length;
+    summary.bytesReclaimed += duplicates.length * (group.bytes || 0);
+    summary.artworksUpdated += stale.length;
+
+    if (dryRun) continue;
+
+    for (const ref of stale) {
+      const path = `formats.${ref.variant}`;
+      await db.collection('artworks_meta').updateOne(
+        { _id: ref.artworkId, [`${path}.fileId`]: ref.fileId },
+        {
+          $set: {
+            [`${path}.fileId`]: canonical,
+            [`${path}.bucket`]: group.bucketKey,
+            [`${path}.driver`]: group.driver,
+          },
+        },
+      );
+    }
+
+    const now = new Date();
+    await collection.updateOne(
+      blobFilter,
+      {
+        $set: {
+          driver: group.driver,
+          fileId: canonical,
+          bytes: group.bytes,
+          refCount: group.refs.length,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true },
+    );
+
+    for (const id of duplicates) {
+      try {
+        await deleteFileFromBucket(bucket, id);
+      } catch (error) {
+        summary.fileErrors.push({ fileId: id, bucket: group.bucketKey, driver: group.driver, error: error.message });
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  driverFilter,
+  acquireBlob,
+  releaseBlob,
+  collapseDuplicateBlobs,
+};
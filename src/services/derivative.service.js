@@ -0,0 +1,193 @@
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { getDb } = require('../config/mongo');
+const config = require('../config/env');
+const {
+  getBucketByKey,
+  getBucketForFormat,
+  uploadStreamToBucket,
+  downloadStreamFromBucket,
+} = require('../storage/gridfs');
+const { sha256FromBuffer } = require('../utils/checksum');
+const { withTempFile } = require('../utils/temp-file');
+const { acquireBlob, releaseBlob } = require('./blob.service');
+const { withRenderSlot } = require('./render.service');
+
+const DERIVATIVE_BUCKET = 'derivatives';
+// Derivatives are always rendered from the protected image; the original stays restricted
+const SOURCE_VARIANT = 'protected';
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+// Concurrent requests for the same missing derivative share one render
+const inFlight = new Map();
+
+function getDerivativeSizes() {
+  return config.derivatives.sizes;
+}
+
+function getDerivativeFormats() {
+  return config.derivatives.formats;
+}
+
+function isDerivativeVariant(variant) {
+  return Object.prototype.hasOwnProperty.call(getDerivativeSizes(), variant);
+}
+
+/**
+ * Key of a derivative in an artwork's `formats`, e.g. `thumb_webp`, or
+ * `protected_avif` for a full-size transcode of the protected image
+ * @param {string} variant - Derivative size name (thumb, small, medium) or `protected`
+ * @param {string} format - Output format (webp, avif)
+ * @returns {string}
+ */
+function derivativeKey(variant, format) {
+  return `${variant}_${format}`;
+}
+
+/**
+ * Render one derivative of the artwork's protected image, bounded to the
+ * configured size on its longest edge and never upscaled. The `protected`
+ * variant is transcoded at full size.
+ */
+async function renderDerivative(artwork, variant, format) {
+  const source = artwork.formats?.[SOURCE_VARIANT];
+  const bucket = source?.fileId ? getBucketForFormat(source, SOURCE_VARIANT) : null;
+  if (!bucket) {
+    const err = new Error('Protected image not available');
+    err.status = 404;
+    throw err;
+  }
+
+  const size = variant === SOURCE_VARIANT ? null : getDerivativeSizes()[variant];
+  // Spooled to disk so large protected images are never held in memory
+  const sourceStream = downloadStreamFromBucket(bucket, source.fileId);
+  return withTempFile(sourceStream, 'artwork-derivative', (filePath) => {
+    let image = sharp(filePath, { failOnError: false }).rotate();
+    if (size) {
+      image = image.resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+    }
+    return image
+      .toFormat(format, { quality: config.derivatives.quality })
+      .toBuffer({ resolveWithObject: true });
+  });
+}
+
+async function createDerivative(artwork, variant, format) {
+  const key = derivativeKey(variant, format);
+  const { data, info } = await withRenderSlot(() => renderDerivative(artwork, variant, format));
+
+  const bucket = getBucketByKey(DERIVATIVE_BUCKET);
+  const contentType = CONTENT_TYPES[format];
+  const checksum = sha256FromBuffer(data);
+  const filename = `${variant}.${format}`;
+  const blob = await acquireBlob({
+    driver: bucket.driver,
+    bucketKey: DERIVATIVE_BUCKET,
+    checksum,
+    bytes: data.length,
+    upload: () => uploadStreamToBucket(bucket, Readable.from([data]), { filename, contentType }),
+  });
+
+  const entry = {
+    fileId: blob.fileId,
+    bucket: DERIVATIVE_BUCKET,
+    driver: bucket.driver,
+    contentType,
+    filename,
+    bytes: data.length,
+    checksum,
+    width: info.width,
+    height: info.height,
+    derivedFrom: SOURCE_VARIANT,
+    generatedAt: new Date(),
+  };
+
+  // Another instance may have stored the same derivative meanwhile, or the artwork was trashed
+  const result = await getDb().collection('artworks_meta').updateOne(
+    { _id: artwork._id, deletedAt: null, [`formats.${key}`]: { $exists: false } },
+    { $set: { [`formats.${key}`]: entry } },
+  );
+  if (result.modifiedCount === 1) {
+    return entry;
+  }
+
+  await releaseBlob({ driver: bucket.driver, bucketKey: DERIVATIVE_BUCKET, fileId: blob.fileId });
+  const current = await getDb()
+    .collection('artworks_meta')
+    .findOne({ _id: artwork._id, deletedAt: null }, { projection: { [`formats.${key}`]: 1 } });
+  const existing = current?.formats?.[key];
+  if (!existing) {
+    const err = new Error('Artwork not found');
+    err.status = 404;
+    throw err;
+  }
+  return existing;
+}
+
+/**
+ * Return the stored derivative of an artwork, rendering and storing it first
+ * if this is the first request for it
+ * @param {Object} artwork - Artwork document
+ * @param {string} variant - Derivative size name, or `protected` for a full-size transcode
+ * @param {string} format - Output format
+ * @returns {Promise<Object>} The `formats` entry of the derivative
+ */
+async function ensureDerivative(artwork, variant, format) {
+  const key = derivativeKey(variant, format);
+  const stored = artwork.formats?.[key];
+  if (stored?.fileId) {
+    return stored;
+  }
+
+  const flightKey = `${artwork._id}:${key}`;
+  if (!inFlight.has(flightKey)) {
+    inFlight.set(
+      flightKey,
+      createDerivative(artwork, variant, format).finally(() => inFlight.delete(flightKey)),
+    );
+  }
+  return inFlight.get(flightKey);
+}
+
+/**
+ * Render every configured derivative of an artwork that is not stored yet
+ * @param {Object} artwork - Artwork document
+ * @returns {Promise<number>} Number of derivatives available afterwards
+ */
+async function generateDerivatives(artwork) {
+  let available = 0;
+  for (const variant of Object.keys(getDerivativeSizes())) {
+    for (const format of getDerivativeFormats()) {
+      await ensureDerivative(artwork, variant, format);
+      available += 1;
+    }
+  }
+  return available;
+}
+
+/**
+ * Pre-render derivatives after an upload when `derivatives.onUpload` is set.
+ * Runs in the background; failures are logged and retried lazily on first request.
+ * @param {Object} artwork - Newly created artwork document
+ * @param {Object} log - Request logger
+ */
+function scheduleDerivatives(artwork, log) {
+  if (!config.derivatives.onUpload) return;
+  generateDerivatives(artwork).catch((err) => {
+    log.warn({ err, artworkId: artwork._id }, 'Failed to pre-render artwork derivatives');
+  });
+}
+
+module.exports = {
+  getDerivativeSizes,
+  getDerivativeFormats,
+  isDerivativeVariant,
+  derivativeKey,
+  ensureDerivative,
+  generateDerivatives,
+  scheduleDerivatives,
+};
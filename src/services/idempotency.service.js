@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { getDb } = require('../config/mongo');
+const config = require('../config/env');
+
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+// A pending record older than this belongs to a request that died mid-flight
+const PENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+function getCollection() {
+  return getDb().collection(IDEMPOTENCY_COLLECTION);
+}
+
+/**
+ * Fingerprint a multipart request from its validated fields and the SHA-256 of
+ * every file part, so retries match regardless of multipart boundaries
+ * @param {Object} body - Validated request body
+ * @param {Object<string, Array<Object>>|undefined} files - `req.files` from `upload.fields()`
+ * @returns {string} sha256-prefixed hex digest
+ */
+function fingerprintRequest(body, files) {
+  const parts = Object.entries(files || {})
+    .map(([field, list]) => [
+      field,
+      (list || []).map((file) => file.checksum
+        || `sha256:${crypto.createHash('sha256').update(file.buffer || Buffer.alloc(0)).digest('hex')}`),
+    ])
+    .sort(([a], [b]) => a.localeCompare(b));
+  const fields = Object.keys(body || {})
+    .sort()
+    .map((name) => [name, body[name]]);
+
+  const digest = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ fields, parts }))
+    .digest('hex');
+  return `sha256:${digest}`;
+}
+
+/**
+ * Reserve an idempotency key for a request
+ * @param {Object} options
+ * @param {string} options.scope - Credential the key is scoped to (token or user)
+ * @param {string} options.key - Client-supplied Idempotency-Key
+ * @param {string} options.fingerprint - Request fingerprint
+ * @returns {Promise<{ acquired: boolean, record?: Object }>} `acquired` when this request owns the key,
+ *   otherwise the existing record
+ */
+async function beginIdempotentRequest({ scope, key, fingerprint }) {
+  const collection = getCollection();
+  const now = new Date();
+  const record = {
+    scope,
+    key,
+    fingerprint,
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: new Date(now.getTime() + config.idempotency.ttlHours * 60 * 60 * 1000),
+  };
+
+  try {
+    await collection.insertOne(record);
+    return { acquired: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over a key whose first request never recorded a response
+  const takenOver = await collection.findOneAndUpdate(
+    {
+      scope,
+      key,
+      fingerprint,
+      status: 'pending',
+      updatedAt: { $lt: new Date(now.getTime() - PENDING_TIMEOUT_MS) },
+    },
+    { $set: { updatedAt: now } },
+  );
+  if (takenOver) {
+    return { acquired: true };
+  }
+
+  const existing = await collection.findOne({ scope, key });
+  if (!existing) {
+    // The record expired between the insert and the lookup
+    return beginIdempotentRequest({ scope, key, fingerprint });
+  }
+  return { acquired: false, record: existing };
+}
+
+/**
+ * Store the response sent for a key so retries can replay it
+ * @param {Object} options
+ * @param {string} options.scope - Credential scope
+ * @param {string} options.key - Idempotency-Key
+ * @param {number} options.statusCode - HTTP status sent to the client
+ * @param {*} options.body - JSON body sent to the client
+ * @returns {Promise<void>}
+ */
+async function completeIdempotentRequest({ scope, key, statusCode, body }) {
+  await getCollection().updateOne(
+    { scope, key, status: 'pending' },
+    {
+      $set: {
+        status: 'completed',
+        response: { statusCode, body },
+        updatedAt: new Date(),
+      },
+    },
+  );
+}
+
+/**
+ * Forget a pending key so the client can retry after a server error
+ * @param {Object} options
+ * @param {string} options.scope - Credential scope
+ * @param {string} options.key - Idempotency-Key
+ * @returns {Promise<void>}
+ */
+async function releaseIdempotentRequest({ scope, key }) {
+  await getCollection().deleteOne({ scope, key, status: 'pending' });
+}
+
+module.exports = {
+  fingerprintRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const {
+  uploadStreamToBucket,
+  downloadStreamFromBucket,
+  deleteFileFromBucket,
+} = require('../storage/gridfs');
+const { sha256FromBuffer, sha256FromFile } = require('../utils/checksum');
+const { withTempFile } = require('../utils/temp-file');
+const { STRIPPABLE_TYPES, stripMetadataFromBuffer, stripMetadataFromFile } = require('../utils/metadata-strip');
+
+// Re-encoding lossy formats always costs some quality; keep the loss small
+const LOSSY_QUALITY = 95;
+
+const OUTPUT_OPTIONS = {
+  'image/jpeg': ['jpeg', { quality: LOSSY_QUALITY }],
+  'image/png': ['png', {}],
+  'image/webp': ['webp', { quality: LOSSY_QUALITY }],
+  'image/avif': ['avif', { quality: LOSSY_QUALITY }],
+  'image/gif': ['gif', {}],
+};
+
+// The ICC profile is kept: without it the colours would display differently
+const STRIPPED_FIELDS = ['exif', 'xmp', 'iptc'];
+
+function strippedFields(metadata) {
+  const stripped = { format: metadata.format };
+  for (const field of STRIPPED_FIELDS) {
+    if (metadata[field]) stripped[field] = metadata[field];
+  }
+  if (metadata.orientation) stripped.orientation = metadata.orientation;
+  return stripped;
+}
+
+/**
+ * Re-encode an image in its own format. sharp writes no metadata unless asked
+ * to, so EXIF (including GPS), XMP and IPTC blocks are dropped, and only
+ * decoded pixels are written back, which discards anything appended after the
+ * image data. The ICC profile is carried over, and EXIF orientation is applied
+ * first so the image displays as before.
+ * @param {Buffer|string} input - Image data or a path to it
+ * @param {string} contentType - Verified image MIME type
+ * @param {string} [outputPath] - Write the result here instead of returning it
+ * @returns {Promise<{ data?: Buffer, stripped: Object }>} Re-encoded image (unless
+ *   written to `outputPath`) and the metadata blocks it no longer carries
+ */
+async function reencodeImage(input, contentType, outputPath) {
+  const [format, options] = OUTPUT_OPTIONS[contentType];
+  const metadata = await sharp(input, { failOnError: false }).metadata();
+
+  // Every frame of an animated GIF/WebP has to survive
+  let image = sharp(input, { failOnError: false, animated: (metadata.pages || 1) > 1 });
+  if (metadata.orientation && metadata.orientation > 1) {
+    image = image.rotate();
+  }
+  image = image.keepIccProfile().toFormat(format, options);
+  const stripped = strippedFields(metadata);
+
+  if (outputPath) {
+    await image.toFile(outputPath);
+    return { stripped };
+  }
+  return { data: await image.toBuffer(), stripped };
+}
+
+/**
+ * Strip metadata and trailing data from an image without decoding it (see
+ * metadata-strip.js), so its pixels and ICC profile are stored exactly as
+ * uploaded. Takes the same arguments and returns the same result as `reencodeImage`.
+ * @param {Buffer|string} input - JPEG, PNG or WebP image data or a path to it
+ * @param {string} contentType - Verified image MIME type
+ * @param {string} [outputPath] - Write the result here instead of returning it
+ * @returns {Promise<{ data?: Buffer, stripped: Object }>}
+ */
+async function stripImage(input, contentType, outputPath) {
+  // Reads the headers only; the pixels are not decoded
+  const stripped = strippedFields(await sharp(input, { failOnError: false }).metadata());
+  if (outputPath) {
+    await stripMetadataFromFile(input, outputPath, contentType);
+    return { stripped };
+  }
+  return { data: await stripMetadataFromBuffer(input, contentType), stripped };
+}
+
+/**
+ * Replace an image in an artwork upload plan with its sanitised copy. The
+ * original is re-encoded (`reencodeImage`). The protected image only has its
+ * container stripped (`stripImage`): the mask was computed against its exact
+ * pixels, which a re-encode would change. AVIF and GIF protected images cannot
+ * be stripped that way and are stored as uploaded.
+ * In-memory images are sanitised in place; images already streamed to storage
+ * are spooled to disk, sanitised and stored again, and the raw upload is deleted.
+ * Updates the plan item's data or file, bytes, checksum and `metadata` (read
+ * from the sanitised image, while a streamed one is still on disk).
+ * @param {Object} item - Upload plan entry for the original or protected image
+ * @returns {Promise<Object|null>} Stripped metadata, for the artwork's private
+ *   metadata, or null when the image was stored as uploaded
+ */
+async function sanitizeUploadedImage(item) {
+  const isOriginal = item.key === 'original';
+  if (!isOriginal && !STRIPPABLE_TYPES.has(item.contentType)) {
+    return null;
+  }
+  const sanitize = isOriginal ? reencodeImage : stripImage;
+
+  if (!item.file.fileId) {
+    const { data, stripped } = await sanitize(item.data, item.contentType);
+    item.data = data;
+    item.bytes = data.length;
+    item.checksum = sha256FromBuffer(data);
+    item.metadata = await sharp(data, { failOnError: false }).metadata();
+    return stripped;
+  }
+
+  const rawFileId = item.file.fileId;
+  const rawStream = downloadStreamFromBucket(item.bucket, rawFileId);
+  const stripped = await withTempFile(rawStream, 'artwork-sanitize', async (inputPath) => {
+    const outputPath = `${inputPath}.out`;
+    try {
+      const result = await sanitize(inputPath, item.contentType, outputPath);
+      const fileId = await uploadStreamToBucket(item.bucket, fs.createReadStream(outputPath), {
+        filename: item.filename,
+        contentType: item.contentType,
+      });
+      const { size } = await fs.promises.stat(outputPath);
+      const checksum = await sha256FromFile(outputPath);
+      item.metadata = await sharp(outputPath, { failOnError: false }).metadata();
+
+      // The multer file entry now points at the sanitised copy, so a failed
+      // upload rolls that back instead
+      Object.assign(item.file, { fileId, size, checksum });
+      delete item.file.probe;
+      return result.stripped;
+    } finally {
+      await fs.promises.rm(outputPath, { force: true });
+    }
+  });
+
+  item.bytes = item.file.size;
+  item.checksum = item.file.checksum;
+  // Left behind on failure, the raw upload is an orphan the collector removes
+  await deleteFileFromBucket(item.bucket, rawFileId).catch(() => {});
+  return stripped;
+}
+
+module.exports = {
+  reencodeImage,
+  stripImage,
+  sanitizeUploadedImage,
+};
@@ -0,0 +1,140 @@
+const sharp = require('sharp');
+const { readStoredMask } = require('./reconstruction.service');
+const { withRenderSlot } = require('./render.service');
+
+const DEFAULT_COLORMAP = 'diverging';
+
+// Transparent columns between the panels of a multi-array preview
+const PANEL_GAP = 8;
+const CHANNELS = 4;
+
+function clamp(value) {
+  return value < 0 ? 0 : value > 1 ? 1 : value;
+}
+
+// Each colour map turns a value normalised to [-1, 1] into RGB
+const COLORMAPS = {
+  // Blue for negative, white at zero, red for positive
+  diverging: (t) => (t >= 0
+    ? [255, Math.round(255 * (1 - t)), Math.round(255 * (1 - t))]
+    : [Math.round(255 * (1 + t)), Math.round(255 * (1 + t)), 255]),
+  // Magnitude only: black, red, yellow, white
+  heat: (t) => {
+    const m = Math.abs(t) * 3;
+    return [Math.round(255 * clamp(m)), Math.round(255 * clamp(m - 1)), Math.round(255 * clamp(m - 2))];
+  },
+  // Mid-gray at zero
+  gray: (t) => {
+    const v = Math.round(127.5 + 127.5 * t);
+    return [v, v, v];
+  },
+};
+
+/**
+ * Resolve preview query parameters and the canonical key the ETag is built from,
+ * e.g. `colormap=heat&scale=auto&downsample=2`
+ * @param {Object} query - Validated `scale`, `colormap` and `downsample`
+ * @returns {{ scale: number|null, colormap: string, downsample: number, key: string }}
+ */
+function resolvePreviewOptions({ scale, colormap = DEFAULT_COLORMAP, downsample = 1 } = {}) {
+  return {
+    scale: scale ?? null,
+    colormap,
+    downsample,
+    key: `colormap=${colormap}&scale=${scale ?? 'auto'}&downsample=${downsample}`,
+  };
+}
+
+/**
+ * Shrink an array by `factor` in both directions, keeping the value with the
+ * largest magnitude in each block so isolated perturbations stay visible
+ */
+function downsampleArray(values, width, height, factor) {
+  if (factor === 1) return { values, width, height };
+
+  const outWidth = Math.ceil(width / factor);
+  const outHeight = Math.ceil(height / factor);
+  const out = new values.constructor(outWidth * outHeight);
+  for (let y = 0; y < height; y += 1) {
+    const row = Math.floor(y / factor) * outWidth;
+    for (let x = 0; x < width; x += 1) {
+      const value = values[y * width + x];
+      const index = row + Math.floor(x / factor);
+      if (Math.abs(value) > Math.abs(out[index])) out[index] = value;
+    }
+  }
+  return { values: out, width: outWidth, height: outHeight };
+}
+
+function peakMagnitude(arrays) {
+  let peak = 0;
+  for (const values of arrays) {
+    for (let i = 0; i < values.length; i += 1) {
+      const magnitude = Math.abs(values[i]);
+      if (magnitude > peak) peak = magnitude;
+    }
+  }
+  return peak;
+}
+
+/**
+ * Render an artwork's SAC mask as a PNG heatmap. Single-array (grayscale) masks
+ * give one panel; two-array masks show array A and array B side by side, and
+ * RGB masks add array C, all sharing one scale so they can be compared.
+ * Parsing and encoding run in a render slot.
+ * @param {Object} artwork - Artwork document
+ * @param {Object} options - See `resolvePreviewOptions`
+ * @returns {Promise<{ image: Buffer, scale: number }>} The PNG and the magnitude
+ *   that was mapped to full colour
+ */
+function renderMaskPreview(artwork, options) {
+  return withRenderSlot(() => drawMaskPreview(artwork, options));
+}
+
+async function drawMaskPreview(artwork, { scale, colormap, downsample }) {
+  const mask = await readStoredMask(artwork);
+
+  // Older masks leave the dimensions out of the header; fall back to the artwork's
+  let { width, height } = mask;
+  if (!width || !height) {
+    ({ width, height } = artwork);
+  }
+  if (!width || !height || width * height !== mask.lengthA) {
+    const err = new Error('Mask dimensions are unknown');
+    err.status = 422;
+    throw err;
+  }
+
+  const panels = [mask.arrayA, ...(mask.isSingleArray ? [] : [mask.arrayB]), ...(mask.arrayC ? [mask.arrayC] : [])]
+    .map((values) => downsampleArray(values, width, height, downsample));
+  const range = scale ?? (peakMagnitude(panels.map((panel) => panel.values)) || 1);
+  const toColour = COLORMAPS[colormap];
+
+  const panelWidth = panels[0].width;
+  const panelHeight = panels[0].height;
+  const canvasWidth = panels.length * panelWidth + (panels.length - 1) * PANEL_GAP;
+  const pixels = Buffer.alloc(canvasWidth * panelHeight * CHANNELS);
+  panels.forEach(({ values }, panel) => {
+    const left = panel * (panelWidth + PANEL_GAP);
+    for (let y = 0; y < panelHeight; y += 1) {
+      for (let x = 0; x < panelWidth; x += 1) {
+        const t = Math.max(-1, Math.min(1, values[y * panelWidth + x] / range));
+        const offset = (y * canvasWidth + left + x) * CHANNELS;
+        pixels.set(toColour(t), offset);
+        pixels[offset + 3] = 255;
+      }
+    }
+  });
+
+  return {
+    image: await sharp(pixels, { raw: { width: canvasWidth, height: panelHeight, channels: CHANNELS } })
+      .png()
+      .toBuffer(),
+    scale: range,
+  };
+}
+
+module.exports = {
+  resolvePreviewOptions,
+  renderMaskPreview,
+};
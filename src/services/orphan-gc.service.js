@@ -0,0 +1,183 @@
+const { getDb } = require('../config/mongo');
+const config = require('../config/env');
+const {
+  BUCKET_KEYS,
+  DEFAULT_VARIANT_BUCKETS,
+  LEGACY_DRIVER,
+  getBucketByKey,
+  deleteFileFromBucket,
+} = require('../storage/gridfs');
+const { getConfiguredDriverNames } = require('../storage/drivers');
+const { driverFilter } = require('./blob.service');
+
+const RUNS_COLLECTION = 'maintenance_runs';
+const RUN_ID = 'orphan-gc';
+// Keep the stored run small; the full list is in the returned summary
+const MAX_STORED_ERRORS = 20;
+
+function fileKey(driver, bucketKey, fileId) {
+  return `${driver}\n${bucketKey}\n${fileId}`;
+}
+
+/**
+ * List files older than the cutoff in every bucket of every configured driver
+ */
+async function listCandidates(cutoff, summary) {
+  const candidates = [];
+
+  for (const driver of getConfiguredDriverNames()) {
+    for (const bucketKey of BUCKET_KEYS) {
+      const stats = { scanned: 0, orphans: 0, bytes: 0 };
+      try {
+        for await (const file of getBucketByKey(bucketKey, driver).list()) {
+          stats.scanned += 1;
+          if (file.uploadDate < cutoff) {
+            candidates.push({ driver, bucketKey, ...file });
+          }
+        }
+      } catch (error) {
+        summary.errors.push({ driver, bucket: bucketKey, stage: 'list', error: error.message });
+      }
+      summary.scanned += stats.scanned;
+      summary.buckets[`${driver}/${bucketKey}`] = stats;
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Every stored file something still points at: artwork formats (trashed ones
+ * included), staged resumable-upload parts, cached renders, and blobs that gained a reference
+ * within the grace period (an upload that deduplicated onto them may not have
+ * inserted its artwork yet).
+ */
+async function collectReferences(cutoff) {
+  const db = getDb();
+  const references = new Set();
+
+  const artworks = db.collection('artworks_meta').find({}, { projection: { formats: 1 } });
+  for await (const artwork of artworks) {
+    for (const [variant, format] of Object.entries(artwork.formats || {})) {
+      if (!format?.fileId) continue;
+      const bucketKey = format.bucket || DEFAULT_VARIANT_BUCKETS[variant];
+      references.add(fileKey(format.driver || LEGACY_DRIVER, bucketKey, format.fileId));
+    }
+  }
+
+  const sessions = db.collection('upload_sessions').find({}, { projection: { parts: 1 } });
+  for await (const session of sessions) {
+    for (const part of session.parts || []) {
+      references.add(fileKey(part.driver || LEGACY_DRIVER, 'uploads', part.fileId));
+    }
+  }
+
+  const blobs = db
+    .collection('gridfs_blobs')
+    .find({ updatedAt: { $gte: cutoff } }, { projection: { driver: 1, bucket: 1, fileId: 1 } });
+  for await (const blob of blobs) {
+    references.add(fileKey(blob.driver || LEGACY_DRIVER, blob.bucket, blob.fileId));
+  }
+
+  const renders = db
+    .collection('render_cache')
+    .find({}, { projection: { driver: 1, bucket: 1, fileId: 1 } });
+  for await (const render of renders) {
+    references.add(fileKey(render.driver, render.bucket, render.fileId));
+  }
+
+  return references;
+}
+
+/**
+ * Find stored files that no artwork, upload session or fresh blob references
+ * and, unless this is a dry run, delete them. Files younger than the grace
+ * period are never touched, so uploads in flight are safe. The summary is
+ * stored for `/health`.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report orphans without deleting them
+ * @param {number} [options.graceHours] - Minimum file age (default: `orphans.graceHours`)
+ * @param {Date} [options.now] - Reference time (default: now)
+ * @returns {Promise<Object>} Run summary
+ */
+async function collectOrphanedFiles({ dryRun = false, graceHours = config.orphans.graceHours, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+  const summary = {
+    dryRun,
+    graceHours,
+    startedAt: new Date(),
+    finishedAt: null,
+    scanned: 0,
+    orphans: 0,
+    orphanBytes: 0,
+    deleted: 0,
+    bytesReclaimed: 0,
+    buckets: {},
+    errors: [],
+  };
+
+  // References are read after listing so files written meanwhile are either
+  // too young to be candidates or already referenced
+  const candidates = await listCandidates(cutoff, summary);
+  const references = await collectReferences(cutoff);
+
+  for (const file of candidates) {
+    if (references.has(fileKey(file.driver, file.bucketKey, file.id))) continue;
+
+    const stats = summary.buckets[`${file.driver}/${file.bucketKey}`];
+    stats.orphans += 1;
+    stats.bytes += file.length || 0;
+    summary.orphans += 1;
+    summary.orphanBytes += file.length || 0;
+
+    if (dryRun) continue;
+
+    try {
+      await deleteFileFromBucket(getBucketByKey(file.bucketKey, file.driver), file.id);
+      await getDb().collection('gridfs_blobs').deleteMany({
+        driver: driverFilter(file.driver),
+        bucket: file.bucketKey,
+        fileId: file.id,
+      });
+      summary.deleted += 1;
+      summary.bytesReclaimed += file.length || 0;
+    } catch (error) {
+      summary.errors.push({
+        driver: file.driver,
+        bucket: file.bucketKey,
+        fileId: file.id,
+        stage: 'delete',
+        error: error.message,
+      });
+    }
+  }
+
+  summary.finishedAt = new Date();
+
+  const { errors, ...stored } = summary;
+  await getDb().collection(RUNS_COLLECTION).replaceOne(
+    { _id: RUN_ID },
+    { ...stored, errorCount: errors.length, errors: errors.slice(0, MAX_STORED_ERRORS) },
+    { upsert: true },
+  );
+
+  return summary;
+}
+
+/**
+ * Summary of the most recent orphan collection run
+ * @returns {Promise<Object|null>} Stored run or null if none has completed
+ */
+async function getLastOrphanRun() {
+  const run = await getDb().collection(RUNS_COLLECTION).findOne({ _id: RUN_ID });
+  if (!run) {
+    return null;
+  }
+  const { _id, ...summary } = run;
+  return summary;
+}
+
+module.exports = {
+  collectOrphanedFiles,
+  getLastOrphanRun,
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getProvenanceSigningSecret } = require('../config/env-secure');
+const {
+  uploadStreamToBucket,
+  downloadStreamFromBucket,
+  deleteFileFromBucket,
+} = require('../storage/gridfs');
+const { sha256FromBuffer, sha256FromFile } = require('../utils/checksum');
+const { withTempFile } = require('../utils/temp-file');
+const { readXmpProperty } = require('../utils/image-metadata');
+const { getVersion } = require('../utils/version');
+const { XMP_EMBEDDABLE_TYPES, embedXmpInBuffer, embedXmpInFile } = require('../utils/xmp-embed');
+
+const MANIFEST_VERSION = 1;
+const PROVENANCE_NAMESPACE = 'https://artorizer.com/ns/provenance/1.0/';
+const MANIFEST_PROPERTY = 'artorize:manifest';
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+/**
+ * Build the canonical string covered by the signature
+ * @param {{ version: number, artworkId: string, owner: string|null, originalChecksum: string, protectedAt: string }} claims
+ * @returns {string}
+ */
+function canonicalize({ version, artworkId, owner, originalChecksum, protectedAt }) {
+  return [`v${version}`, artworkId, owner || '', originalChecksum, protectedAt].join('\n');
+}
+
+function computeSignature(claims) {
+  return crypto
+    .createHmac('sha256', getProvenanceSigningSecret())
+    .update(canonicalize(claims))
+    .digest('base64url');
+}
+
+/**
+ * Build a signed provenance manifest (JSON-LD, modelled on a C2PA claim)
+ * @param {Object} claims
+ * @param {string} claims.artworkId - Artwork ObjectId as a hex string
+ * @param {string|null} claims.owner - Owning user, null for token uploads
+ * @param {string} claims.originalChecksum - Checksum of the stored original
+ * @param {Date} claims.protectedAt - When the protected image was stored
+ * @returns {Object} Manifest
+ */
+function buildManifest({ artworkId, owner, originalChecksum, protectedAt }) {
+  const claims = {
+    version: MANIFEST_VERSION,
+    artworkId: String(artworkId),
+    owner: owner || null,
+    originalChecksum,
+    protectedAt: new Date(protectedAt).toISOString(),
+  };
+  return {
+    '@context': { '@vocab': PROVENANCE_NAMESPACE },
+    '@type': 'ProvenanceManifest',
+    claimGenerator: `artorize-backend/${getVersion()}`,
+    ...claims,
+    signature: { algorithm: SIGNATURE_ALGORITHM, value: computeSignature(claims) },
+  };
+}
+
+/**
+ * Verify a manifest's signature
+ * @param {Object} manifest - Manifest read from an image
+ * @returns {{ valid: boolean, reason?: 'malformed'|'unsupported'|'invalid' }}
+ */
+function verifyManifest(manifest) {
+  const claims = manifest || {};
+  const signature = claims.signature?.value;
+  const fields = [claims.artworkId, claims.originalChecksum, claims.protectedAt];
+  if (typeof signature !== 'string' || fields.some((field) => typeof field !== 'string')
+    || (claims.owner !== null && typeof claims.owner !== 'string')) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (claims.version !== MANIFEST_VERSION || claims.signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, reason: 'unsupported' };
+  }
+
+  const expected = Buffer.from(computeSignature(claims));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'invalid' };
+  }
+  return { valid: true };
+}
+
+function buildXmpPacket(manifest) {
+  const json = JSON.stringify(manifest).replace(/[&<>]/g, (char) => XML_ESCAPES[char]);
+  return Buffer.from([
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `<rdf:Description rdf:about="" xmlns:artorize="${PROVENANCE_NAMESPACE}">`,
+    `<${MANIFEST_PROPERTY}>${json}</${MANIFEST_PROPERTY}>`,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="r"?>',
+  ].join('\n'), 'utf8');
+}
+
+/**
+ * Embed a signed provenance manifest into the protected image of an artwork
+ * upload plan. Only the image container is rewritten, so the protected pixels
+ * are stored exactly as uploaded. In-memory images are rewritten in place;
+ * images already streamed to storage are spooled to disk, rewritten and stored
+ * again, and the raw upload is deleted.
+ * @param {Object} item - Upload plan entry for the protected image
+ * @param {Object} claims - See `buildManifest`
+ * @returns {Promise<Object|null>} The embedded manifest, or null when the
+ *   image format cannot carry one (AVIF, GIF)
+ */
+async function embedProvenance(item, claims) {
+  if (!XMP_EMBEDDABLE_TYPES.has(item.contentType)) {
+    return null;
+  }
+
+  const manifest = buildManifest(claims);
+  const packet = buildXmpPacket(manifest);
+
+  if (!item.file.fileId) {
+    item.data = await embedXmpInBuffer(item.data, item.contentType, packet);
+    item.bytes = item.data.length;
+    item.checksum = sha256FromBuffer(item.data);
+    return manifest;
+  }
+
+  const rawFileId = item.file.fileId;
+  const rawStream = downloadStreamFromBucket(item.bucket, rawFileId);
+  await withTempFile(rawStream, 'artwork-provenance', async (inputPath) => {
+    const outputPath = `${inputPath}.out`;
+    try {
+      await embedXmpInFile(inputPath, outputPath, item.contentType, packet);
+      const fileId = await uploadStreamToBucket(item.bucket, fs.createReadStream(outputPath), {
+        filename: item.filename,
+        contentType: item.contentType,
+      });
+      const { size } = await fs.promises.stat(outputPath);
+      const checksum = await sha256FromFile(outputPath);
+
+      // As with sanitising, a failed upload now rolls back the rewritten copy
+      Object.assign(item.file, { fileId, size, checksum });
+    } finally {
+      await fs.promises.rm(outputPath, { force: true });
+    }
+  });
+
+  item.bytes = item.file.size;
+  item.checksum = item.file.checksum;
+  await deleteFileFromBucket(item.bucket, rawFileId).catch(() => {});
+  return manifest;
+}
+
+/**
+ * Read and verify the provenance manifest embedded in an image
+ * @param {Buffer} buffer - Image to check
+ * @returns {Promise<{ embedded: boolean, valid: boolean, reason?: string, manifest?: Object, checksum: string }>}
+ *   `reason` is `missing` when the image carries no manifest, otherwise as in `verifyManifest`
+ */
+async function readImageProvenance(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { failOnError: false }).metadata();
+  } catch (error) {
+    const err = new Error('Could not read image');
+    err.status = 400;
+    throw err;
+  }
+
+  const checksum = sha256FromBuffer(buffer);
+  const json = metadata.xmp ? readXmpProperty(metadata.xmp.toString('utf8'), MANIFEST_PROPERTY) : null;
+  if (!json) {
+    return { embedded: false, valid: false, reason: 'missing', checksum };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(json);
+  } catch (error) {
+    return { embedded: true, valid: false, reason: 'malformed', checksum };
+  }
+  return { embedded: true, ...verifyManifest(manifest), manifest, checksum };
+}
+
+module.exports = {
+  buildManifest,
+  verifyManifest,
+  embedProvenance,
+  readImageProvenance,
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { getBucketForFormat, downloadStreamFromBucket } = require('../storage/gridfs');
+const { withTempFile } = require('../utils/temp-file');
+const { parseSAC } = require('./sac-encoder.service');
+const { withRenderSlot } = require('./render.service');
+
+function unavailable(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function spoolFormat(artwork, variant, fn) {
+  const format = artwork.formats?.[variant];
+  const bucket = format?.fileId ? getBucketForFormat(format, variant) : null;
+  if (!bucket) {
+    throw unavailable(variant === 'mask' ? 'Mask not available' : 'Protected image not available');
+  }
+  return withTempFile(downloadStreamFromBucket(bucket, format.fileId), `artwork-reconstruct-${variant}`, fn);
+}
+
+/**
+ * Load and parse an artwork's stored SAC mask
+ * @param {Object} artwork - Artwork document
+ * @returns {Promise<Object>} Parsed mask (see `parseSAC`)
+ */
+function readStoredMask(artwork) {
+  return spoolFormat(artwork, 'mask', async (maskPath) => {
+    try {
+      return parseSAC(await fs.promises.readFile(maskPath));
+    } catch (error) {
+      const err = new Error(`Stored mask is not valid SAC: ${error.message}`);
+      err.status = 422;
+      throw err;
+    }
+  });
+}
+
+/**
+ * Add a grayscale luminance difference to the colour channels of raw pixels,
+ * as described in poison-mask-grayscale-protocol.md: the same difference goes
+ * to R, G and B, alpha is left alone, and results are clamped to 0-255.
+ * @param {Buffer} pixels - Raw 8-bit pixels, modified in place
+ * @param {number} channels - Channels per pixel (1-4)
+ * @param {ArrayLike<number>} difference - One difference per pixel (float16 masks are rounded)
+ * @returns {Buffer} `pixels`
+ */
+function applyLuminanceDifference(pixels, channels, difference) {
+  // Gray images have one colour channel, colour images three; a trailing alpha is skipped
+  const colourChannels = channels >= 3 ? 3 : 1;
+  for (let pixel = 0; pixel < difference.length; pixel += 1) {
+    const delta = Math.round(difference[pixel]);
+    const offset = pixel * channels;
+    for (let channel = 0; channel < colourChannels; channel += 1) {
+      const value = pixels[offset + channel] + delta;
+      pixels[offset + channel] = value < 0 ? 0 : value > 255 ? 255 : value;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Add per-channel differences (arrays A, B and C of an RGB mask) to the red,
+ * green and blue channels of raw pixels, leaving alpha alone and clamping to 0-255
+ * @param {Buffer} pixels - Raw 8-bit pixels with at least three channels, modified in place
+ * @param {number} channels - Channels per pixel (3 or 4)
+ * @param {ArrayLike<number>[]} differences - Red, green and blue differences, one per pixel each
+ * @returns {Buffer} `pixels`
+ */
+function applyChannelDifferences(pixels, channels, differences) {
+  const pixelCount = differences[0].length;
+  for (let pixel = 0; pixel < pixelCount; pixel += 1) {
+    const offset = pixel * channels;
+    for (let channel = 0; channel < 3; channel += 1) {
+      const value = pixels[offset + channel] + Math.round(differences[channel][pixel]);
+      pixels[offset + channel] = value < 0 ? 0 : value > 255 ? 255 : value;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Reconstruct an artwork's original from its protected image and SAC mask.
+ * For grayscale masks, array A holds the per-pixel luminance difference between
+ * the original and the protected image (array B duplicates it); RGB masks hold
+ * the red, green and blue differences in arrays A, B and C, which makes the
+ * reconstruction lossless. The protected image is used as stored, without
+ * applying EXIF orientation, because that is how the mask was computed.
+ * Runs in a render slot, encoding included, since it decodes the whole image.
+ * @param {Object} artwork - Artwork document
+ * @returns {Promise<Buffer>} The reconstructed image as PNG
+ */
+function reconstructOriginal(artwork) {
+  return withRenderSlot(() => rebuildOriginal(artwork));
+}
+
+async function rebuildOriginal(artwork) {
+  const mask = await readStoredMask(artwork);
+  const difference = mask.arrayA;
+
+  const { data, info } = await spoolFormat(artwork, 'protected', (imagePath) => {
+    const image = sharp(imagePath, { failOnError: false });
+    // RGB masks need three colour channels, even for a gray protected image
+    return (mask.arrayC ? image.toColourspace('srgb') : image)
+      .raw({ depth: 'uchar' })
+      .toBuffer({ resolveWithObject: true });
+  });
+
+  if (difference.length !== info.width * info.height) {
+    const err = new Error(
+      `Mask has ${difference.length} values, protected image has ${info.width * info.height} pixels`,
+    );
+    err.status = 422;
+    throw err;
+  }
+
+  if (mask.arrayC) {
+    applyChannelDifferences(data, info.channels, [mask.arrayA, mask.arrayB, mask.arrayC]);
+  } else {
+    applyLuminanceDifference(data, info.channels, difference);
+  }
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  readStoredMask,
+  applyLuminanceDifference,
+  applyChannelDifferences,
+  reconstructOriginal,
+};
@@ -0,0 +1,159 @@
+const { Readable } = require('stream');
+const { getDb } = require('../config/mongo');
+const config = require('../config/env');
+const {
+  getBucketByKey,
+  uploadStreamToBucket,
+  deleteFileFromBucket,
+} = require('../storage/gridfs');
+
+const CACHE_COLLECTION = 'render_cache';
+const RENDER_BUCKET = 'renders';
+// Bounds the insert retries when a concurrent render keeps being cached and evicted
+const MAX_INSERT_ATTEMPTS = 3;
+
+function getCollection() {
+  return getDb().collection(CACHE_COLLECTION);
+}
+
+async function deleteEntries(entries) {
+  const errors = [];
+  for (const entry of entries) {
+    // Drop the record first so nothing is served from a file that is going away
+    await getCollection().deleteOne({ _id: entry._id });
+    try {
+      await deleteFileFromBucket(getBucketByKey(entry.bucket, entry.driver), entry.fileId);
+    } catch (error) {
+      errors.push({ fileId: entry.fileId, bucket: entry.bucket, error: error.message });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Look up a cached render and mark it as recently used
+ * @param {ObjectId} artworkId - Artwork the render was made from
+ * @param {string} transform - Canonical transform string
+ * @returns {Promise<Object|null>} Cache entry or null on a miss
+ */
+async function getCachedRender(artworkId, transform) {
+  return getCollection().findOneAndUpdate(
+    { artworkId, transform },
+    { $set: { lastAccessedAt: new Date() }, $inc: { hits: 1 } },
+    { returnDocument: 'after' },
+  );
+}
+
+/**
+ * Store a rendered image in the cache, then evict least recently used
+ * renders until the cache fits in `renders.cacheMaxBytes`
+ * @param {Object} options
+ * @param {ObjectId} options.artworkId - Artwork the render was made from
+ * @param {string} options.transform - Canonical transform string
+ * @param {Buffer} options.data - Encoded image
+ * @param {string} options.contentType - Image MIME type
+ * @param {number} options.width - Rendered width
+ * @param {number} options.height - Rendered height
+ * @returns {Promise<Object>} The stored cache entry
+ */
+async function storeRender({ artworkId, transform, data, contentType, width, height }) {
+  const bucket = getBucketByKey(RENDER_BUCKET);
+  const fileId = await uploadStreamToBucket(bucket, Readable.from([data]), {
+    filename: `${artworkId}-${transform}`,
+    contentType,
+  });
+
+  const now = new Date();
+  const entry = {
+    artworkId,
+    transform,
+    fileId,
+    bucket: RENDER_BUCKET,
+    driver: bucket.driver,
+    contentType,
+    bytes: data.length,
+    width,
+    height,
+    hits: 0,
+    createdAt: now,
+    lastAccessedAt: now,
+  };
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const result = await getCollection().insertOne(entry);
+      entry._id = result.insertedId;
+      break;
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_INSERT_ATTEMPTS) {
+        await deleteFileFromBucket(bucket, fileId).catch(() => {});
+        throw error;
+      }
+      // Another instance cached the same render first; serve theirs, unless it
+      // has been evicted since, in which case ours is stored after all
+      const existing = await getCachedRender(artworkId, transform);
+      if (existing) {
+        await deleteFileFromBucket(bucket, fileId).catch(() => {});
+        return existing;
+      }
+    }
+  }
+
+  // The new render itself is never evicted, so the caller can always serve it
+  await evictRenderCache({ keep: entry._id });
+  return entry;
+}
+
+/**
+ * Delete least recently used renders until the cache fits in the byte budget
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Budget (default: `renders.cacheMaxBytes`)
+ * @param {ObjectId} [options.keep] - Entry to spare even if it is the oldest
+ * @returns {Promise<{ evicted: number, bytesFreed: number, fileErrors: Object[] }>}
+ */
+async function evictRenderCache({ maxBytes = config.renders.cacheMaxBytes, keep = null } = {}) {
+  const [totals] = await getCollection()
+    .aggregate([{ $group: { _id: null, bytes: { $sum: '$bytes' } } }])
+    .toArray();
+  let excess = (totals?.bytes || 0) - maxBytes;
+  if (excess <= 0) {
+    return { evicted: 0, bytesFreed: 0, fileErrors: [] };
+  }
+
+  const victims = [];
+  const cursor = getCollection()
+    .find(keep ? { _id: { $ne: keep } } : {}, { projection: { fileId: 1, bucket: 1, driver: 1, bytes: 1 } })
+    .sort({ lastAccessedAt: 1 });
+  for await (const entry of cursor) {
+    if (excess <= 0) break;
+    victims.push(entry);
+    excess -= entry.bytes;
+  }
+  await cursor.close();
+
+  const fileErrors = await deleteEntries(victims);
+  return {
+    evicted: victims.length,
+    bytesFreed: victims.reduce((sum, entry) => sum + entry.bytes, 0),
+    fileErrors,
+  };
+}
+
+/**
+ * Drop every cached render of an artwork
+ * @param {ObjectId} artworkId - Artwork ID
+ * @returns {Promise<Object[]>} Files that could not be deleted
+ */
+async function purgeRenderCache(artworkId) {
+  const entries = await getCollection()
+    .find({ artworkId }, { projection: { fileId: 1, bucket: 1, driver: 1 } })
+    .toArray();
+  return deleteEntries(entries);
+}
+
+module.exports = {
+  getCachedRender,
+  storeRender,
+  evictRenderCache,
+  purgeRenderCache,
+};
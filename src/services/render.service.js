@@ -0,0 +1,208 @@
+const sharp = require('sharp');
+const config = require('../config/env');
+const { getBucketForFormat, downloadStreamFromBucket } = require('../storage/gridfs');
+const { withTempFile } = require('../utils/temp-file');
+const { IMAGE_WORKER_COUNT } = require('./artwork.service');
+const { getCachedRender, storeRender } = require('./render-cache.service');
+
+// Renders are made from the protected image; the original stays restricted
+const SOURCE_VARIANT = 'protected';
+
+const RENDER_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const DEFAULT_FIT = 'inside';
+
+const RENDER_FORMATS = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+};
+const DEFAULT_FORMAT = 'webp';
+
+// Seconds a client is asked to wait when the render queue is full
+const RETRY_AFTER_SECONDS = 5;
+
+// One render per image worker; the rest wait in a bounded queue
+let activeRenders = 0;
+const waiting = [];
+
+// Concurrent requests for the same uncached render share one render
+const inFlight = new Map();
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Round a requested dimension up to the nearest allowed size, so arbitrary
+ * widths cannot fill the cache with near-identical renders
+ */
+function snapToAllowedSize(value, name) {
+  if (value === undefined) return undefined;
+  const size = config.renders.sizes.find((allowed) => allowed >= value);
+  if (size === undefined) {
+    const largest = config.renders.sizes[config.renders.sizes.length - 1];
+    throw badRequest(`${name} must be at most ${largest}`);
+  }
+  return size;
+}
+
+/**
+ * Expected pixel count of a render, from the stored source dimensions when
+ * they are known. Renders are never upscaled.
+ */
+function estimateOutputPixels(artwork, { width, height, fit }) {
+  const sourceWidth = artwork.width;
+  const sourceHeight = artwork.height;
+  if (!sourceWidth || !sourceHeight) {
+    return (width ?? height) * (height ?? width);
+  }
+
+  if (width && height && !['inside', 'outside'].includes(fit)) {
+    // cover, contain and fill produce exactly the requested box
+    return Math.min(width, sourceWidth) * Math.min(height, sourceHeight);
+  }
+
+  const scales = [width && width / sourceWidth, height && height / sourceHeight].filter(Boolean);
+  const scale = Math.min(1, fit === 'outside' ? Math.max(...scales) : Math.min(...scales));
+  return Math.round(sourceWidth * scale) * Math.round(sourceHeight * scale);
+}
+
+/**
+ * Resolve render query parameters into snapped dimensions and the canonical
+ * transform string the cache is keyed by, e.g. `w=256&h=128&fit=cover&format=webp&quality=80`
+ * @param {Object} artwork - Artwork document
+ * @param {Object} query - Validated `w`, `h`, `fit`, `format` and `quality`
+ * @returns {{ width?: number, height?: number, fit: string, format: string, quality: number|null, transform: string }}
+ */
+function resolveTransform(artwork, { w, h, fit = DEFAULT_FIT, format = DEFAULT_FORMAT, quality } = {}) {
+  if (w === undefined && h === undefined) {
+    throw badRequest('w or h is required');
+  }
+
+  const options = {
+    width: snapToAllowedSize(w, 'w'),
+    height: snapToAllowedSize(h, 'h'),
+    fit,
+    format,
+    // PNG is lossless; quality would only split the cache
+    quality: format === 'png' ? null : quality ?? config.derivatives.quality,
+  };
+
+  if (estimateOutputPixels(artwork, options) > config.renders.maxPixels) {
+    throw badRequest(`Render exceeds the maximum of ${config.renders.maxPixels} pixels`);
+  }
+
+  const parts = [];
+  if (options.width !== undefined) parts.push(`w=${options.width}`);
+  if (options.height !== undefined) parts.push(`h=${options.height}`);
+  parts.push(`fit=${fit}`, `format=${format}`);
+  if (options.quality !== null) parts.push(`quality=${options.quality}`);
+
+  return { ...options, transform: parts.join('&') };
+}
+
+function releaseRenderSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    activeRenders -= 1;
+  }
+}
+
+/**
+ * Run `fn` once a render slot is free. Rejects with 503 when the queue is full.
+ * Every sharp render made for a request should run in a slot, so a burst of
+ * requests queues here instead of decoding many images at once.
+ */
+async function withRenderSlot(fn) {
+  if (activeRenders >= IMAGE_WORKER_COUNT) {
+    if (waiting.length >= config.renders.maxQueue) {
+      const err = new Error('Render queue is full, retry later');
+      err.status = 503;
+      err.retryAfter = RETRY_AFTER_SECONDS;
+      throw err;
+    }
+    // The finishing render hands its slot over instead of releasing it
+    await new Promise((resolve) => waiting.push(resolve));
+  } else {
+    activeRenders += 1;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    releaseRenderSlot();
+  }
+}
+
+async function renderImage(artwork, options) {
+  const source = artwork.formats?.[SOURCE_VARIANT];
+  const bucket = source?.fileId ? getBucketForFormat(source, SOURCE_VARIANT) : null;
+  if (!bucket) {
+    const err = new Error('Protected image not available');
+    err.status = 404;
+    throw err;
+  }
+
+  const { width, height, fit, format, quality } = options;
+  const sourceStream = downloadStreamFromBucket(bucket, source.fileId);
+  return withTempFile(sourceStream, 'artwork-render', (filePath) => {
+    let image = sharp(filePath, { failOnError: false })
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: true });
+    if (format === 'jpeg') {
+      // JPEG has no alpha channel; transparent areas become white rather than black
+      image = image.flatten({ background: '#ffffff' });
+    }
+    return image
+      .toFormat(format, quality === null ? {} : { quality })
+      .toBuffer({ resolveWithObject: true });
+  });
+}
+
+async function createRender(artwork, options) {
+  const { data, info } = await withRenderSlot(() => renderImage(artwork, options));
+  return storeRender({
+    artworkId: artwork._id,
+    transform: options.transform,
+    data,
+    contentType: RENDER_FORMATS[options.format],
+    width: info.width,
+    height: info.height,
+  });
+}
+
+/**
+ * Return the cached render of an artwork's protected image for a resolved
+ * transform, rendering and caching it first on a miss
+ * @param {Object} artwork - Artwork document
+ * @param {Object} options - Result of `resolveTransform`
+ * @returns {Promise<{ entry: Object, cached: boolean }>} Render cache entry and whether it was a hit
+ */
+async function getRender(artwork, options) {
+  const cached = await getCachedRender(artwork._id, options.transform);
+  if (cached) {
+    return { entry: cached, cached: true };
+  }
+
+  const flightKey = `${artwork._id}:${options.transform}`;
+  if (!inFlight.has(flightKey)) {
+    inFlight.set(
+      flightKey,
+      createRender(artwork, options).finally(() => inFlight.delete(flightKey)),
+    );
+  }
+  return { entry: await inFlight.get(flightKey), cached: false };
+}
+
+module.exports = {
+  RENDER_FITS,
+  RENDER_FORMATS: Object.keys(RENDER_FORMATS),
+  resolveTransform,
+  getRender,
+  withRenderSlot,
+};
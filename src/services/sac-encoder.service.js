@@ -1,47 +1,239 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
 const sharp = require('sharp');
+const { crc32 } = require('../utils/checksum');
 
 const SAC_MAGIC = Buffer.from('SAC1', 'ascii');
 const DTYPE_INT16 = 1;
+const DTYPE_INT8 = 2;
+const DTYPE_UINT8 = 3;
+const DTYPE_FLOAT16 = 4;
 const ARRAYS_COUNT = 2;
+const RGB_ARRAYS_COUNT = 3;
 const HEADER_SIZE = 24;
 
 // SAC v1.1 flags
 const FLAG_SINGLE_ARRAY = 0x01; // Indicates arrayB is identical to arrayA and omitted
 
+// SAC v2: v1.1 header plus compression, checksum and payload size, followed by
+// the (optionally compressed) payload and a checksum footer
+const SAC2_MAGIC = Buffer.from('SAC2', 'ascii');
+const SAC2_HEADER_SIZE = 32;
+
+const SAC2_COMPRESSION_CODES = { none: 0, deflate: 1, brotli: 2 };
+const SAC2_CHECKSUM_CODES = { crc32: 1, sha256: 2 };
+const SAC2_CHECKSUM_BYTES = { crc32: 4, sha256: 32 };
+
+// Decompressed payloads are capped like uploads, so a small file cannot inflate without bound
+const SAC2_MAX_PAYLOAD_BYTES = 256 * 1024 * 1024;
+
+function codeName(codes, code) {
+  return Object.keys(codes).find((name) => codes[name] === code);
+}
+
+function sac2Checksum(algorithm, data) {
+  if (algorithm === 'sha256') {
+    return crypto.createHash('sha256').update(data).digest();
+  }
+  const footer = Buffer.alloc(SAC2_CHECKSUM_BYTES.crc32);
+  footer.writeUInt32LE(crc32(data));
+  return footer;
+}
+
+function compressPayload(compression, payload) {
+  if (compression === 'deflate') return zlib.deflateSync(payload);
+  if (compression === 'brotli') {
+    return zlib.brotliCompressSync(payload, {
+      params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: payload.length },
+    });
+  }
+  return payload;
+}
+
+function decompressPayload(compression, payload, expectedBytes) {
+  if (compression === 'none') return payload;
+  // One byte of headroom so an oversized payload is reported as a length mismatch
+  const options = { maxOutputLength: Math.min(expectedBytes + 1, SAC2_MAX_PAYLOAD_BYTES) };
+  return compression === 'deflate'
+    ? zlib.inflateSync(payload, options)
+    : zlib.brotliDecompressSync(payload, options);
+}
+
+// Payload element types by name. float16 is stored as IEEE 754 half-precision
+// bits and read back into a Float32Array.
+const DTYPES = {
+  int8: { code: DTYPE_INT8, bytes: 1, ArrayType: Int8Array, min: -128, max: 127 },
+  uint8: { code: DTYPE_UINT8, bytes: 1, ArrayType: Uint8Array, min: 0, max: 255 },
+  int16: { code: DTYPE_INT16, bytes: 2, ArrayType: Int16Array, min: -32768, max: 32767 },
+  float16: { code: DTYPE_FLOAT16, bytes: 2, ArrayType: Uint16Array },
+};
+
+// Tried in order when buildSAC picks the dtype
+const INTEGER_DTYPES = ['int8', 'uint8', 'int16'];
+
+function dtypeName(code) {
+  return Object.keys(DTYPES).find((name) => DTYPES[name].code === code);
+}
+
+const float32Scratch = new Float32Array(1);
+const float32Bits = new Uint32Array(float32Scratch.buffer);
+
+// Round to the nearest half-precision value (ties to even)
+function toFloat16Bits(value) {
+  float32Scratch[0] = value;
+  const bits = float32Bits[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  let mantissa = bits & 0x7fffff;
+
+  if (exponent === 0xff - 127 + 15) {
+    // Infinity or NaN
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  if (exponent >= 0x1f) return sign | 0x7c00;
+  if (exponent <= 0) {
+    // Subnormal half, or too small for one
+    if (exponent < -10) return sign;
+    mantissa |= 0x800000;
+    const shift = 14 - exponent;
+    const halfway = 1 << (shift - 1);
+    const remainder = mantissa & ((1 << shift) - 1);
+    let half = mantissa >> shift;
+    if (remainder > halfway || (remainder === halfway && (half & 1))) half += 1;
+    return sign | half;
+  }
+
+  // A carry out of the mantissa correctly bumps the exponent
+  let half = (exponent << 10) | (mantissa >> 13);
+  const remainder = mantissa & 0x1fff;
+  if (remainder > 0x1000 || (remainder === 0x1000 && (half & 1))) half += 1;
+  return sign | half;
+}
+
+function fromFloat16Bits(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function describeValues(arrays) {
+  let min = Infinity;
+  let max = -Infinity;
+  let integral = true;
+  for (const values of arrays) {
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (!Number.isInteger(value)) {
+        integral = false;
+      } else {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+  }
+  return { min, max, integral };
+}
+
 /**
- * Encodes two int16 arrays into SAC v1.1 binary format
- * Supports FLAG_SINGLE_ARRAY optimization for grayscale masks (50% size reduction)
+ * Pick the dtype for a pair of arrays: the narrowest integer type that holds
+ * every value, or float16 as soon as one value is fractional
  *
- * @param {Int16Array|Array} arrayA - First array of signed 16-bit integers
- * @param {Int16Array|Array} arrayB - Second array of signed 16-bit integers
- * @param {number} width - Image width (optional, 0 if unknown)
- * @param {number} height - Image height (optional, 0 if unknown)
- * @returns {Buffer} SAC v1.1 binary data
+ * @param {ArrayLike<number>[]} arrays - Arrays to store
+ * @returns {string} Dtype name
  */
-function buildSAC(arrayA, arrayB, width = 0, height = 0) {
-  // Ensure we have typed arrays
-  const a = arrayA instanceof Int16Array ? arrayA : new Int16Array(arrayA);
-  const b = arrayB instanceof Int16Array ? arrayB : new Int16Array(arrayB);
+function selectDtype(arrays) {
+  const { min, max, integral } = describeValues(arrays);
+  if (!integral) return 'float16';
+  const dtype = INTEGER_DTYPES.find((name) => min >= DTYPES[name].min && max <= DTYPES[name].max);
+  if (!dtype) {
+    throw new Error(`Values from ${min} to ${max} do not fit int16; use dtype 'float16'`);
+  }
+  return dtype;
+}
+
+// Convert values to the typed array holding their stored representation
+function encodeValues(values, dtype) {
+  const { ArrayType, min, max } = DTYPES[dtype];
+  if (dtype === 'float16') {
+    const bits = new Uint16Array(values.length);
+    for (let i = 0; i < values.length; i++) bits[i] = toFloat16Bits(values[i]);
+    return bits;
+  }
+  if (values instanceof ArrayType) return values;
+
+  const range = describeValues([values]);
+  if (!range.integral || range.min < min || range.max > max) {
+    throw new Error(`Values do not fit dtype ${dtype}`);
+  }
+  return new ArrayType(values);
+}
+
+// Typed arrays need an aligned offset; decompressed or pooled buffers may not provide one
+function typedView(ArrayType, buffer, byteOffset, length) {
+  const offset = buffer.byteOffset + byteOffset;
+  return offset % ArrayType.BYTES_PER_ELEMENT === 0
+    ? new ArrayType(buffer.buffer, offset, length)
+    : new ArrayType(buffer.buffer.slice(offset, offset + length * ArrayType.BYTES_PER_ELEMENT));
+}
+
+function decodeValues(buffer, byteOffset, length, dtype) {
+  const { ArrayType } = DTYPES[dtype];
+  const stored = typedView(ArrayType, buffer, byteOffset, length);
+  if (dtype !== 'float16') return stored;
+  const values = new Float32Array(length);
+  for (let i = 0; i < length; i++) values[i] = fromFloat16Bits(stored[i]);
+  return values;
+}
+
+/**
+ * Encodes two or three arrays into a SAC container (see buildSAC and buildRgbSAC)
+ *
+ * @param {ArrayLike<number>[]} arrays - Arrays A and B, plus C for RGB masks
+ * @param {number} width - Image width (0 if unknown)
+ * @param {number} height - Image height (0 if unknown)
+ * @param {Object} options - See buildSAC
+ * @returns {Buffer} SAC binary data
+ */
+function encodeSAC(arrays, width, height, options) {
+  const { version = 1, compression = 'deflate', checksum = 'crc32' } = options;
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported SAC version: ${version}`);
+  }
+  const requestedDtype = options.dtype || 'auto';
+  if (requestedDtype !== 'auto' && !(requestedDtype in DTYPES)) {
+    throw new Error(`Unsupported SAC dtype: ${requestedDtype}`);
+  }
+  if (version === 2 && !(compression in SAC2_COMPRESSION_CODES)) {
+    throw new Error(`Unsupported SAC compression: ${compression}`);
+  }
+  if (version === 2 && !(checksum in SAC2_CHECKSUM_CODES)) {
+    throw new Error(`Unsupported SAC checksum: ${checksum}`);
+  }
+
+  // Ensure we have typed arrays in the stored representation
+  const dtype = requestedDtype === 'auto' ? selectDtype(arrays) : requestedDtype;
+  const [a, b, c] = arrays.map((values) => encodeValues(values, dtype));
 
   const lengthA = a.length;
   const lengthB = b.length;
 
   // Validate dimensions if provided
-  if (width && height) {
-    if (lengthA !== width * height) {
-      throw new Error(`Array A length ${lengthA} != width*height ${width * height}`);
-    }
-    if (lengthB !== width * height) {
-      throw new Error(`Array B length ${lengthB} != width*height ${width * height}`);
-    }
+  assertArrayDimensions({ lengthA, lengthB, width, height });
+  // RGB masks: array C has no length field of its own and shares length_b
+  if (c && c.length !== lengthB) {
+    throw new Error(`Array C length ${c.length} != array B length ${lengthB}`);
   }
 
   // Check if arrays are identical (SAC v1.1 single-array optimization)
   let flags = 0;
-  let arraysCount = ARRAYS_COUNT;
+  let arraysCount = c ? RGB_ARRAYS_COUNT : ARRAYS_COUNT;
   let isSingleArray = false;
 
-  if (lengthA === lengthB) {
+  if (!c && lengthA === lengthB) {
     isSingleArray = true;
     for (let i = 0; i < lengthA; i++) {
       if (a[i] !== b[i]) {
@@ -56,6 +248,17 @@ function buildSAC(arrayA, arrayB, width = 0, height = 0) {
     arraysCount = 1;
   }
 
+  // Create payload buffers
+  // SAC v1.1: Omit payloadB if single array flag is set (50% size reduction)
+  const payloads = [a, ...(isSingleArray ? [] : [b]), ...(c ? [c] : [])]
+    .map((values) => Buffer.from(values.buffer, values.byteOffset, values.byteLength));
+
+  if (version === 2) {
+    return buildSAC2Container({
+      flags, dtype, arraysCount, lengthA, lengthB, width, height, compression, checksum,
+    }, Buffer.concat(payloads));
+  }
+
   // Create header buffer (24 bytes)
   const header = Buffer.allocUnsafe(HEADER_SIZE);
   let offset = 0;
@@ -68,11 +271,11 @@ function buildSAC(arrayA, arrayB, width = 0, height = 0) {
   header.writeUInt8(flags, offset);
   offset += 1;
 
-  // dtype_code: 1 byte (1 = int16)
-  header.writeUInt8(DTYPE_INT16, offset);
+  // dtype_code: 1 byte (1 = int16, 2 = int8, 3 = uint8, 4 = float16)
+  header.writeUInt8(DTYPES[dtype].code, offset);
   offset += 1;
 
-  // arrays_count: 1 byte (1 or 2)
+  // arrays_count: 1 byte (1, 2 or 3)
   header.writeUInt8(arraysCount, offset);
   offset += 1;
 
@@ -95,16 +298,73 @@ function buildSAC(arrayA, arrayB, width = 0, height = 0) {
   // height: 4 bytes uint32 (little-endian)
   header.writeUInt32LE(height, offset);
 
-  // Create payload buffers
-  const payloadA = Buffer.from(a.buffer, a.byteOffset, a.byteLength);
+  return Buffer.concat([header, ...payloads]);
+}
 
-  // SAC v1.1: Omit payloadB if single array flag is set (50% size reduction)
-  if (isSingleArray) {
-    return Buffer.concat([header, payloadA]);
-  } else {
-    const payloadB = Buffer.from(b.buffer, b.byteOffset, b.byteLength);
-    return Buffer.concat([header, payloadA, payloadB]);
-  }
+/**
+ * Encodes two arrays into SAC v1.1 binary format, or SAC v2 when asked to
+ * Supports FLAG_SINGLE_ARRAY optimization for grayscale masks (50% size reduction)
+ * Both versions default to the narrowest dtype that holds the values (see
+ * selectDtype); pass `dtype: 'int16'` for SAC v1 readers written before dtypes
+ *
+ * @param {ArrayLike<number>} arrayA - First array
+ * @param {ArrayLike<number>} arrayB - Second array
+ * @param {number} width - Image width (optional, 0 if unknown)
+ * @param {number} height - Image height (optional, 0 if unknown)
+ * @param {Object} [options]
+ * @param {number} [options.version=1] - Container version, 1 or 2
+ * @param {string} [options.dtype='auto'] - `int8`, `uint8`, `int16`, `float16` or `auto`
+ * @param {string} [options.compression='deflate'] - SAC v2 payload compression: `none`, `deflate` or `brotli`
+ * @param {string} [options.checksum='crc32'] - SAC v2 footer: `crc32` or `sha256`
+ * @returns {Buffer} SAC binary data
+ */
+function buildSAC(arrayA, arrayB, width = 0, height = 0, options = {}) {
+  return encodeSAC([arrayA, arrayB], width, height, options);
+}
+
+/**
+ * Encodes an RGB mask: per-channel differences for red, green and blue in
+ * arrays A, B and C (`arrays_count` 3), for lossless reconstruction
+ *
+ * @param {ArrayLike<number>} red - Red channel differences
+ * @param {ArrayLike<number>} green - Green channel differences
+ * @param {ArrayLike<number>} blue - Blue channel differences
+ * @param {number} width - Image width (optional, 0 if unknown)
+ * @param {number} height - Image height (optional, 0 if unknown)
+ * @param {Object} [options] - See buildSAC
+ * @returns {Buffer} SAC binary data
+ */
+function buildRgbSAC(red, green, blue, width = 0, height = 0, options = {}) {
+  return encodeSAC([red, green, blue], width, height, options);
+}
+
+/**
+ * Wraps a raw SAC payload in a SAC v2 container
+ * Layout: 32-byte header, stored payload, checksum footer over header and payload
+ *
+ * @param {Object} fields - Header fields; `dtype`, `compression` and `checksum` by name
+ * @param {Buffer} payload - Raw payload (arrayA, then arrayB unless single-array)
+ * @returns {Buffer} SAC v2 binary data
+ */
+function buildSAC2Container(fields, payload) {
+  const stored = compressPayload(fields.compression, payload);
+
+  const header = Buffer.alloc(SAC2_HEADER_SIZE);
+  SAC2_MAGIC.copy(header, 0);
+  header.writeUInt8(fields.flags, 4);
+  header.writeUInt8(DTYPES[fields.dtype].code, 5);
+  header.writeUInt8(fields.arraysCount, 6);
+  header.writeUInt8(SAC2_COMPRESSION_CODES[fields.compression], 7);
+  header.writeUInt8(SAC2_CHECKSUM_CODES[fields.checksum], 8);
+  // Bytes 9-11 reserved (0)
+  header.writeUInt32LE(fields.lengthA, 12);
+  header.writeUInt32LE(fields.lengthB, 16);
+  header.writeUInt32LE(fields.width, 20);
+  header.writeUInt32LE(fields.height, 24);
+  header.writeUInt32LE(stored.length, 28);
+
+  const body = Buffer.concat([header, stored]);
+  return Buffer.concat([body, sac2Checksum(fields.checksum, body)]);
 }
 
 /**
@@ -112,10 +372,17 @@ function buildSAC(arrayA, arrayB, width = 0, height = 0) {
  * Expects a 2-channel PNG (e.g., RG or RA) where each channel represents an int16 array
  * The pixel values are mapped from [0, 255] to signed int16 range
  *
+ * With `mode: 'rgb'` the R, G and B channels become arrays A, B and C of an
+ * RGB mask instead (see buildRgbSAC). Each 8-bit channel value v encodes the
+ * channel difference v - 128, so PNG masks only reach differences from -128
+ * to 127; masks that need the full -255 to 255 have to be built as SAC directly
+ *
  * @param {Buffer} pngBuffer - PNG image buffer
+ * @param {Object} [options]
+ * @param {string} [options.mode='grayscale'] - 'grayscale' or 'rgb'
  * @returns {Promise<Buffer>} SAC v1 binary data
  */
-async function pngToSAC(pngBuffer) {
+async function pngToSAC(pngBuffer, { mode = 'grayscale' } = {}) {
   // Parse PNG and extract raw pixel data
   const image = sharp(pngBuffer);
   const metadata = await image.metadata();
@@ -126,6 +393,13 @@ async function pngToSAC(pngBuffer) {
     throw new Error('Unable to determine image dimensions');
   }
 
+  if (mode === 'rgb') {
+    return rgbPngToSAC(image, width, height);
+  }
+  if (mode !== 'grayscale') {
+    throw new Error(`Unsupported mask mode: ${mode}`);
+  }
+
   // Extract raw pixel data
   // We'll use the raw format to get uncompressed pixel values
   const { data, info } = await image
@@ -157,128 +431,423 @@ async function pngToSAC(pngBuffer) {
   return buildSAC(arrayA, arrayB, width, height);
 }
 
+async function rgbPngToSAC(image, width, height) {
+  // Gray PNGs are expanded so every pixel has exactly R, G and B
+  const { data } = await image
+    .toColourspace('srgb')
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Differences are stored as they are added back (see applyChannelDifferences),
+  // centred on 128 rather than scaled like grayscale PNG masks
+  const totalPixels = width * height;
+  const channels = [new Int16Array(totalPixels), new Int16Array(totalPixels), new Int16Array(totalPixels)];
+  for (let i = 0; i < totalPixels; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      channels[channel][i] = data[i * 3 + channel] - 128;
+    }
+  }
+
+  return buildRgbSAC(...channels, width, height);
+}
+
 /**
- * Parses SAC v1.1 binary data and extracts the arrays
- * Supports FLAG_SINGLE_ARRAY optimization for grayscale masks
- * Useful for validation and testing
+ * Reads and validates a SAC v2 header (see buildSAC2Container)
  *
- * @param {Buffer} sacBuffer - SAC v1.1 binary data
- * @returns {Object} Parsed SAC data with arrays and metadata
+ * @param {Buffer} headerBuffer - At least the first SAC2_HEADER_SIZE bytes of the file
+ * @returns {Object} Header fields plus the total size in bytes they imply
  */
-function parseSAC(sacBuffer) {
-  if (sacBuffer.length < HEADER_SIZE) {
+function parseSAC2Header(headerBuffer) {
+  if (headerBuffer.length < SAC2_HEADER_SIZE) {
+    throw new Error('Buffer too small to be valid SAC');
+  }
+
+  const flags = headerBuffer.readUInt8(4);
+  const dtypeCode = headerBuffer.readUInt8(5);
+  const dtype = dtypeName(dtypeCode);
+  if (!dtype) {
+    throw new Error(`Unsupported dtype_code: ${dtypeCode}`);
+  }
+  const arraysCount = headerBuffer.readUInt8(6);
+  assertArraysCount(arraysCount, flags);
+  const compression = codeName(SAC2_COMPRESSION_CODES, headerBuffer.readUInt8(7));
+  if (!compression) {
+    throw new Error(`Unsupported compression: ${headerBuffer.readUInt8(7)}`);
+  }
+  const checksum = codeName(SAC2_CHECKSUM_CODES, headerBuffer.readUInt8(8));
+  if (!checksum) {
+    throw new Error(`Unsupported checksum: ${headerBuffer.readUInt8(8)}`);
+  }
+
+  const header = {
+    version: 2,
+    flags,
+    dtypeCode,
+    dtype,
+    arraysCount,
+    compression,
+    checksum,
+    lengthA: headerBuffer.readUInt32LE(12),
+    lengthB: headerBuffer.readUInt32LE(16),
+    width: headerBuffer.readUInt32LE(20),
+    height: headerBuffer.readUInt32LE(24),
+    payloadSize: headerBuffer.readUInt32LE(28),
+    isSingleArray: (flags & FLAG_SINGLE_ARRAY) !== 0,
+    headerSize: SAC2_HEADER_SIZE,
+  };
+  header.expectedSize = SAC2_HEADER_SIZE + header.payloadSize + SAC2_CHECKSUM_BYTES[checksum];
+  return header;
+}
+
+// 1 (single-array), 2 (A and B) or 3 (RGB: A, B and C)
+function assertArraysCount(arraysCount, flags) {
+  if (arraysCount !== 1 && arraysCount !== ARRAYS_COUNT && arraysCount !== RGB_ARRAYS_COUNT) {
+    throw new Error(`Unsupported arrays_count: ${arraysCount}`);
+  }
+  if (arraysCount === RGB_ARRAYS_COUNT && (flags & FLAG_SINGLE_ARRAY) !== 0) {
+    throw new Error('FLAG_SINGLE_ARRAY cannot be set for RGB masks');
+  }
+}
+
+// Elements in the payload: array C of RGB masks shares length_b
+function payloadElements({ lengthA, lengthB, isSingleArray, arraysCount }) {
+  return lengthA
+    + (isSingleArray ? 0 : lengthB)
+    + (arraysCount === RGB_ARRAYS_COUNT ? lengthB : 0);
+}
+
+function assertArrayDimensions({ lengthA, lengthB, width, height }) {
+  if (width && height) {
+    if (lengthA !== width * height) {
+      throw new Error(`Array A length ${lengthA} != width*height ${width * height}`);
+    }
+    if (lengthB !== width * height) {
+      throw new Error(`Array B length ${lengthB} != width*height ${width * height}`);
+    }
+  }
+}
+
+/**
+ * Reads and validates a SAC v1.1 or v2 header without touching the array payload
+ * Lets streamed uploads validate a mask from its first SAC2_HEADER_SIZE bytes
+ *
+ * @param {Buffer} headerBuffer - At least the header of a SAC file (24 bytes for v1, 32 for v2)
+ * @returns {Object} Header fields plus the total size in bytes they imply
+ */
+function parseSACHeader(headerBuffer) {
+  if (headerBuffer.length < HEADER_SIZE) {
     throw new Error('Buffer too small to be valid SAC');
   }
 
   let offset = 0;
 
   // Validate magic
-  const magic = sacBuffer.toString('ascii', offset, offset + 4);
+  const magic = headerBuffer.toString('ascii', offset, offset + 4);
+  if (magic === 'SAC2') {
+    const header = parseSAC2Header(headerBuffer);
+    assertArrayDimensions(header);
+    return header;
+  }
   if (magic !== 'SAC1') {
-    throw new Error(`Invalid magic: expected 'SAC1', got '${magic}'`);
+    throw new Error(`Invalid magic: expected 'SAC1' or 'SAC2', got '${magic}'`);
   }
   offset += 4;
 
   // Read header fields
-  const flags = sacBuffer.readUInt8(offset);
+  const flags = headerBuffer.readUInt8(offset);
   offset += 1;
 
-  const dtypeCode = sacBuffer.readUInt8(offset);
+  const dtypeCode = headerBuffer.readUInt8(offset);
   offset += 1;
-  if (dtypeCode !== DTYPE_INT16) {
+  const dtype = dtypeName(dtypeCode);
+  if (!dtype) {
     throw new Error(`Unsupported dtype_code: ${dtypeCode}`);
   }
 
-  const arraysCount = sacBuffer.readUInt8(offset);
+  const arraysCount = headerBuffer.readUInt8(offset);
   offset += 1;
-  if (arraysCount !== 1 && arraysCount !== ARRAYS_COUNT) {
-    throw new Error(`Unsupported arrays_count: ${arraysCount}`);
-  }
+  assertArraysCount(arraysCount, flags);
 
-  const reserved = sacBuffer.readUInt8(offset);
+  // Reserved byte
   offset += 1;
 
-  const lengthA = sacBuffer.readUInt32LE(offset);
+  const lengthA = headerBuffer.readUInt32LE(offset);
   offset += 4;
 
-  const lengthB = sacBuffer.readUInt32LE(offset);
+  const lengthB = headerBuffer.readUInt32LE(offset);
   offset += 4;
 
-  const width = sacBuffer.readUInt32LE(offset);
+  const width = headerBuffer.readUInt32LE(offset);
   offset += 4;
 
-  const height = sacBuffer.readUInt32LE(offset);
+  const height = headerBuffer.readUInt32LE(offset);
   offset += 4;
 
   // Check if single array mode is enabled
   const isSingleArray = (flags & FLAG_SINGLE_ARRAY) !== 0;
 
-  // Validate buffer size
-  let expectedSize;
-  if (isSingleArray) {
-    // SAC v1.1: Only arrayA is stored, arrayB is omitted
-    expectedSize = HEADER_SIZE + (lengthA * 2);
-  } else {
-    // SAC v1.0: Both arrays are stored
-    expectedSize = HEADER_SIZE + (lengthA * 2) + (lengthB * 2);
+  // SAC v1.1 omits arrayB for single-array masks; SAC v1.0 stores both, RGB masks a third
+  const expectedSize = HEADER_SIZE
+    + payloadElements({ lengthA, lengthB, isSingleArray, arraysCount }) * DTYPES[dtype].bytes;
+
+  // Validate dimensions if present
+  assertArrayDimensions({ lengthA, lengthB, width, height });
+
+  return {
+    version: 1,
+    flags,
+    dtypeCode,
+    dtype,
+    arraysCount,
+    lengthA,
+    lengthB,
+    width,
+    height,
+    isSingleArray,
+    headerSize: HEADER_SIZE,
+    expectedSize,
+  };
+}
+
+/**
+ * Validates a SAC file from its header and total size
+ * Used when the payload was streamed to storage and is not held in memory
+ *
+ * @param {Buffer} headerBuffer - At least the first HEADER_SIZE bytes of the file
+ * @param {number} totalBytes - Size of the complete file
+ * @returns {Object} Parsed header (see parseSACHeader)
+ */
+function validateSACLayout(headerBuffer, totalBytes) {
+  const header = parseSACHeader(headerBuffer);
+  if (totalBytes !== header.expectedSize) {
+    throw new Error(`Buffer size mismatch: expected ${header.expectedSize}, got ${totalBytes}`);
   }
+  return header;
+}
 
-  if (sacBuffer.length !== expectedSize) {
-    throw new Error(`Buffer size mismatch: expected ${expectedSize}, got ${sacBuffer.length}`);
+/**
+ * Computes where a rectangular region of each stored array lies in an
+ * uncompressed SAC file (v1, or v2 with compression `none`). Each row of the
+ * region is a separate range, unless the values skipped between rows (the
+ * columns outside the region) take at most `maxGap` bytes: then one range runs
+ * from column x of row y to column x + w of row y + h - 1, holding every row of
+ * the region with the columns between them. Within a range, the region's rows
+ * start at element `r * width`.
+ *
+ * @param {Object} header - Parsed header (see parseSACHeader)
+ * @param {number} width - Row length in values
+ * @param {{ x: number, y: number, w: number, h: number }} region - In values
+ * @param {Object} [options]
+ * @param {number} [options.maxGap=0] - Largest gap in bytes read rather than skipped
+ * @returns {Array<Array<{ start: number, end: number, rows: number }>>} Byte
+ *   ranges (`end` exclusive) and the region rows each holds, in file order,
+ *   for every stored array
+ */
+function sacRegionRanges(header, width, { x, y, w, h }, { maxGap = 0 } = {}) {
+  if (header.version === 2 && header.compression !== 'none') {
+    throw new Error('Regions can only be located in uncompressed SAC files');
   }
+  const elementBytes = DTYPES[header.dtype].bytes;
+  const arrayLengths = [header.lengthA];
+  if (!header.isSingleArray) arrayLengths.push(header.lengthB);
+  if (header.arraysCount === RGB_ARRAYS_COUNT) arrayLengths.push(header.lengthB);
+
+  const rowsPerRange = (width - w) * elementBytes <= maxGap ? h : 1;
+  let arrayStart = header.headerSize;
+  return arrayLengths.map((length) => {
+    const ranges = [];
+    for (let row = 0; row < h; row += rowsPerRange) {
+      const rows = Math.min(rowsPerRange, h - row);
+      ranges.push({
+        start: arrayStart + ((y + row) * width + x) * elementBytes,
+        end: arrayStart + ((y + row + rows - 1) * width + x + w) * elementBytes,
+        rows,
+      });
+    }
+    arrayStart += length * elementBytes;
+    return ranges;
+  });
+}
 
-  // Validate dimensions if present
-  if (width && height) {
-    if (lengthA !== width * height) {
-      throw new Error(`Array A length ${lengthA} != width*height ${width * height}`);
+/**
+ * Checks a SAC v2 footer and returns the decompressed payload
+ *
+ * @param {Buffer} sacBuffer - Complete SAC v2 file
+ * @param {Object} header - Parsed header (see parseSACHeader)
+ * @returns {Buffer} Raw payload
+ */
+function readSAC2Payload(sacBuffer, header) {
+  const bodyEnd = SAC2_HEADER_SIZE + header.payloadSize;
+  const expected = sac2Checksum(header.checksum, sacBuffer.subarray(0, bodyEnd));
+  if (!expected.equals(sacBuffer.subarray(bodyEnd))) {
+    throw new Error(`${header.checksum} checksum mismatch`);
+  }
+
+  const rawBytes = payloadElements(header) * DTYPES[header.dtype].bytes;
+  if (rawBytes > SAC2_MAX_PAYLOAD_BYTES) {
+    throw new Error(`Payload of ${rawBytes} bytes exceeds the ${SAC2_MAX_PAYLOAD_BYTES} byte limit`);
+  }
+
+  let payload;
+  try {
+    payload = decompressPayload(header.compression, sacBuffer.subarray(SAC2_HEADER_SIZE, bodyEnd), rawBytes);
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`Decompressed payload is larger than ${rawBytes} bytes`);
     }
-    if (lengthB !== width * height) {
-      throw new Error(`Array B length ${lengthB} != width*height ${width * height}`);
+    throw new Error(`Could not decompress ${header.compression} payload: ${error.message}`);
+  }
+  if (payload.length !== rawBytes) {
+    throw new Error(`Payload size mismatch: expected ${rawBytes}, got ${payload.length}`);
+  }
+  return payload;
+}
+
+function payloadDecompressor(compression) {
+  if (compression === 'deflate') return zlib.createInflate();
+  if (compression === 'brotli') return zlib.createBrotliDecompress();
+  return null;
+}
+
+/**
+ * Checks a SAC v2 file like `parseSAC` does (checksum footer, payload size after
+ * decompression) while it streams past, so neither the file nor its payload is
+ * held in memory. A corrupt compressed payload may fail to decompress before
+ * the checksum is reached.
+ *
+ * @param {AsyncIterable<Buffer>} stream - Complete SAC v2 file
+ * @param {Object} header - Parsed header (see validateSACLayout)
+ * @returns {Promise<void>}
+ */
+async function verifySAC2Stream(stream, header) {
+  const rawBytes = payloadElements(header) * DTYPES[header.dtype].bytes;
+  if (rawBytes > SAC2_MAX_PAYLOAD_BYTES) {
+    throw new Error(`Payload of ${rawBytes} bytes exceeds the ${SAC2_MAX_PAYLOAD_BYTES} byte limit`);
+  }
+
+  const bodyEnd = SAC2_HEADER_SIZE + header.payloadSize;
+  const hash = header.checksum === 'sha256' ? crypto.createHash('sha256') : null;
+  let crc = 0;
+  let offset = 0;
+  const footer = [];
+
+  async function* payloadChunks() {
+    for await (const chunk of stream) {
+      const body = chunk.subarray(0, Math.max(0, bodyEnd - offset));
+      if (hash) hash.update(body);
+      else crc = crc32(body, crc);
+      const payloadStart = Math.max(0, SAC2_HEADER_SIZE - offset);
+      if (body.length > payloadStart) yield body.subarray(payloadStart);
+      footer.push(chunk.subarray(body.length));
+      offset += chunk.length;
+    }
+  }
+
+  let decompressed = 0;
+  async function countBytes(source) {
+    for await (const chunk of source) {
+      decompressed += chunk.length;
+      if (decompressed > rawBytes) {
+        throw new Error(`Decompressed payload is larger than ${rawBytes} bytes`);
+      }
     }
   }
 
+  const decompressor = payloadDecompressor(header.compression);
+  try {
+    await (decompressor ? pipeline(payloadChunks, decompressor, countBytes) : countBytes(payloadChunks()));
+  } catch (error) {
+    if (decompressed > rawBytes || !decompressor) throw error;
+    throw new Error(`Could not decompress ${header.compression} payload: ${error.message}`);
+  }
+
+  const expected = hash ? hash.digest() : Buffer.alloc(SAC2_CHECKSUM_BYTES.crc32);
+  if (!hash) expected.writeUInt32LE(crc);
+  if (!expected.equals(Buffer.concat(footer))) {
+    throw new Error(`${header.checksum} checksum mismatch`);
+  }
+  if (decompressed !== rawBytes) {
+    throw new Error(`Payload size mismatch: expected ${rawBytes}, got ${decompressed}`);
+  }
+}
+
+/**
+ * Parses SAC v1.1 or v2 binary data and extracts the arrays
+ * Supports FLAG_SINGLE_ARRAY optimization for grayscale masks; SAC v2 files
+ * are checked against their checksum footer and decompressed
+ * Arrays come back as Int8Array, Uint8Array or Int16Array for the integer
+ * dtypes and as Float32Array for float16
+ * Useful for validation and testing
+ *
+ * @param {Buffer} sacBuffer - SAC binary data
+ * @returns {Object} Parsed SAC data with arrays and metadata
+ */
+function parseSAC(sacBuffer) {
+  const header = validateSACLayout(sacBuffer, sacBuffer.length);
+  const { lengthA, lengthB, isSingleArray, dtype } = header;
+
+  const payload = header.version === 2 ? readSAC2Payload(sacBuffer, header) : sacBuffer;
+  let offset = header.version === 2 ? 0 : HEADER_SIZE;
+
   // Extract arrays
-  const arrayA = new Int16Array(
-    sacBuffer.buffer,
-    sacBuffer.byteOffset + offset,
-    lengthA
-  );
-  offset += lengthA * 2;
+  const arrayA = decodeValues(payload, offset, lengthA, dtype);
+  offset += lengthA * DTYPES[dtype].bytes;
 
   let arrayB;
   if (isSingleArray) {
     // SAC v1.1: Duplicate arrayA to create arrayB (grayscale optimization)
-    arrayB = new Int16Array(arrayA);
+    arrayB = new arrayA.constructor(arrayA);
   } else {
     // SAC v1.0: Read arrayB from buffer
-    arrayB = new Int16Array(
-      sacBuffer.buffer,
-      sacBuffer.byteOffset + offset,
-      lengthB
-    );
+    arrayB = decodeValues(payload, offset, lengthB, dtype);
+    offset += lengthB * DTYPES[dtype].bytes;
   }
 
+  // RGB masks: arrays A, B and C hold the red, green and blue differences
+  const arrayC = header.arraysCount === RGB_ARRAYS_COUNT
+    ? decodeValues(payload, offset, lengthB, dtype)
+    : undefined;
+
   return {
-    flags,
-    dtypeCode,
-    arraysCount,
+    version: header.version,
+    flags: header.flags,
+    dtypeCode: header.dtypeCode,
+    dtype,
+    arraysCount: header.arraysCount,
     lengthA,
     lengthB,
-    width,
-    height,
+    width: header.width,
+    height: header.height,
     arrayA,
     arrayB,
+    ...(arrayC && { arrayC }),
     isSingleArray,
+    maskMode: arrayC ? 'rgb' : 'grayscale',
+    ...(header.version === 2 && { compression: header.compression, checksum: header.checksum }),
   };
 }
 
 module.exports = {
   buildSAC,
+  buildRgbSAC,
+  selectDtype,
   pngToSAC,
   parseSAC,
+  verifySAC2Stream,
+  parseSACHeader,
+  validateSACLayout,
+  sacRegionRanges,
+  decodeValues,
   SAC_MAGIC,
   DTYPE_INT16,
+  DTYPE_INT8,
+  DTYPE_UINT8,
+  DTYPE_FLOAT16,
   ARRAYS_COUNT,
+  RGB_ARRAYS_COUNT,
   HEADER_SIZE,
   FLAG_SINGLE_ARRAY,
+  SAC2_MAGIC,
+  SAC2_HEADER_SIZE,
 };
@@ -65,7 +65,12 @@ async function fetchHashDataForTree(hashType) {
   };
 
   const artworks = await collection
-    .find({ [intKey]: { $exists: true } })
+    // Trashed, unlisted and private works never appear in similarity results
+    .find({
+      [intKey]: { $exists: true },
+      deletedAt: null,
+      visibility: { $nin: ['unlisted', 'private'] },
+    })
     .project(projection)
     .toArray();
 
@@ -292,6 +297,8 @@ async function findSimilarByHashesLinear(queryHashes, options = {}) {
     $or: searchHashTypes.map((type) => ({
       [`hashes.${type}_int`]: { $exists: true },
     })),
+    deletedAt: null,
+    visibility: { $nin: ['unlisted', 'private'] },
   };
 
   const candidates = await collection
@@ -105,6 +105,8 @@ async function findSimilarByHashes(queryHashes, options = {}) {
     $or: searchHashTypes.map((type) => ({
       [`hashes.${type}_int`]: { $exists: true },
     })),
+    deletedAt: null,
+    visibility: { $nin: ['unlisted', 'private'] },
   };
 
   // Fetch candidate artworks
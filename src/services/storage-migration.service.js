@@ -0,0 +1,172 @@
+const { pipeline } = require('stream/promises');
+const { getDb } = require('../config/mongo');
+const {
+  DEFAULT_VARIANT_BUCKETS,
+  LEGACY_DRIVER,
+  getBucketByKey,
+  downloadStreamFromBucket,
+  deleteFileFromBucket,
+} = require('../storage/gridfs');
+const { getStorageDriver } = require('../storage/drivers');
+const { IngestTap } = require('../storage/gridfs-upload-storage');
+const { driverFilter } = require('./blob.service');
+
+/**
+ * Collect every stored file an artwork references on the given driver.
+ * Shared blobs appear once with all their references.
+ */
+async function collectFiles(driver) {
+  const files = new Map();
+  const cursor = getDb()
+    .collection('artworks_meta')
+    .find({}, { projection: { formats: 1 } })
+    .sort({ _id: 1 });
+
+  for await (const artwork of cursor) {
+    for (const [variant, format] of Object.entries(artwork.formats || {})) {
+      if (!format?.fileId || (format.driver || LEGACY_DRIVER) !== driver) continue;
+
+      const bucketKey = format.bucket || DEFAULT_VARIANT_BUCKETS[variant];
+      const fileKey = `${bucketKey}\n${format.fileId}`;
+      if (!files.has(fileKey)) {
+        files.set(fileKey, {
+          bucketKey,
+          fileId: format.fileId,
+          filename: format.filename,
+          contentType: format.contentType,
+          bytes: format.bytes,
+          checksum: format.checksum,
+          refs: [],
+        });
+      }
+      files.get(fileKey).refs.push({ artworkId: artwork._id, variant });
+    }
+  }
+
+  return [...files.values()];
+}
+
+/**
+ * Copy one file to the target driver under the same ID and verify it
+ */
+async function copyFile(file, source, target) {
+  // A previous interrupted run may have left a partial copy behind
+  await deleteFileFromBucket(target, file.fileId).catch(() => {});
+
+  const tap = new IngestTap(0);
+  const uploadStream = target.openUploadStream(file.filename || String(file.fileId), {
+    contentType: file.contentType,
+    id: file.fileId,
+  });
+
+  try {
+    await pipeline(downloadStreamFromBucket(source, file.fileId), tap, uploadStream);
+  } catch (error) {
+    await deleteFileFromBucket(target, file.fileId).catch(() => {});
+    throw error;
+  }
+
+  const { size, checksum } = tap.summary();
+  const sizeMismatch = Number.isInteger(file.bytes) && size !== file.bytes;
+  const checksumMismatch = file.checksum && checksum !== file.checksum;
+  if (sizeMismatch || checksumMismatch) {
+    await deleteFileFromBucket(target, file.fileId).catch(() => {});
+    throw new Error(`Copy of ${file.fileId} does not match the stored ${sizeMismatch ? 'size' : 'checksum'}`);
+  }
+
+  return size;
+}
+
+/**
+ * Move every artwork file from one storage driver to another. Files keep
+ * their IDs; each one is copied and verified, the artworks and blob record
+ * are repointed, and only then is the source copy deleted. Content that
+ * already has a blob on the target driver is merged into it. Safe to re-run
+ * after an interruption.
+ * @param {Object} options
+ * @param {string} options.from - Source driver name
+ * @param {string} options.to - Target driver name
+ * @param {boolean} [options.dryRun] - Count what would move without copying
+ * @param {number} [options.limit] - Stop after this many files (0 = no limit)
+ * @returns {Promise<Object>} Migration summary
+ */
+async function migrateStorage({ from, to, dryRun = false, limit = 0 }) {
+  if (from === to) {
+    throw new Error('Source and target storage drivers must differ');
+  }
+  // Fail fast on drivers that are not configured
+  getStorageDriver(from);
+  getStorageDriver(to);
+
+  const db = getDb();
+  const files = await collectFiles(from);
+  const batch = limit > 0 ? files.slice(0, limit) : files;
+  const summary = {
+    files: 0,
+    bytes: 0,
+    artworksUpdated: 0,
+    remaining: files.length - batch.length,
+    errors: [],
+  };
+
+  for (const file of batch) {
+    if (dryRun) {
+      summary.files += 1;
+      summary.bytes += file.bytes || 0;
+      summary.artworksUpdated += file.refs.length;
+      continue;
+    }
+
+    const source = getBucketByKey(file.bucketKey, from);
+    const target = getBucketByKey(file.bucketKey, to);
+    const blobs = db.collection('gridfs_blobs');
+    try {
+      // Identical content already on the target driver is shared instead of copied
+      const existing = file.checksum
+        ? await blobs.findOne({ driver: driverFilter(to), bucket: file.bucketKey, checksum: file.checksum })
+        : null;
+      const targetId = existing ? existing.fileId : file.fileId;
+      const size = existing ? existing.bytes || 0 : await copyFile(file, source, target);
+
+      for (const ref of file.refs) {
+        const path = `formats.${ref.variant}`;
+        await db.collection('artworks_meta').updateOne(
+          { _id: ref.artworkId, [`${path}.fileId`]: file.fileId },
+          { $set: { [`${path}.fileId`]: targetId, [`${path}.driver`]: to, [`${path}.bucket`]: file.bucketKey } },
+        );
+      }
+
+      const sourceFilter = { driver: driverFilter(from), bucket: file.bucketKey, fileId: file.fileId };
+      // A run interrupted after moving the blob record already counted these references
+      const resumed = existing && String(existing.fileId) === String(file.fileId);
+      if (existing && !resumed) {
+        await blobs.updateOne(
+          { _id: existing._id },
+          { $inc: { refCount: file.refs.length }, $set: { updatedAt: new Date() } },
+        );
+        await blobs.deleteOne(sourceFilter);
+      } else if (!existing) {
+        await blobs.updateOne(sourceFilter, { $set: { driver: to, updatedAt: new Date() } });
+      }
+
+      summary.files += 1;
+      summary.bytes += size;
+      summary.artworksUpdated += file.refs.length;
+    } catch (error) {
+      summary.errors.push({ fileId: file.fileId, bucket: file.bucketKey, stage: 'copy', error: error.message });
+      continue;
+    }
+
+    try {
+      await deleteFileFromBucket(source, file.fileId);
+    } catch (error) {
+      summary.errors.push({ fileId: file.fileId, bucket: file.bucketKey, stage: 'delete', error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  migrateStorage,
+};
@@ -51,9 +51,11 @@ async function createToken({ artworkId = null, expiresIn = DEFAULT_EXPIRY_MS, me
  * @param {string} token - The token string to validate
  * @param {Object} options
  * @param {boolean} [options.consume] - Whether to mark token as used (default: true)
+ * @param {string} [options.idempotencyKey] - Bind the consumed token to this key so a
+ *   retry with the same key is accepted again until the token expires
  * @returns {Promise<Object|null>} Token document if valid, null otherwise
  */
-async function validateToken(token, { consume = true } = {}) {
+async function validateToken(token, { consume = true, idempotencyKey = null } = {}) {
   if (!token || typeof token !== 'string') {
     return null;
   }
@@ -70,27 +72,77 @@ async function validateToken(token, { consume = true } = {}) {
   };
 
   if (consume) {
+    const update = { used: true, usedAt: now };
+    if (idempotencyKey) {
+      delete query.used;
+      query.$or = [{ used: false }, { idempotencyKey }];
+      update.idempotencyKey = idempotencyKey;
+    }
+
     // Atomically find and mark as used
     const result = await collection.findOneAndUpdate(
       query,
       {
-        $set: {
-          used: true,
-          usedAt: now,
-        },
+        $set: update,
       },
       {
         returnDocument: 'after',
       }
     );
 
-    return result?.value || null;
+    return result || null;
   } else {
     // Just check if token is valid without consuming
     return await collection.findOne(query);
   }
 }
 
+/**
+ * Consume a token by ID before the work it authorises, so only one request
+ * can use it; hand it back with `releaseTokenById` if that work fails
+ * @param {string|ObjectId} tokenId - Token document ID
+ * @returns {Promise<Date|null>} When the token was consumed, or null if it was no longer valid
+ */
+async function consumeTokenById(tokenId) {
+  const db = getDb();
+  const collection = db.collection(TOKEN_COLLECTION);
+
+  const now = new Date();
+  const result = await collection.updateOne(
+    { _id: new ObjectId(tokenId), used: false, expiresAt: { $gt: now } },
+    {
+      $set: {
+        used: true,
+        usedAt: now,
+      },
+    }
+  );
+
+  return result.modifiedCount > 0 ? now : null;
+}
+
+/**
+ * Hand back a token consumed by `consumeTokenById` after the work it
+ * authorised failed. A token revoked in the meantime stays used.
+ * @param {string|ObjectId} tokenId - Token document ID
+ * @param {Date} usedAt - Value returned by `consumeTokenById`
+ * @returns {Promise<boolean>} True if the token is usable again
+ */
+async function releaseTokenById(tokenId, usedAt) {
+  const db = getDb();
+  const collection = db.collection(TOKEN_COLLECTION);
+
+  const result = await collection.updateOne(
+    { _id: new ObjectId(tokenId), used: true, usedAt },
+    {
+      $set: { used: false },
+      $unset: { usedAt: '' },
+    }
+  );
+
+  return result.modifiedCount > 0;
+}
+
 /**
  * Revoke a token (marks it as used)
  * @param {string} token - The token string to revoke
@@ -111,12 +163,39 @@ async function revokeToken(token) {
         used: true,
         usedAt: new Date(),
       },
+      $unset: { idempotencyKey: '' },
     }
   );
 
   return result.modifiedCount > 0;
 }
 
+/**
+ * Revoke every outstanding token issued for an artwork
+ * @param {string|ObjectId} artworkId - Artwork the tokens were issued for
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeTokensForArtwork(artworkId) {
+  if (!artworkId) {
+    return 0;
+  }
+
+  const db = getDb();
+  const collection = db.collection(TOKEN_COLLECTION);
+
+  const result = await collection.updateMany(
+    { artworkId: new ObjectId(artworkId), used: false },
+    {
+      $set: {
+        used: true,
+        usedAt: new Date(),
+      },
+    }
+  );
+
+  return result.modifiedCount;
+}
+
 /**
  * Clean up expired and used tokens
  * @param {Object} options
@@ -183,7 +262,10 @@ module.exports = {
   generateSecureToken,
   createToken,
   validateToken,
+  consumeTokenById,
+  releaseTokenById,
   revokeToken,
+  revokeTokensForArtwork,
   cleanupTokens,
   getTokenStats,
   createTokenIndexes,
@@ -0,0 +1,273 @@
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/mongo');
+const config = require('../config/env');
+const {
+  getOriginalBucket,
+  getUploadStagingBucket,
+  downloadStreamFromBucket,
+  deleteFileFromBucket,
+} = require('../storage/gridfs');
+const { IngestTap } = require('../storage/gridfs-upload-storage');
+
+const SESSION_COLLECTION = 'upload_sessions';
+// A finalize that has not finished in this long is assumed to have crashed
+const STALE_FINALIZE_MS = 60 * 60 * 1000;
+
+function getCollection() {
+  return getDb().collection(SESSION_COLLECTION);
+}
+
+/**
+ * Open a resumable upload session for an original image
+ * Sessions live as long as the upload token they are bound to
+ * @param {Object} options
+ * @param {ObjectId} options.tokenId - Upload token the session is bound to
+ * @param {Date} options.expiresAt - Token expiry, reused as the session expiry
+ * @param {number} options.length - Total size of the original in bytes
+ * @param {string} options.filename - Original filename
+ * @param {string} options.contentType - Image MIME type
+ * @param {string|null} [options.userId] - User the token was issued for
+ * @returns {Promise<Object>} Session document
+ */
+async function createUploadSession({ tokenId, expiresAt, length, filename, contentType, userId = null }) {
+  if (length > config.uploads.resumableMaxBytes) {
+    const err = new Error(`Upload length exceeds the ${config.uploads.resumableMaxBytes} byte limit`);
+    err.status = 413;
+    throw err;
+  }
+
+  const now = new Date();
+  const session = {
+    tokenId: new ObjectId(tokenId),
+    userId: userId || null,
+    filename,
+    contentType,
+    length,
+    offset: 0,
+    parts: [],
+    status: 'active',
+    createdAt: now,
+    updatedAt: now,
+    expiresAt,
+  };
+
+  const result = await getCollection().insertOne(session);
+  session._id = result.insertedId;
+  return session;
+}
+
+async function getUploadSession(id) {
+  return getCollection().findOne({
+    _id: new ObjectId(id),
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+// Fails the stream as soon as a chunk runs past the declared upload length
+function createLengthGuard(maxBytes) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > maxBytes) {
+        const err = new Error('Chunk exceeds the declared upload length');
+        err.status = 413;
+        callback(err);
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Stage one chunk of a resumable upload
+ * @param {Object} session - Session document
+ * @param {number} offset - Client's Upload-Offset, must match the session offset
+ * @param {Readable} source - Chunk body
+ * @returns {Promise<Object>} Updated session document
+ */
+async function appendUploadChunk(session, offset, source) {
+  if (session.status !== 'active') {
+    const err = new Error('Upload session is being finalized');
+    err.status = 409;
+    throw err;
+  }
+
+  if (offset !== session.offset) {
+    const err = new Error(`Upload-Offset mismatch: expected ${session.offset}`);
+    err.status = 409;
+    throw err;
+  }
+
+  const bucket = getUploadStagingBucket();
+  const tap = new IngestTap(0);
+  const uploadStream = bucket.openUploadStream(`${session._id}-${offset}`, {
+    metadata: { sessionId: session._id, offset },
+  });
+
+  try {
+    await pipeline(source, createLengthGuard(session.length - offset), tap, uploadStream);
+  } catch (error) {
+    await deleteFileFromBucket(bucket, uploadStream.id).catch(() => {});
+    throw error;
+  }
+
+  const { size } = tap.summary();
+  if (size === 0) {
+    await deleteFileFromBucket(bucket, uploadStream.id).catch(() => {});
+    return session;
+  }
+
+  // Only advance from the offset we validated, so concurrent PATCHes cannot interleave
+  const updated = await getCollection().findOneAndUpdate(
+    { _id: session._id, offset, status: 'active' },
+    {
+      $set: { offset: offset + size, updatedAt: new Date() },
+      $push: { parts: { fileId: uploadStream.id, driver: bucket.driver, offset, bytes: size } },
+    },
+    { returnDocument: 'after' },
+  );
+
+  if (!updated) {
+    await deleteFileFromBucket(bucket, uploadStream.id).catch(() => {});
+    const err = new Error('Upload session changed while the chunk was being written');
+    err.status = 409;
+    throw err;
+  }
+
+  return updated;
+}
+
+/**
+ * Claim a complete session for finalization so it cannot be finalized twice
+ * @param {Object} session - Session document
+ * @returns {Promise<Object>} Claimed session document
+ */
+async function claimUploadSession(session) {
+  if (session.offset !== session.length) {
+    const err = new Error(`Upload incomplete: received ${session.offset} of ${session.length} bytes`);
+    err.status = 409;
+    throw err;
+  }
+
+  const claimed = await getCollection().findOneAndUpdate(
+    { _id: session._id, status: 'active', offset: session.length },
+    { $set: { status: 'finalizing', updatedAt: new Date() } },
+    { returnDocument: 'after' },
+  );
+
+  if (!claimed) {
+    const err = new Error('Upload session is already being finalized');
+    err.status = 409;
+    throw err;
+  }
+
+  return claimed;
+}
+
+/**
+ * Hand a claimed session back after a failed finalize so the client can retry
+ * @param {ObjectId} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function releaseUploadSession(sessionId) {
+  await getCollection().updateOne(
+    { _id: sessionId, status: 'finalizing' },
+    { $set: { status: 'active', updatedAt: new Date() } },
+  );
+}
+
+/**
+ * Concatenate the staged chunks into the originals bucket, hashing on the way
+ * @param {Object} session - Claimed session document
+ * @param {Object} [options]
+ * @param {number} [options.probeBytes] - Leading bytes to keep for image probing
+ * @returns {Promise<Object>} Stored file descriptor accepted by createArtwork
+ */
+async function assembleUpload(session, { probeBytes = 0 } = {}) {
+  const bucket = getOriginalBucket();
+  const parts = [...session.parts].sort((a, b) => a.offset - b.offset);
+  const tap = new IngestTap(probeBytes);
+  const uploadStream = bucket.openUploadStream(session.filename, {
+    contentType: session.contentType,
+  });
+
+  async function* readParts() {
+    for (const part of parts) {
+      yield* downloadStreamFromBucket(getUploadStagingBucket(part.driver), part.fileId);
+    }
+  }
+
+  try {
+    await pipeline(readParts(), tap, uploadStream);
+  } catch (error) {
+    await deleteFileFromBucket(bucket, uploadStream.id).catch(() => {});
+    throw error;
+  }
+
+  const summary = tap.summary();
+  if (summary.size !== session.length) {
+    await deleteFileFromBucket(bucket, uploadStream.id).catch(() => {});
+    throw new Error(`Assembled upload is ${summary.size} bytes, expected ${session.length}`);
+  }
+
+  return {
+    fieldname: 'original',
+    originalname: session.filename,
+    mimetype: session.contentType,
+    fileId: uploadStream.id,
+    bucketKey: 'originals',
+    driver: bucket.driver,
+    ...summary,
+  };
+}
+
+/**
+ * Delete a session and its staged chunks
+ * @param {Object} session - Session document
+ * @returns {Promise<void>}
+ */
+async function discardUploadSession(session) {
+  await Promise.allSettled(
+    (session.parts || []).map((part) => deleteFileFromBucket(getUploadStagingBucket(part.driver), part.fileId)),
+  );
+  await getCollection().deleteOne({ _id: session._id });
+}
+
+/**
+ * Remove sessions whose token expired before they were finalized
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (default: now)
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function purgeExpiredUploadSessions({ now = new Date() } = {}) {
+  const sessions = await getCollection()
+    .find({
+      expiresAt: { $lte: now },
+      $or: [
+        { status: { $ne: 'finalizing' } },
+        { updatedAt: { $lt: new Date(now.getTime() - STALE_FINALIZE_MS) } },
+      ],
+    })
+    .toArray();
+
+  for (const session of sessions) {
+    await discardUploadSession(session);
+  }
+
+  return sessions.length;
+}
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  claimUploadSession,
+  releaseUploadSession,
+  assembleUpload,
+  discardUploadSession,
+  purgeExpiredUploadSessions,
+};
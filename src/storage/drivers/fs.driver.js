@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { ObjectId } = require('mongodb');
+
+function fileNotFound(id) {
+  const err = new Error(`FileNotFound: file ${id} was not found`);
+  err.code = 'ENOENT';
+  return err;
+}
+
+/**
+ * Writes to a temp file next to the target and renames it into place on
+ * finish, so readers never see a partial file
+ */
+class FsUploadStream extends Writable {
+  constructor(id, target) {
+    super();
+    this.id = id;
+    this.target = target;
+    this.tempPath = `${target}.${crypto.randomUUID()}.partial`;
+    this.handle = null;
+  }
+
+  _construct(callback) {
+    fs.promises
+      .mkdir(path.dirname(this.target), { recursive: true })
+      .then(() => fs.promises.open(this.tempPath, 'w'))
+      .then((handle) => {
+        this.handle = handle;
+        callback();
+      }, callback);
+  }
+
+  _write(chunk, encoding, callback) {
+    this.handle.write(chunk).then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    const handle = this.handle;
+    this.handle = null;
+    handle
+      .close()
+      .then(() => fs.promises.rename(this.tempPath, this.target))
+      .then(() => callback(), callback);
+  }
+
+  _destroy(error, callback) {
+    const handle = this.handle;
+    this.handle = null;
+    Promise.resolve(handle && handle.close())
+      .catch(() => {})
+      .then(() => fs.promises.rm(this.tempPath, { force: true }))
+      .then(() => callback(error), () => callback(error));
+  }
+}
+
+/**
+ * One directory of files exposed through the storage bucket interface.
+ * Files are spread over subdirectories by the last two hex digits of their ID.
+ */
+class FsStore {
+  constructor(dir) {
+    this.driver = 'fs';
+    this.dir = dir;
+  }
+
+  pathFor(id) {
+    const name = String(id);
+    return path.join(this.dir, name.slice(-2), name);
+  }
+
+  openUploadStream(filename, { id } = {}) {
+    const fileId = id ? new ObjectId(id) : new ObjectId();
+    return new FsUploadStream(fileId, this.pathFor(fileId));
+  }
+
+  openDownloadStream(id, { start, end } = {}) {
+    const options = {};
+    if (Number.isInteger(start)) options.start = start;
+    // fs ranges are inclusive, GridFS-style ranges are not
+    if (Number.isInteger(end)) options.end = end - 1;
+    return fs.createReadStream(this.pathFor(id), options);
+  }
+
+  async delete(id) {
+    try {
+      await fs.promises.unlink(this.pathFor(id));
+    } catch (error) {
+      throw error.code === 'ENOENT' ? fileNotFound(id) : error;
+    }
+  }
+
+  async getFileLength(id) {
+    try {
+      const stats = await fs.promises.stat(this.pathFor(id));
+      return stats.size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Temp files of uploads in progress are skipped; their names are not IDs
+  async *list() {
+    let shards;
+    try {
+      shards = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const shard of shards.sort()) {
+      const names = await fs.promises.readdir(path.join(this.dir, shard)).catch(() => []);
+      for (const name of names.sort()) {
+        if (!ObjectId.isValid(name) || name.length !== 24) continue;
+        const stats = await fs.promises.stat(path.join(this.dir, shard, name)).catch(() => null);
+        if (stats?.isFile()) {
+          yield { id: new ObjectId(name), length: stats.size, uploadDate: stats.mtime };
+        }
+      }
+    }
+  }
+}
+
+class FsDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory holding one subdirectory per bucket
+   */
+  constructor({ root }) {
+    this.name = 'fs';
+    this.root = root;
+    this.stores = new Map();
+  }
+
+  getBucket(bucketName) {
+    if (!this.stores.has(bucketName)) {
+      this.stores.set(bucketName, new FsStore(path.join(this.root, bucketName)));
+    }
+    return this.stores.get(bucketName);
+  }
+}
+
+module.exports = {
+  FsDriver,
+};
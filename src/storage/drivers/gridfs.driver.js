@@ -0,0 +1,61 @@
+const { GridFSBucket, ObjectId } = require('mongodb');
+const { getDb } = require('../../config/mongo');
+
+const CHUNK_SIZE_BYTES = 1024 * 1024;
+
+/**
+ * One GridFS bucket exposed through the storage bucket interface
+ * (see drivers/index.js)
+ */
+class GridFsStore {
+  constructor(db, bucketName) {
+    this.driver = 'gridfs';
+    this.bucketName = bucketName;
+    this.bucket = new GridFSBucket(db, { bucketName, chunkSizeBytes: CHUNK_SIZE_BYTES });
+  }
+
+  openUploadStream(filename, { contentType, metadata, id } = {}) {
+    const options = { contentType, metadata };
+    return id
+      ? this.bucket.openUploadStreamWithId(new ObjectId(id), filename, options)
+      : this.bucket.openUploadStream(filename, options);
+  }
+
+  openDownloadStream(id, range = {}) {
+    return this.bucket.openDownloadStream(new ObjectId(id), range);
+  }
+
+  delete(id) {
+    return this.bucket.delete(new ObjectId(id));
+  }
+
+  async getFileLength(id) {
+    const file = await this.bucket.find({ _id: new ObjectId(id) }, { limit: 1 }).next();
+    return file ? file.length : null;
+  }
+
+  async *list() {
+    const cursor = this.bucket.find({}, { projection: { _id: 1, length: 1, uploadDate: 1 } });
+    for await (const file of cursor) {
+      yield { id: file._id, length: file.length, uploadDate: file.uploadDate };
+    }
+  }
+}
+
+class GridFsDriver {
+  constructor() {
+    this.name = 'gridfs';
+    this.stores = new Map();
+  }
+
+  getBucket(bucketName) {
+    if (!this.stores.has(bucketName)) {
+      this.stores.set(bucketName, new GridFsStore(getDb(), bucketName));
+    }
+    return this.stores.get(bucketName);
+  }
+}
+
+module.exports = {
+  GridFsDriver,
+};
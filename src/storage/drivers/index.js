@@ -0,0 +1,86 @@
+/**
+ * Storage driver registry.
+ *
+ * A driver maps storage bucket names (artwork_originals, ...) to bucket
+ * objects that all expose the same subset of the GridFSBucket API:
+ *
+ * - `openUploadStream(filename, { contentType, metadata, id })` returns a
+ *   writable with an `id` (ObjectId) that finishes once the file is durable
+ * - `openDownloadStream(id, { start, end })` returns a readable; `end` is exclusive
+ * - `delete(id)` resolves once the file is gone
+ * - `getFileLength(id)` resolves to the stored length, or null if missing
+ * - `list()` async-iterates `{ id, length, uploadDate }` for every stored file
+ * - `driver` names the driver the bucket belongs to
+ *
+ * Artwork formats record the driver their file was written with, so data on
+ * several drivers can coexist; new files go to `storage.driver`.
+ */
+const config = require('../../config/env');
+const { GridFsDriver } = require('./gridfs.driver');
+const { FsDriver } = require('./fs.driver');
+const { S3Driver } = require('./s3.driver');
+
+const drivers = new Map();
+
+function createDriver(name) {
+  switch (name) {
+    case 'gridfs':
+      return new GridFsDriver();
+    case 'fs':
+      return new FsDriver({ root: config.storage.fs.root });
+    case 's3':
+      if (!config.storage.s3) {
+        throw new Error("Storage driver 's3' is not configured (storage.s3)");
+      }
+      return new S3Driver({
+        ...config.storage.s3,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      });
+    default:
+      throw new Error(`Unknown storage driver '${name}'`);
+  }
+}
+
+function getDefaultDriverName() {
+  return config.storage.driver;
+}
+
+/**
+ * Drivers that can hold files with the current configuration
+ * @returns {string[]}
+ */
+function getConfiguredDriverNames() {
+  return config.storage.s3 ? ['gridfs', 'fs', 's3'] : ['gridfs', 'fs'];
+}
+
+/**
+ * @param {string} [name] - Driver name (default: `storage.driver`)
+ * @returns {{ name: string, getBucket: Function }}
+ */
+function getStorageDriver(name = getDefaultDriverName()) {
+  if (!drivers.has(name)) {
+    drivers.set(name, createDriver(name));
+  }
+  return drivers.get(name);
+}
+
+/**
+ * Replace the driver instance used for a name (tests, custom wiring)
+ * @param {string} name - Driver name
+ * @param {{ name: string, getBucket: Function }|null} driver - Driver, or null to reset
+ */
+function setStorageDriver(name, driver) {
+  if (driver) {
+    drivers.set(name, driver);
+  } else {
+    drivers.delete(name);
+  }
+}
+
+module.exports = {
+  getDefaultDriverName,
+  getConfiguredDriverNames,
+  getStorageDriver,
+  setStorageDriver,
+};
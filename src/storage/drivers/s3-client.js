@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as S3 expects it; slashes are kept in object keys
+function encodeRfc3986(value, { keepSlashes = false } = {}) {
+  const encoded = encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+  return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function canonicalQueryString(query) {
+  return Object.keys(query)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+    .join('&');
+}
+
+/**
+ * Compute an AWS Signature Version 4 Authorization header for an S3 request
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Encoded request path
+ * @param {Object<string, string>} [request.query] - Query parameters (unencoded)
+ * @param {Object<string, string>} request.headers - Headers to sign; must include host,
+ *   x-amz-date and x-amz-content-sha256
+ * @param {Object} credentials
+ * @param {string} credentials.accessKeyId
+ * @param {string} credentials.secretAccessKey
+ * @param {string} credentials.region
+ * @returns {string} Authorization header value
+ */
+function signRequest({ method, path, query = {}, headers }, { accessKeyId, secretAccessKey, region }) {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]),
+  );
+  const canonicalHeaders = names.map((name) => `${name}:${lowerHeaders[name]}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQueryString(query),
+    canonicalHeaders,
+    signedHeaders,
+    lowerHeaders['x-amz-content-sha256'],
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region),
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    res.on('error', reject);
+  });
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : null;
+}
+
+function xmlUnescape(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Minimal S3 client covering what the storage driver needs: single and
+ * multipart uploads, ranged reads, HEAD, DELETE and listing. Works with AWS and
+ * S3-compatible servers (MinIO, R2, ...) using path-style or virtual-hosted URLs.
+ */
+class S3Client {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Service URL, e.g. http://localhost:9000
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.region] - Signing region (default: us-east-1)
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {boolean} [options.forcePathStyle] - Address the bucket in the path (default: true)
+   */
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    const url = new URL(endpoint);
+    this.protocol = url.protocol;
+    this.hostname = forcePathStyle ? url.hostname : `${bucket}.${url.hostname}`;
+    this.port = url.port;
+    this.basePath = forcePathStyle ? `/${encodeRfc3986(bucket)}` : '';
+    this.credentials = { accessKeyId, secretAccessKey, region };
+  }
+
+  /**
+   * Send a signed request
+   * @param {Object} options
+   * @param {string} options.method - HTTP method
+   * @param {string} options.key - Object key
+   * @param {Object<string, string>} [options.query] - Query parameters
+   * @param {Object<string, string>} [options.headers] - Extra headers (signed)
+   * @param {Buffer} [options.body] - Request payload
+   * @param {number[]} [options.expect] - Status codes treated as success (default: 2xx)
+   * @returns {Promise<http.IncomingMessage>} Response with an unread body on success
+   */
+  request({ method, key, query = {}, headers = {}, body = null, expect = null }) {
+    const path = `${this.basePath}/${encodeRfc3986(key, { keepSlashes: true })}`;
+    const host = this.port ? `${this.hostname}:${this.port}` : this.hostname;
+    const signedHeaders = {
+      ...headers,
+      host,
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+      'x-amz-content-sha256': body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH,
+    };
+    if (body) {
+      signedHeaders['content-length'] = String(body.length);
+    }
+    const authorization = signRequest({ method, path, query, headers: signedHeaders }, this.credentials);
+
+    const search = canonicalQueryString(query);
+    const transport = this.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        {
+          method,
+          hostname: this.hostname,
+          port: this.port || undefined,
+          path: search ? `${path}?${search}` : path,
+          headers: { ...signedHeaders, authorization },
+        },
+        (res) => {
+          const ok = expect ? expect.includes(res.statusCode) : res.statusCode < 300;
+          if (ok) {
+            resolve(res);
+            return;
+          }
+
+          readBody(res).then((text) => {
+            const err = new Error(
+              `S3 ${method} ${key} failed with ${res.statusCode}: ${xmlValue(text, 'Message') || xmlValue(text, 'Code') || 'no details'}`,
+            );
+            err.statusCode = res.statusCode;
+            err.code = xmlValue(text, 'Code');
+            reject(err);
+          }, reject);
+        },
+      );
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  async putObject(key, body, { contentType } = {}) {
+    const headers = contentType ? { 'content-type': contentType } : {};
+    const res = await this.request({ method: 'PUT', key, headers, body });
+    res.resume();
+  }
+
+  async createMultipartUpload(key, { contentType } = {}) {
+    const headers = contentType ? { 'content-type': contentType } : {};
+    const res = await this.request({ method: 'POST', key, query: { uploads: '' }, headers });
+    return xmlValue(await readBody(res), 'UploadId');
+  }
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    const res = await this.request({ method: 'PUT', key, query: { partNumber, uploadId }, body });
+    res.resume();
+    return res.headers.etag;
+  }
+
+  async completeMultipartUpload(key, uploadId, etags) {
+    const parts = etags
+      .map((etag, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${etag}</ETag></Part>`)
+      .join('');
+    const body = Buffer.from(`<CompleteMultipartUpload>${parts}</CompleteMultipartUpload>`);
+    const res = await this.request({ method: 'POST', key, query: { uploadId }, body });
+    // S3 can report a failed completion with a 200 status
+    const text = await readBody(res);
+    if (text.includes('<Error>')) {
+      throw new Error(`S3 multipart completion failed: ${xmlValue(text, 'Message') || xmlValue(text, 'Code')}`);
+    }
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    const res = await this.request({ method: 'DELETE', key, query: { uploadId }, expect: [204, 404] });
+    res.resume();
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {{ start?: number, end?: number }} [range] - Byte offsets; `end` is exclusive
+   * @returns {Promise<http.IncomingMessage>} Response streaming the object body
+   */
+  getObject(key, { start, end } = {}) {
+    const headers = {};
+    if (Number.isInteger(start) || Number.isInteger(end)) {
+      headers.range = `bytes=${start || 0}-${Number.isInteger(end) ? end - 1 : ''}`;
+    }
+    return this.request({ method: 'GET', key, headers });
+  }
+
+  async headObject(key) {
+    const res = await this.request({ method: 'HEAD', key, expect: [200, 404] });
+    res.resume();
+    return res.statusCode === 200 ? Number(res.headers['content-length']) : null;
+  }
+
+  /**
+   * List one page of objects under a key prefix (ListObjectsV2)
+   * @param {string} prefix - Key prefix
+   * @param {string|null} [continuationToken] - Token from the previous page
+   * @returns {Promise<{ objects: Array<{ key: string, size: number, lastModified: Date }>,
+   *   nextContinuationToken: string|null }>}
+   */
+  async listObjects(prefix, continuationToken = null) {
+    const query = { 'list-type': '2', prefix };
+    if (continuationToken) {
+      query['continuation-token'] = continuationToken;
+    }
+    const res = await this.request({ method: 'GET', key: '', query });
+    const text = await readBody(res);
+
+    const objects = [...text.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)].map(([, entry]) => ({
+      key: xmlUnescape(xmlValue(entry, 'Key')),
+      size: Number(xmlValue(entry, 'Size')),
+      lastModified: new Date(xmlValue(entry, 'LastModified')),
+    }));
+    const truncated = xmlValue(text, 'IsTruncated') === 'true';
+    const token = xmlValue(text, 'NextContinuationToken');
+
+    return { objects, nextContinuationToken: truncated && token ? xmlUnescape(token) : null };
+  }
+
+  async deleteObject(key) {
+    const res = await this.request({ method: 'DELETE', key, expect: [200, 204, 404] });
+    res.resume();
+  }
+}
+
+module.exports = {
+  S3Client,
+  signRequest,
+};
@@ -0,0 +1,161 @@
+const { Writable, PassThrough, pipeline } = require('stream');
+const { ObjectId } = require('mongodb');
+const { S3Client } = require('./s3-client');
+
+// S3 requires every multipart part except the last to be at least 5 MiB
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Buffers one part at a time: small files become a single PUT, larger ones a
+ * multipart upload, so memory stays bounded by the part size
+ */
+class S3UploadStream extends Writable {
+  constructor(client, id, key, { contentType, partSize }) {
+    super();
+    this.client = client;
+    this.id = id;
+    this.key = key;
+    this.contentType = contentType;
+    this.partSize = partSize;
+    this.chunks = [];
+    this.buffered = 0;
+    this.uploadId = null;
+    this.etags = [];
+    this.completed = false;
+  }
+
+  async flushPart() {
+    const body = Buffer.concat(this.chunks);
+    this.chunks = [];
+    this.buffered = 0;
+    if (!this.uploadId) {
+      this.uploadId = await this.client.createMultipartUpload(this.key, { contentType: this.contentType });
+    }
+    this.etags.push(await this.client.uploadPart(this.key, this.uploadId, this.etags.length + 1, body));
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    this.buffered += chunk.length;
+    if (this.buffered < this.partSize) {
+      callback();
+      return;
+    }
+    this.flushPart().then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    const finish = async () => {
+      if (!this.uploadId) {
+        await this.client.putObject(this.key, Buffer.concat(this.chunks), { contentType: this.contentType });
+      } else {
+        if (this.buffered > 0) {
+          await this.flushPart();
+        }
+        await this.client.completeMultipartUpload(this.key, this.uploadId, this.etags);
+      }
+      this.completed = true;
+    };
+    finish().then(() => callback(), callback);
+  }
+
+  _destroy(error, callback) {
+    this.chunks = [];
+    if (this.uploadId && !this.completed) {
+      this.client.abortMultipartUpload(this.key, this.uploadId).catch(() => {});
+    }
+    callback(error);
+  }
+}
+
+/**
+ * One key prefix of an S3 bucket exposed through the storage bucket interface
+ */
+class S3Store {
+  constructor(client, prefix, { partSize }) {
+    this.driver = 's3';
+    this.client = client;
+    this.prefix = prefix;
+    this.partSize = partSize;
+  }
+
+  keyFor(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  openUploadStream(filename, { contentType, id } = {}) {
+    const fileId = id ? new ObjectId(id) : new ObjectId();
+    return new S3UploadStream(this.client, fileId, this.keyFor(fileId), {
+      contentType,
+      partSize: this.partSize,
+    });
+  }
+
+  openDownloadStream(id, range = {}) {
+    const output = new PassThrough();
+    this.client.getObject(this.keyFor(id), range).then(
+      (res) => pipeline(res, output, () => {}),
+      (error) => output.destroy(error),
+    );
+    return output;
+  }
+
+  // S3 deletes are idempotent, so a missing object is not an error
+  delete(id) {
+    return this.client.deleteObject(this.keyFor(id));
+  }
+
+  getFileLength(id) {
+    return this.client.headObject(this.keyFor(id));
+  }
+
+  // Keys that are not file IDs (other tools sharing the prefix) are skipped
+  async *list() {
+    let continuationToken = null;
+    do {
+      const page = await this.client.listObjects(this.prefix, continuationToken);
+      for (const object of page.objects) {
+        const name = object.key.slice(this.prefix.length);
+        if (ObjectId.isValid(name) && name.length === 24) {
+          yield { id: new ObjectId(name), length: object.size, uploadDate: object.lastModified };
+        }
+      }
+      continuationToken = page.nextContinuationToken;
+    } while (continuationToken);
+  }
+}
+
+class S3Driver {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Service URL
+   * @param {string} options.bucket - S3 bucket holding every storage bucket as a key prefix
+   * @param {string} [options.region] - Signing region
+   * @param {string} [options.prefix] - Key prefix in front of the storage bucket name
+   * @param {boolean} [options.forcePathStyle] - Path-style addressing (MinIO and most stand-ins)
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {number} [options.partSize] - Multipart part size in bytes
+   */
+  constructor({ prefix = '', partSize = DEFAULT_PART_SIZE, ...clientOptions }) {
+    this.name = 's3';
+    this.client = new S3Client(clientOptions);
+    this.prefix = prefix;
+    this.partSize = partSize;
+    this.stores = new Map();
+  }
+
+  getBucket(bucketName) {
+    if (!this.stores.has(bucketName)) {
+      this.stores.set(
+        bucketName,
+        new S3Store(this.client, `${this.prefix}${bucketName}/`, { partSize: this.partSize }),
+      );
+    }
+    return this.stores.get(bucketName);
+  }
+}
+
+module.exports = {
+  S3Driver,
+};
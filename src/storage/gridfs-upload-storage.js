@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const multer = require('multer');
+const { getBucketByKey, deleteFileFromBucket } = require('./gridfs');
+
+const DEFAULT_MEMORY_LIMIT = 16 * 1024 * 1024;
+
+/**
+ * Pass-through that hashes and counts every byte and keeps a bounded prefix
+ * for format probing, so the payload itself never has to sit in memory
+ */
+class IngestTap extends Transform {
+  constructor(probeBytes) {
+    super();
+    this.hash = crypto.createHash('sha256');
+    this.bytes = 0;
+    this.probeBytes = probeBytes;
+    this.probeChunks = [];
+    this.probeLength = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    this.bytes += chunk.length;
+    if (this.probeLength < this.probeBytes) {
+      const slice = Buffer.from(chunk.subarray(0, this.probeBytes - this.probeLength));
+      this.probeChunks.push(slice);
+      this.probeLength += slice.length;
+    }
+    callback(null, chunk);
+  }
+
+  summary() {
+    return {
+      size: this.bytes,
+      checksum: `sha256:${this.hash.digest('hex')}`,
+      probe: Buffer.concat(this.probeChunks),
+      probeTruncated: this.bytes > this.probeLength,
+    };
+  }
+}
+
+/**
+ * Multer storage engine that pipes selected fields straight into storage
+ * (GridFS or whichever driver `storage.driver` selects).
+ *
+ * Streamed files end up on `req.files` with `fileId`, `bucketKey`, `driver`, `size`,
+ * `checksum` and a `probe` buffer holding at most `probeBytes` leading bytes.
+ * Any other field is buffered in memory (up to `memoryLimit`) like
+ * `multer.memoryStorage()` would, which suits small JSON documents.
+ */
+class GridFsUploadStorage {
+  /**
+   * @param {Object} options
+   * @param {Object<string, { bucketKey: string, probeBytes?: number }>} options.fields - Fields to stream, by name
+   * @param {number} [options.memoryLimit] - Max bytes for fields that are buffered in memory
+   */
+  constructor({ fields = {}, memoryLimit = DEFAULT_MEMORY_LIMIT } = {}) {
+    this.fields = fields;
+    this.memoryLimit = memoryLimit;
+  }
+
+  _handleFile(req, file, cb) {
+    const target = this.fields[file.fieldname];
+    if (!target) {
+      this.bufferInMemory(file, cb);
+      return;
+    }
+
+    const bucket = getBucketByKey(target.bucketKey);
+    const tap = new IngestTap(target.probeBytes || 0);
+    const uploadStream = bucket.openUploadStream(file.originalname, {
+      contentType: file.mimetype,
+    });
+
+    pipeline(file.stream, tap, uploadStream, (err) => {
+      if (err) {
+        // Multer only removes files that completed, so drop our partial chunks here
+        deleteFileFromBucket(bucket, uploadStream.id).catch(() => {});
+        cb(err);
+        return;
+      }
+
+      cb(null, {
+        fileId: uploadStream.id,
+        bucketKey: target.bucketKey,
+        driver: bucket.driver,
+        ...tap.summary(),
+      });
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    delete file.probe;
+    if (!file.fileId) {
+      cb(null);
+      return;
+    }
+
+    deleteFileFromBucket(getBucketByKey(file.bucketKey, file.driver), file.fileId)
+      .then(() => cb(null), cb);
+  }
+
+  bufferInMemory(file, cb) {
+    const chunks = [];
+    let size = 0;
+    let exceeded = false;
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (exceeded) return;
+      if (size > this.memoryLimit) {
+        exceeded = true;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      if (exceeded) {
+        cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+        return;
+      }
+      const buffer = Buffer.concat(chunks);
+      cb(null, { buffer, size: buffer.length });
+    });
+  }
+}
+
+function createGridFsUploadStorage(options) {
+  return new GridFsUploadStorage(options);
+}
+
+/**
+ * Delete every streamed file in a multer `req.files` map.
+ * Used to roll back an upload that failed after multer finished. Files that
+ * createArtwork already adopted as blobs are reference counted and left alone.
+ * @param {Object<string, Array<Object>>|undefined} files - `req.files` from `upload.fields()`
+ * @returns {Promise<void>}
+ */
+async function discardUploadedFiles(files) {
+  const stored = Object.values(files || {})
+    .flat()
+    .filter((file) => file && file.fileId && !file.adopted);
+
+  await Promise.allSettled(
+    stored.map((file) => deleteFileFromBucket(getBucketByKey(file.bucketKey, file.driver), file.fileId)),
+  );
+}
+
+module.exports = {
+  IngestTap,
+  createGridFsUploadStorage,
+  discardUploadedFiles,
+};
@@ -1,44 +1,72 @@
-const { GridFSBucket, ObjectId } = require('mongodb');
-const { getDb } = require('../config/mongo');
-
-let originalBucket;
-let protectedBucket;
-let maskBucket;
-
-function getOriginalBucket() {
-  if (!originalBucket) {
-    originalBucket = new GridFSBucket(getDb(), {
-      bucketName: 'artwork_originals',
-      chunkSizeBytes: 1024 * 1024,
-    });
-  }
-  return originalBucket;
+const { getDefaultDriverName, getStorageDriver } = require('./drivers');
+
+// GridFS bucket names; other drivers use them as directory or key prefixes
+const BUCKET_NAMES = {
+  originals: 'artwork_originals',
+  protected: 'artwork_protected',
+  masks: 'artwork_masks',
+  // Thumbnails and previews generated from the protected image
+  derivatives: 'artwork_derivatives',
+  // On-the-fly renders, an LRU cache bounded by renders.cacheMaxBytes
+  renders: 'artwork_renders',
+  // Chunks of resumable uploads wait here until the session is finalized
+  uploads: 'artwork_uploads',
+};
+
+const BUCKET_KEYS = Object.keys(BUCKET_NAMES);
+
+// Bucket each variant lived in before formats recorded their bucket
+const DEFAULT_VARIANT_BUCKETS = {
+  original: 'originals',
+  protected: 'protected',
+  mask: 'masks',
+};
+
+// Formats written before storage drivers existed live in GridFS
+const LEGACY_DRIVER = 'gridfs';
+
+/**
+ * Resolve a bucket from the key stored in an artwork's `formats.*.bucket` field
+ * @param {string} bucketKey - Bucket key (see `BUCKET_KEYS`)
+ * @param {string} [driverName] - Storage driver (default: `storage.driver`)
+ * @returns {Object|null} Bucket object or null if the key is unknown
+ */
+function getBucketByKey(bucketKey, driverName = getDefaultDriverName()) {
+  const bucketName = BUCKET_NAMES[bucketKey];
+  return bucketName ? getStorageDriver(driverName).getBucket(bucketName) : null;
 }
 
-function getProtectedBucket() {
-  if (!protectedBucket) {
-    protectedBucket = new GridFSBucket(getDb(), {
-      bucketName: 'artwork_protected',
-      chunkSizeBytes: 1024 * 1024,
-    });
-  }
-  return protectedBucket;
+function getOriginalBucket(driverName) {
+  return getBucketByKey('originals', driverName);
 }
 
-function getMaskBucket() {
-  if (!maskBucket) {
-    maskBucket = new GridFSBucket(getDb(), {
-      bucketName: 'artwork_masks',
-      chunkSizeBytes: 1024 * 1024,
-    });
-  }
-  return maskBucket;
+function getProtectedBucket(driverName) {
+  return getBucketByKey('protected', driverName);
+}
+
+function getMaskBucket(driverName) {
+  return getBucketByKey('masks', driverName);
+}
+
+function getUploadStagingBucket(driverName) {
+  return getBucketByKey('uploads', driverName);
 }
 
-function uploadStreamToBucket(bucket, stream, { filename, contentType }) {
+/**
+ * Resolve the bucket holding an artwork format, honouring its `bucket` and `driver` fields
+ * @param {Object} format - Entry of an artwork's `formats`
+ * @param {string} variant - Variant name, used when the format predates `bucket`
+ * @returns {Object|null} Bucket object or null if the bucket is unknown
+ */
+function getBucketForFormat(format, variant) {
+  return getBucketByKey(format.bucket || DEFAULT_VARIANT_BUCKETS[variant], format.driver || LEGACY_DRIVER);
+}
+
+function uploadStreamToBucket(bucket, stream, { filename, contentType, id }) {
   return new Promise((resolve, reject) => {
     const uploadStream = bucket.openUploadStream(filename, {
       contentType,
+      id,
     });
 
     stream.pipe(uploadStream);
@@ -48,19 +76,46 @@ function uploadStreamToBucket(bucket, stream, { filename, contentType }) {
   });
 }
 
-function downloadStreamFromBucket(bucket, id) {
-  return bucket.openDownloadStream(new ObjectId(id));
+/**
+ * Open a download stream, optionally limited to a byte range
+ * @param {Object} bucket - Source bucket
+ * @param {string|ObjectId} id - File ID
+ * @param {{ start?: number, end?: number }} [range] - Byte offsets; `end` is exclusive
+ * @returns {Readable}
+ */
+function downloadStreamFromBucket(bucket, id, range = {}) {
+  const options = {};
+  if (Number.isInteger(range.start)) options.start = range.start;
+  if (Number.isInteger(range.end)) options.end = range.end;
+  return bucket.openDownloadStream(id, options);
+}
+
+/**
+ * Look up the stored length of a file, for documents that predate `formats.*.bytes`
+ * @param {Object} bucket - Source bucket
+ * @param {string|ObjectId} id - File ID
+ * @returns {Promise<number|null>} Length in bytes or null if the file is missing
+ */
+function getFileLength(bucket, id) {
+  return bucket.getFileLength(id);
 }
 
 function deleteFileFromBucket(bucket, id) {
-  return bucket.delete(new ObjectId(id));
+  return bucket.delete(id);
 }
 
 module.exports = {
+  BUCKET_KEYS,
+  DEFAULT_VARIANT_BUCKETS,
+  LEGACY_DRIVER,
   getOriginalBucket,
   getProtectedBucket,
   getMaskBucket,
+  getUploadStagingBucket,
+  getBucketByKey,
+  getBucketForFormat,
   uploadStreamToBucket,
   downloadStreamFromBucket,
+  getFileLength,
   deleteFileFromBucket,
 };
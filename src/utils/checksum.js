@@ -1,6 +1,24 @@
 const fs = require('fs');
 const crypto = require('crypto');
 
+// CRC-32 (IEEE, as used by zlib and PNG); zlib.crc32 needs Node 20.15
+const CRC32_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+// `value` continues a CRC over earlier data, as zlib.crc32 does
+function crc32(buffer, value = 0) {
+  let crc = (value ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
 function sha256FromBuffer(buffer) {
   const hash = crypto.createHash('sha256');
   hash.update(buffer);
@@ -21,6 +39,7 @@ function sha256FromFile(filePath) {
 }
 
 module.exports = {
+  crc32,
   sha256FromBuffer,
   sha256FromFile,
 };
\ No newline at end of file
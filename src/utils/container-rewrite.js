@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// A planner reads an image through a source and returns the parts of the
+// rewritten image in order: bytes to write, or a [start, end) range of the
+// source to copy. Only the container is rewritten; encoded image data is
+// copied as is, never decoded.
+
+function bufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: async (offset, length) => buffer.subarray(offset, offset + length),
+  };
+}
+
+async function fileSource(handle) {
+  const { size } = await handle.stat();
+  return {
+    size,
+    read: async (offset, length) => {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+      await handle.read(buffer, 0, buffer.length, offset);
+      return buffer;
+    },
+  };
+}
+
+/**
+ * Rewrite an in-memory image
+ * @param {Buffer} buffer - Source image
+ * @param {function(Object): Promise<Array<Buffer|{ start: number, end: number }>>} plan - Planner
+ * @returns {Promise<Buffer>} The rewritten image
+ */
+async function rewriteBuffer(buffer, plan) {
+  const parts = await plan(bufferSource(buffer));
+  return Buffer.concat(parts.map((part) => (
+    Buffer.isBuffer(part) ? part : buffer.subarray(part.start, part.end)
+  )));
+}
+
+/**
+ * Rewrite an image on disk to `outputPath` without reading it into memory
+ * @param {string} inputPath - Source image
+ * @param {string} outputPath - Where to write the rewritten image
+ * @param {function(Object): Promise<Array<Buffer|{ start: number, end: number }>>} plan - Planner
+ * @returns {Promise<void>}
+ */
+async function rewriteFile(inputPath, outputPath, plan) {
+  const handle = await fs.promises.open(inputPath, 'r');
+  try {
+    const parts = await plan(await fileSource(handle));
+    await pipeline(async function* copyParts() {
+      for (const part of parts) {
+        if (Buffer.isBuffer(part)) {
+          yield part;
+        } else if (part.end > part.start) {
+          yield* fs.createReadStream(inputPath, { start: part.start, end: part.end - 1 });
+        }
+      }
+    }, fs.createWriteStream(outputPath));
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  rewriteBuffer,
+  rewriteFile,
+};
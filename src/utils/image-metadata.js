@@ -0,0 +1,272 @@
+// Embedded metadata (EXIF, XMP, IPTC, ICC) parsed from the raw blocks sharp().metadata() returns
+
+const EXIF_TAGS = {
+  software: 0x0131,
+  dateTime: 0x0132,
+  artist: 0x013b,
+  copyright: 0x8298,
+  exifIfd: 0x8769,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+};
+
+const IPTC_DATASETS = {
+  dateCreated: 55,
+  timeCreated: 60,
+  originatingProgram: 65,
+  byline: 80,
+  copyrightNotice: 116,
+};
+
+// Photoshop image resource holding the IPTC-IIM records
+const IPTC_RESOURCE_ID = 0x0404;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\0+$/, '').replace(/\0/g, ', ').trim();
+  return text || null;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// EXIF dates are `YYYY:MM:DD HH:MM:SS`, in local time unless an offset tag says otherwise
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : 'Z';
+  return toDate(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+}
+
+function readExifIfd(tiff, offset, littleEndian) {
+  const readUInt16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const readUInt32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const entries = new Map();
+  if (offset + 2 > tiff.length) return entries;
+
+  const count = readUInt16(offset);
+  for (let index = 0; index < count; index += 1) {
+    const entry = offset + 2 + index * 12;
+    if (entry + 12 > tiff.length) break;
+    const tag = readUInt16(entry);
+    const type = readUInt16(entry + 2);
+    const length = readUInt32(entry + 4);
+
+    if (type === 2) {
+      // ASCII: stored inline when it fits in four bytes
+      const start = length <= 4 ? entry + 8 : readUInt32(entry + 8);
+      if (start + length <= tiff.length) {
+        entries.set(tag, tiff.subarray(start, start + length).toString('utf8'));
+      }
+    } else if (type === 4 && length === 1) {
+      entries.set(tag, readUInt32(entry + 8));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read the descriptive EXIF tags from a raw EXIF block
+ * @param {Buffer} exif - Block as returned by sharp, with or without the `Exif\0\0` prefix
+ * @returns {{ artist: string|null, copyright: string|null, software: string|null, capturedAt: Date|null }}
+ */
+function parseExif(exif) {
+  const result = { artist: null, copyright: null, software: null, capturedAt: null };
+  if (!Buffer.isBuffer(exif)) return result;
+
+  const tiff = exif.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? exif.subarray(6) : exif;
+  if (tiff.length < 8) return result;
+  const byteOrder = tiff.subarray(0, 2).toString('latin1');
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return result;
+  const littleEndian = byteOrder === 'II';
+
+  const ifd0 = readExifIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian);
+  const exifIfdOffset = ifd0.get(EXIF_TAGS.exifIfd);
+  const exifIfd = typeof exifIfdOffset === 'number' ? readExifIfd(tiff, exifIfdOffset, littleEndian) : new Map();
+
+  result.artist = cleanText(ifd0.get(EXIF_TAGS.artist));
+  result.copyright = cleanText(ifd0.get(EXIF_TAGS.copyright));
+  result.software = cleanText(ifd0.get(EXIF_TAGS.software));
+  // The modification date is only a fallback; it changes whenever the file is edited
+  result.capturedAt = parseExifDate(
+    cleanText(exifIfd.get(EXIF_TAGS.dateTimeOriginal)),
+    cleanText(exifIfd.get(EXIF_TAGS.offsetTimeOriginal)),
+  ) || parseExifDate(cleanText(ifd0.get(EXIF_TAGS.dateTime)));
+  return result;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name]);
+}
+
+/**
+ * Read one property from an XMP packet. A simple property is an attribute or
+ * element; lists (rdf:Seq/Bag/Alt) are joined.
+ * @param {string} xml - XMP packet
+ * @param {string} name - Prefixed property name, e.g. `dc:creator`
+ * @returns {string|null} Decoded value, or null when absent or empty
+ */
+function readXmpProperty(xml, name) {
+  const attribute = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(xml);
+  if (attribute) return cleanText(decodeXml(attribute[1] ?? attribute[2]));
+
+  const element = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xml);
+  if (!element) return null;
+  const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)]
+    .map((item) => decodeXml(item[1]).trim())
+    .filter(Boolean);
+  return cleanText(items.length ? items.join(', ') : decodeXml(element[1]));
+}
+
+/**
+ * Read the descriptive Dublin Core, XMP and Photoshop properties from an XMP packet
+ * @param {Buffer} xmp - XMP packet as returned by sharp
+ * @returns {{ creator: string|null, rights: string|null, software: string|null, capturedAt: Date|null }}
+ */
+function parseXmp(xmp) {
+  const result = { creator: null, rights: null, software: null, capturedAt: null };
+  if (!Buffer.isBuffer(xmp)) return result;
+
+  const xml = xmp.toString('utf8');
+  result.creator = readXmpProperty(xml, 'dc:creator');
+  result.rights = readXmpProperty(xml, 'dc:rights');
+  result.software = readXmpProperty(xml, 'xmp:CreatorTool');
+  result.capturedAt = toDate(readXmpProperty(xml, 'photoshop:DateCreated'))
+    || toDate(readXmpProperty(xml, 'exif:DateTimeOriginal'))
+    || toDate(readXmpProperty(xml, 'xmp:CreateDate'));
+  return result;
+}
+
+// IPTC usually arrives wrapped in Photoshop image resources (`8BIM` blocks)
+function findIptcRecords(buffer) {
+  let offset = buffer.indexOf('8BIM', 0, 'latin1');
+  if (offset === -1) return buffer;
+
+  while (offset !== -1 && offset + 12 <= buffer.length) {
+    const id = buffer.readUInt16BE(offset + 4);
+    // Pascal string name, padded to an even length including its length byte
+    const nameLength = buffer[offset + 6];
+    const sizeAt = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+    if (sizeAt + 4 > buffer.length) break;
+    const size = buffer.readUInt32BE(sizeAt);
+    const start = sizeAt + 4;
+    if (id === IPTC_RESOURCE_ID) return buffer.subarray(start, start + size);
+    offset = buffer.indexOf('8BIM', start + size + (size % 2), 'latin1');
+  }
+  return null;
+}
+
+/**
+ * Read the descriptive IPTC-IIM application records
+ * @param {Buffer} iptc - IPTC block as returned by sharp
+ * @returns {{ byline: string|null, copyright: string|null, software: string|null, capturedAt: Date|null }}
+ */
+function parseIptc(iptc) {
+  const result = { byline: null, copyright: null, software: null, capturedAt: null };
+  const records = Buffer.isBuffer(iptc) ? findIptcRecords(iptc) : null;
+  if (!records) return result;
+
+  const datasets = new Map();
+  let offset = records.indexOf(0x1c);
+  while (offset !== -1 && offset + 5 <= records.length && records[offset] === 0x1c) {
+    const record = records[offset + 1];
+    const dataset = records[offset + 2];
+    const length = records.readUInt16BE(offset + 3);
+    const start = offset + 5;
+    // Repeatable datasets (several by-lines) are joined
+    if (record === 2 && start + length <= records.length) {
+      const value = records.subarray(start, start + length).toString('utf8').trim();
+      if (value) datasets.set(dataset, [...(datasets.get(dataset) || []), value]);
+    }
+    offset = start + length;
+  }
+
+  const read = (dataset) => cleanText((datasets.get(dataset) || []).join(', '));
+  result.byline = read(IPTC_DATASETS.byline);
+  result.copyright = read(IPTC_DATASETS.copyrightNotice);
+  result.software = read(IPTC_DATASETS.originatingProgram);
+
+  const date = /^(\d{4})(\d{2})(\d{2})$/.exec(read(IPTC_DATASETS.dateCreated) || '');
+  if (date) {
+    const time = /^(\d{2})(\d{2})(\d{2})([+-]\d{2})(\d{2})$/.exec(read(IPTC_DATASETS.timeCreated) || '');
+    result.capturedAt = toDate(time
+      ? `${date[1]}-${date[2]}-${date[3]}T${time[1]}:${time[2]}:${time[3]}${time[4]}:${time[5]}`
+      : `${date[1]}-${date[2]}-${date[3]}T00:00:00Z`);
+  }
+  return result;
+}
+
+/**
+ * Read the description of an ICC colour profile, e.g. `sRGB IEC61966-2.1`
+ * @param {Buffer} icc - ICC profile as returned by sharp
+ * @returns {string|null} Profile description, or null when there is none
+ */
+function parseIccDescription(icc) {
+  if (!Buffer.isBuffer(icc) || icc.length < 132) return null;
+
+  const tagCount = icc.readUInt32BE(128);
+  for (let index = 0; index < tagCount; index += 1) {
+    const entry = 132 + index * 12;
+    if (entry + 12 > icc.length) break;
+    if (icc.subarray(entry, entry + 4).toString('latin1') !== 'desc') continue;
+
+    const start = icc.readUInt32BE(entry + 4);
+    const end = Math.min(start + icc.readUInt32BE(entry + 8), icc.length);
+    const type = icc.subarray(start, start + 4).toString('latin1');
+    if (type === 'desc' && start + 12 <= end) {
+      // ICC v2: ASCII description with its length (including the terminator)
+      const length = icc.readUInt32BE(start + 8);
+      return cleanText(icc.subarray(start + 12, Math.min(start + 12 + length, end)).toString('latin1'));
+    }
+    if (type === 'mluc' && start + 28 <= end) {
+      // ICC v4: localised UTF-16BE records; the first one is used
+      const length = icc.readUInt32BE(start + 20);
+      const textStart = start + icc.readUInt32BE(start + 24);
+      const textEnd = Math.min(textStart + length, end);
+      const text = icc.subarray(textStart, textEnd - ((textEnd - textStart) % 2));
+      return cleanText(Buffer.from(text).swap16().toString('utf16le'));
+    }
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Extract the descriptive fields stored on an artwork from an image's embedded
+ * metadata. EXIF wins over XMP, and XMP over IPTC, when several carry a field.
+ * Location data is deliberately not read.
+ * @param {Object} metadata - Result of `sharp().metadata()`
+ * @returns {{ copyright: string|null, creator: string|null, capturedAt: Date|null,
+ *   software: string|null, colorProfile: string|null }}
+ */
+function extractImageMetadata(metadata = {}) {
+  const exif = parseExif(metadata.exif);
+  const xmp = parseXmp(metadata.xmp);
+  const iptc = parseIptc(metadata.iptc);
+
+  return {
+    copyright: exif.copyright || xmp.rights || iptc.copyright,
+    creator: exif.artist || xmp.creator || iptc.byline,
+    capturedAt: exif.capturedAt || xmp.capturedAt || iptc.capturedAt,
+    software: exif.software || xmp.software || iptc.software,
+    colorProfile: parseIccDescription(metadata.icc),
+  };
+}
+
+module.exports = {
+  parseExif,
+  parseXmp,
+  parseIptc,
+  parseIccDescription,
+  readXmpProperty,
+  extractImageMetadata,
+};
@@ -0,0 +1,43 @@
+// Leading bytes needed to recognise every supported format (AVIF brands live in the ftyp box)
+const IMAGE_SIGNATURE_BYTES = 64;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1');
+}
+
+// ISO-BMFF: the major brand or any compatible brand of the leading ftyp box
+function isAvif(buffer) {
+  if (buffer.length < 12 || ascii(buffer, 4, 8) !== 'ftyp') return false;
+  const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+  if (AVIF_BRANDS.has(ascii(buffer, 8, 12))) return true;
+  // Compatible brands follow the major brand and its minor version
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    if (AVIF_BRANDS.has(ascii(buffer, offset, offset + 4))) return true;
+  }
+  return false;
+}
+
+/**
+ * Identify an image from its file signature, ignoring whatever type the
+ * client declared
+ * @param {Buffer} buffer - At least the first `IMAGE_SIGNATURE_BYTES` of the file
+ * @returns {string|null} MIME type of a supported image format, or null
+ */
+function sniffImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 3) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+  if (isAvif(buffer)) return 'image/avif';
+  return null;
+}
+
+module.exports = {
+  IMAGE_SIGNATURE_BYTES,
+  sniffImageType,
+};
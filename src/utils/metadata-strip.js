@@ -0,0 +1,186 @@
+const { rewriteBuffer, rewriteFile } = require('./container-rewrite');
+
+// Containers metadata can be stripped from without re-encoding the image
+const STRIPPABLE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp']);
+
+const JPEG_SOI = 0xd8;
+const JPEG_EOI = 0xd9;
+const JPEG_SOS = 0xda;
+const JPEG_APP0 = 0xe0;
+const JPEG_APP2 = 0xe2;
+const JPEG_APP14 = 0xee;
+const JPEG_COM = 0xfe;
+const JPEG_ICC_SIGNATURE = Buffer.from('ICC_PROFILE\0', 'latin1');
+const JPEG_ADOBE_SIGNATURE = Buffer.from('Adobe', 'latin1');
+const SCAN_BLOCK_BYTES = 64 * 1024;
+
+const PNG_SIGNATURE_BYTES = 8;
+// Chunks that describe how to display the pixels; text, EXIF and timestamps go
+const PNG_KEPT_CHUNKS = new Set([
+  'IHDR', 'PLTE', 'IDAT', 'IEND',
+  'tRNS', 'iCCP', 'sRGB', 'gAMA', 'cHRM', 'sBIT', 'cICP', 'mDCv', 'cLLi',
+  'bKGD', 'pHYs', 'hIST', 'sPLT',
+  'acTL', 'fcTL', 'fdAT',
+]);
+
+const WEBP_HEADER_BYTES = 12;
+const WEBP_KEPT_CHUNKS = new Set(['VP8X', 'VP8 ', 'VP8L', 'ALPH', 'ANIM', 'ANMF', 'ICCP']);
+const WEBP_FLAG_EXIF = 0x08;
+const WEBP_FLAG_XMP = 0x04;
+
+// APP0 (JFIF) and APP14 (Adobe colour transform) change how the image decodes
+// and APP2 carries the ICC profile; other APPn segments and comments are metadata
+async function isKeptJpegSegment(source, position, marker) {
+  if (marker === JPEG_COM) return false;
+  if (marker < JPEG_APP0 || marker > 0xef) return true;
+  if (marker === JPEG_APP0) return true;
+  const signature = await source.read(position + 4, JPEG_ICC_SIGNATURE.length);
+  if (marker === JPEG_APP2) return signature.equals(JPEG_ICC_SIGNATURE);
+  if (marker === JPEG_APP14) return signature.subarray(0, JPEG_ADOBE_SIGNATURE.length).equals(JPEG_ADOBE_SIGNATURE);
+  return false;
+}
+
+// Offset of the marker that ends the entropy-coded data starting at `position`:
+// 0xFF00 is an escaped data byte and RSTn markers belong to the scan
+async function findScanEnd(source, position) {
+  let offset = position;
+  while (offset < source.size) {
+    const block = await source.read(offset, SCAN_BLOCK_BYTES + 1);
+    for (let i = 0; i < block.length - 1; i += 1) {
+      if (block[i] === 0xff) {
+        const next = block[i + 1];
+        if (next !== 0x00 && next !== 0xff && (next < 0xd0 || next > 0xd7)) return offset + i;
+      }
+    }
+    offset += SCAN_BLOCK_BYTES;
+  }
+  throw new Error('JPEG image data is truncated');
+}
+
+// Drops metadata segments and anything after the end-of-image marker
+async function planJpeg(source) {
+  const soi = await source.read(0, 2);
+  if (soi[0] !== 0xff || soi[1] !== JPEG_SOI) throw new Error('Malformed JPEG');
+
+  const parts = [];
+  let copyFrom = 0;
+  let position = 2;
+  while (position + 2 <= source.size) {
+    const header = await source.read(position, 4);
+    if (header[0] !== 0xff) throw new Error('Malformed JPEG segment');
+    const marker = header[1];
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      position += 1;
+      continue;
+    }
+    if (marker === JPEG_EOI) {
+      parts.push({ start: copyFrom, end: position + 2 });
+      return parts;
+    }
+    if (header.length < 4) break;
+
+    const segmentEnd = position + 2 + header.readUInt16BE(2);
+    if (!(await isKeptJpegSegment(source, position, marker))) {
+      parts.push({ start: copyFrom, end: position });
+      copyFrom = segmentEnd;
+    }
+    position = marker === JPEG_SOS ? await findScanEnd(source, segmentEnd) : segmentEnd;
+  }
+  throw new Error('JPEG has no end of image marker');
+}
+
+// Drops ancillary chunks that carry metadata and anything after IEND
+async function planPng(source) {
+  const parts = [];
+  let copyFrom = 0;
+  let position = PNG_SIGNATURE_BYTES;
+  while (position + 8 <= source.size) {
+    const header = await source.read(position, 8);
+    const type = header.subarray(4, 8).toString('latin1');
+    const chunkEnd = position + 12 + header.readUInt32BE(0);
+
+    if (!PNG_KEPT_CHUNKS.has(type)) {
+      parts.push({ start: copyFrom, end: position });
+      copyFrom = chunkEnd;
+    }
+    if (type === 'IEND') {
+      parts.push({ start: copyFrom, end: chunkEnd });
+      return parts;
+    }
+    position = chunkEnd;
+  }
+  throw new Error('PNG has no IEND chunk');
+}
+
+// Drops EXIF, XMP and unknown chunks, clearing their VP8X flags, and anything
+// after the RIFF container
+async function planWebp(source) {
+  const header = await source.read(0, WEBP_HEADER_BYTES);
+  if (header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'WEBP') {
+    throw new Error('Malformed WebP');
+  }
+
+  const riffEnd = Math.min(8 + header.readUInt32LE(4), source.size);
+  const parts = [];
+  let riffSize = 4;
+  let position = WEBP_HEADER_BYTES;
+  while (position + 8 <= riffEnd) {
+    const chunkHeader = await source.read(position, 8);
+    const fourcc = chunkHeader.toString('latin1', 0, 4);
+    const size = chunkHeader.readUInt32LE(4);
+    const end = Math.min(position + 8 + size + (size % 2), riffEnd);
+
+    if (fourcc === 'VP8X') {
+      const chunk = Buffer.from(await source.read(position, end - position));
+      chunk[8] &= ~(WEBP_FLAG_EXIF | WEBP_FLAG_XMP);
+      parts.push(chunk);
+      riffSize += chunk.length;
+    } else if (WEBP_KEPT_CHUNKS.has(fourcc)) {
+      parts.push({ start: position, end });
+      riffSize += end - position;
+    }
+    position = end;
+  }
+  if (parts.length === 0) throw new Error('WebP has no image data');
+
+  const riffHeader = Buffer.from(header);
+  riffHeader.writeUInt32LE(riffSize, 4);
+  return [riffHeader, ...parts];
+}
+
+const PLANNERS = {
+  'image/jpeg': planJpeg,
+  'image/png': planPng,
+  'image/webp': planWebp,
+};
+
+/**
+ * Strip metadata (EXIF, XMP, IPTC, text chunks) and trailing data from an
+ * in-memory image. Only the container is rewritten; the encoded image data and
+ * any ICC profile are copied as is, so the pixels decode exactly as before.
+ * @param {Buffer} buffer - JPEG, PNG or WebP image
+ * @param {string} contentType - Image MIME type (see `STRIPPABLE_TYPES`)
+ * @returns {Promise<Buffer>} The stripped image
+ */
+async function stripMetadataFromBuffer(buffer, contentType) {
+  return rewriteBuffer(buffer, PLANNERS[contentType]);
+}
+
+/**
+ * Like `stripMetadataFromBuffer`, for an image on disk; the result is written to
+ * `outputPath` without reading the whole image into memory
+ * @param {string} inputPath - Source image
+ * @param {string} outputPath - Where to write the stripped image
+ * @param {string} contentType - Image MIME type (see `STRIPPABLE_TYPES`)
+ * @returns {Promise<void>}
+ */
+async function stripMetadataFromFile(inputPath, outputPath, contentType) {
+  return rewriteFile(inputPath, outputPath, PLANNERS[contentType]);
+}
+
+module.exports = {
+  STRIPPABLE_TYPES,
+  stripMetadataFromBuffer,
+  stripMetadataFromFile,
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { getUrlSigningSecret } = require('../config/env-secure');
+
+const SIGNATURE_VERSION = 'v1';
+
+/**
+ * Build the canonical string covered by the signature
+ * @param {{ artworkId: string, variant: string, exp: number, uid?: string|null }} claims
+ * @returns {string}
+ */
+function canonicalize({ artworkId, variant, exp, uid }) {
+  return [SIGNATURE_VERSION, String(artworkId), variant, String(exp), uid || ''].join('\n');
+}
+
+function computeSignature(claims) {
+  return crypto
+    .createHmac('sha256', getUrlSigningSecret())
+    .update(canonicalize(claims))
+    .digest('base64url');
+}
+
+/**
+ * Sign access to one artwork variant until the given expiry
+ * @param {Object} options
+ * @param {string} options.artworkId - Artwork ObjectId as a hex string
+ * @param {string} options.variant - Variant the link grants access to
+ * @param {Date|number} options.expiresAt - Expiry as a Date or epoch milliseconds
+ * @param {string|null} [options.userId] - Bind the link to a single session user
+ * @returns {{ exp: string, sig: string, uid?: string }} Query parameters to append to the URL
+ */
+function signArtworkUrl({ artworkId, variant, expiresAt, userId = null }) {
+  const exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const claims = { artworkId, variant, exp, uid: userId };
+  const params = { exp: String(exp), sig: computeSignature(claims) };
+  if (userId) {
+    params.uid = userId;
+  }
+  return params;
+}
+
+/**
+ * Verify a signed artwork URL
+ * @param {Object} options
+ * @param {string} options.artworkId - Artwork ObjectId from the path
+ * @param {string} options.variant - Requested variant
+ * @param {string} [options.exp] - Expiry (epoch seconds) from the query string
+ * @param {string} [options.sig] - Signature from the query string
+ * @param {string} [options.uid] - Bound user ID from the query string
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {{ valid: boolean, reason?: 'missing'|'malformed'|'expired'|'invalid' }}
+ */
+function verifyArtworkUrl({ artworkId, variant, exp, sig, uid }, now = Date.now()) {
+  if (!sig && !exp && !uid) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const expSeconds = Number(exp);
+  if (!sig || typeof sig !== 'string' || !Number.isInteger(expSeconds)) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(computeSignature({ artworkId, variant, exp: expSeconds, uid }));
+  const provided = Buffer.from(sig);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (expSeconds * 1000 <= now) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  signArtworkUrl,
+  verifyArtworkUrl,
+};
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Spool a stream to a temp file, hand its path to `fn` and remove the file
+ * afterwards. Lets sharp read large stored images from disk instead of memory.
+ * @param {Readable} stream - Source stream
+ * @param {string} prefix - Temp file name prefix
+ * @param {(filePath: string) => Promise<*>} fn - Work to do with the file
+ * @returns {Promise<*>} Whatever `fn` resolves to
+ */
+async function withTempFile(stream, prefix, fn) {
+  const tempPath = path.join(os.tmpdir(), `${prefix}-${crypto.randomUUID()}`);
+  try {
+    await pipeline(stream, fs.createWriteStream(tempPath));
+    return await fn(tempPath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
+
+module.exports = {
+  withTempFile,
+};
@@ -0,0 +1,44 @@
+// Helpers for reading the multipart parts of an artwork upload
+
+function pickSingleFile(files, field) {
+  const entries = files?.[field];
+  if (!entries || entries.length === 0) {
+    const err = new Error(`Missing required file field '${field}'`);
+    err.status = 400;
+    throw err;
+  }
+  if (entries.length > 1) {
+    const err = new Error(`Multiple files provided for field '${field}'`);
+    err.status = 400;
+    throw err;
+  }
+  return entries[0];
+}
+
+function parseJsonFile(file, fieldName) {
+  try {
+    return JSON.parse(file.buffer.toString('utf8'));
+  } catch (error) {
+    const err = new Error(`Invalid JSON payload for '${fieldName}'`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+function parseHashes(hashesString) {
+  if (!hashesString) return undefined;
+  if (typeof hashesString === 'object') return hashesString;
+  try {
+    return JSON.parse(hashesString);
+  } catch (error) {
+    const err = new Error('hashes must be valid JSON');
+    err.status = 400;
+    throw err;
+  }
+}
+
+module.exports = {
+  pickSingleFile,
+  parseJsonFile,
+  parseHashes,
+};
@@ -0,0 +1,232 @@
+const { rewriteBuffer, rewriteFile } = require('./container-rewrite');
+const { crc32 } = require('./checksum');
+
+// Containers an XMP packet can be written into without re-encoding the image
+const XMP_EMBEDDABLE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp']);
+
+const JPEG_XMP_NAMESPACE = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const JPEG_XMP_EXTENSION_NAMESPACE = Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'latin1');
+const JPEG_MAX_SEGMENT = 0xffff;
+const JPEG_SOS = 0xda;
+const JPEG_APP1 = 0xe1;
+
+const PNG_SIGNATURE_BYTES = 8;
+const PNG_XMP_KEYWORD = Buffer.from('XML:com.adobe.xmp\0', 'latin1');
+
+const WEBP_HEADER_BYTES = 12;
+const WEBP_VP8X_BYTES = 10;
+const WEBP_FLAG_ALPHA = 0x10;
+const WEBP_FLAG_XMP = 0x04;
+
+function jpegXmpSegment(packet) {
+  const length = 2 + JPEG_XMP_NAMESPACE.length + packet.length;
+  if (length > JPEG_MAX_SEGMENT) {
+    throw new Error('XMP packet does not fit in a JPEG segment');
+  }
+  const header = Buffer.from([0xff, JPEG_APP1, length >> 8, length & 0xff]);
+  return Buffer.concat([header, JPEG_XMP_NAMESPACE, packet]);
+}
+
+// The packet goes after the APPn segments (JFIF/EXIF expect to come first);
+// XMP segments already present are dropped
+async function planJpeg(source, packet) {
+  const soi = await source.read(0, 2);
+  if (soi[0] !== 0xff || soi[1] !== 0xd8) throw new Error('Malformed JPEG');
+
+  const parts = [];
+  let copyFrom = 0;
+  let position = 2;
+  let inserted = false;
+  while (position + 4 <= source.size) {
+    const header = await source.read(position, 4);
+    if (header[0] !== 0xff) throw new Error('Malformed JPEG segment');
+    const marker = header[1];
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      position += 1;
+      continue;
+    }
+
+    if (!inserted && (marker < 0xe0 || marker > 0xef)) {
+      parts.push({ start: copyFrom, end: position }, jpegXmpSegment(packet));
+      copyFrom = position;
+      inserted = true;
+    }
+    // Entropy-coded image data follows the start of scan
+    if (marker === JPEG_SOS) break;
+
+    const segmentEnd = position + 2 + header.readUInt16BE(2);
+    if (marker === JPEG_APP1) {
+      const signature = await source.read(position + 4, JPEG_XMP_EXTENSION_NAMESPACE.length);
+      const isXmp = [JPEG_XMP_NAMESPACE, JPEG_XMP_EXTENSION_NAMESPACE]
+        .some((namespace) => signature.subarray(0, namespace.length).equals(namespace));
+      if (isXmp) {
+        parts.push({ start: copyFrom, end: position });
+        copyFrom = segmentEnd;
+      }
+    }
+    position = segmentEnd;
+  }
+
+  if (!inserted) throw new Error('JPEG has no image data');
+  parts.push({ start: copyFrom, end: source.size });
+  return parts;
+}
+
+function pngXmpChunk(packet) {
+  // Keyword, uncompressed, no language tag or translated keyword
+  const data = Buffer.concat([PNG_XMP_KEYWORD, Buffer.from([0, 0, 0, 0]), packet]);
+  const typeAndData = Buffer.concat([Buffer.from('iTXt', 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// The packet goes right after IHDR; XMP iTXt chunks already present are dropped
+async function planPng(source, packet) {
+  const parts = [];
+  let copyFrom = 0;
+  let position = PNG_SIGNATURE_BYTES;
+  let inserted = false;
+  while (position + 8 <= source.size) {
+    const header = await source.read(position, 8);
+    const type = header.subarray(4, 8).toString('latin1');
+    const chunkEnd = position + 12 + header.readUInt32BE(0);
+
+    if (type === 'IHDR') {
+      parts.push({ start: copyFrom, end: chunkEnd }, pngXmpChunk(packet));
+      copyFrom = chunkEnd;
+      inserted = true;
+    } else if (type === 'iTXt') {
+      const keyword = await source.read(position + 8, PNG_XMP_KEYWORD.length);
+      if (keyword.equals(PNG_XMP_KEYWORD)) {
+        parts.push({ start: copyFrom, end: position });
+        copyFrom = chunkEnd;
+      }
+    }
+    if (type === 'IEND') break;
+    position = chunkEnd;
+  }
+
+  if (!inserted) throw new Error('PNG has no IHDR chunk');
+  parts.push({ start: copyFrom, end: source.size });
+  return parts;
+}
+
+function webpChunk(fourcc, data) {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  // Chunks are padded to an even length; the pad byte is not counted
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+// Canvas size and alpha hint of a simple (lossy or lossless) WebP bitstream
+async function readWebpCanvas(source, chunk) {
+  const data = await source.read(chunk.start + 8, 10);
+  if (chunk.fourcc === 'VP8 ') {
+    return {
+      width: data.readUInt16LE(6) & 0x3fff,
+      height: data.readUInt16LE(8) & 0x3fff,
+      alpha: false,
+    };
+  }
+  const bits = data.readUInt32LE(1);
+  return {
+    width: (bits & 0x3fff) + 1,
+    height: ((bits >>> 14) & 0x3fff) + 1,
+    alpha: Boolean((bits >>> 28) & 1),
+  };
+}
+
+// Metadata needs the extended format: a VP8X header with the XMP flag set and
+// the packet in an `XMP ` chunk after the image data
+async function planWebp(source, packet) {
+  const header = await source.read(0, WEBP_HEADER_BYTES);
+  if (header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'WEBP') {
+    throw new Error('Malformed WebP');
+  }
+
+  const chunks = [];
+  let position = WEBP_HEADER_BYTES;
+  while (position + 8 <= source.size) {
+    const chunkHeader = await source.read(position, 8);
+    const size = chunkHeader.readUInt32LE(4);
+    const end = Math.min(position + 8 + size + (size % 2), source.size);
+    chunks.push({ fourcc: chunkHeader.toString('latin1', 0, 4), start: position, end });
+    position = end;
+  }
+  if (chunks.length === 0) throw new Error('WebP has no image data');
+
+  let vp8x;
+  const [first] = chunks;
+  if (first.fourcc === 'VP8X') {
+    vp8x = Buffer.from(await source.read(first.start + 8, WEBP_VP8X_BYTES));
+    vp8x[0] |= WEBP_FLAG_XMP;
+    chunks.shift();
+  } else if (first.fourcc === 'VP8 ' || first.fourcc === 'VP8L') {
+    const { width, height, alpha } = await readWebpCanvas(source, first);
+    vp8x = Buffer.alloc(WEBP_VP8X_BYTES);
+    vp8x[0] = WEBP_FLAG_XMP | (alpha ? WEBP_FLAG_ALPHA : 0);
+    vp8x.writeUIntLE(width - 1, 4, 3);
+    vp8x.writeUIntLE(height - 1, 7, 3);
+  } else {
+    throw new Error(`Unexpected WebP chunk ${first.fourcc}`);
+  }
+
+  const kept = chunks.filter((chunk) => chunk.fourcc !== 'XMP ');
+  const vp8xChunk = webpChunk('VP8X', vp8x);
+  const xmpChunk = webpChunk('XMP ', packet);
+  const riffSize = 4 + vp8xChunk.length
+    + kept.reduce((sum, chunk) => sum + chunk.end - chunk.start, 0)
+    + xmpChunk.length;
+  const riffHeader = Buffer.from(header);
+  riffHeader.writeUInt32LE(riffSize, 4);
+
+  return [
+    riffHeader,
+    vp8xChunk,
+    ...kept.map(({ start, end }) => ({ start, end })),
+    xmpChunk,
+  ];
+}
+
+// Planners for each container (see container-rewrite.js)
+const PLANNERS = {
+  'image/jpeg': planJpeg,
+  'image/png': planPng,
+  'image/webp': planWebp,
+};
+
+/**
+ * Write an XMP packet into an in-memory image, replacing any XMP it carried.
+ * Only the container is rewritten; the encoded image data is copied as is.
+ * @param {Buffer} buffer - JPEG, PNG or WebP image
+ * @param {string} contentType - Image MIME type (see `XMP_EMBEDDABLE_TYPES`)
+ * @param {Buffer} packet - Serialised XMP packet
+ * @returns {Promise<Buffer>} The image with the packet embedded
+ */
+async function embedXmpInBuffer(buffer, contentType, packet) {
+  return rewriteBuffer(buffer, (source) => PLANNERS[contentType](source, packet));
+}
+
+/**
+ * Like `embedXmpInBuffer`, for an image on disk; the result is written to
+ * `outputPath` without reading the whole image into memory
+ * @param {string} inputPath - Source image
+ * @param {string} outputPath - Where to write the rewritten image
+ * @param {string} contentType - Image MIME type (see `XMP_EMBEDDABLE_TYPES`)
+ * @param {Buffer} packet - Serialised XMP packet
+ * @returns {Promise<void>}
+ */
+async function embedXmpInFile(inputPath, outputPath, contentType, packet) {
+  return rewriteFile(inputPath, outputPath, (source) => PLANNERS[contentType](source, packet));
+}
+
+module.exports = {
+  XMP_EMBEDDABLE_TYPES,
+  embedXmpInBuffer,
+  embedXmpInFile,
+};
@@ -9,6 +9,29 @@ const optionalTrimmedString = (maxLength) =>
     }, z.string().max(maxLength))
     .optional();
 
+// Like optionalTrimmedString, but an empty string or null clears the field
+const clearableTrimmedString = (maxLength) =>
+  z
+    .preprocess((value) => {
+      if (typeof value !== 'string') return value;
+      const trimmed = value.trim();
+      return trimmed.length === 0 ? null : trimmed;
+    }, z.string().max(maxLength).nullable())
+    .optional();
+
+// Any date string Date understands, e.g. `2024-05-01` or a full ISO 8601 timestamp
+const optionalDate = () =>
+  z.preprocess((value) => {
+    if (typeof value !== 'string' || value.trim().length === 0) return undefined;
+    return new Date(value.trim());
+  }, z.date().optional());
+
+const visibilitySchema = z.preprocess((value) => {
+  if (typeof value !== 'string') return value;
+  const normalised = value.trim().toLowerCase();
+  return normalised.length === 0 ? undefined : normalised;
+}, z.enum(['public', 'unlisted', 'private']).optional());
+
 const idParamSchema = z.object({
   id: z
     .string()
@@ -55,8 +78,49 @@ const uploadBodySchema = z.object({
     .optional(),
   extra: optionalTrimmedString(5000),
   hashes: hashesSchema,
+  visibility: visibilitySchema,
 });
 
+const updateBodySchema = z
+  .object({
+    title: clearableTrimmedString(200),
+    artist: clearableTrimmedString(120),
+    description: clearableTrimmedString(2000),
+    tags: z
+      .preprocess((value) => {
+        if (value === null) return [];
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'string') {
+          return value
+            .split(',')
+            .map((tag) => tag.trim())
+            .filter(Boolean);
+        }
+        return value;
+      }, z.array(z.string().trim().min(1).max(50)).max(25))
+      .optional(),
+    extra: z
+      .union([z.string().max(5000), z.record(z.unknown()), z.null()])
+      .refine(
+        (value) => value === null || typeof value === 'string' || JSON.stringify(value).length <= 5000,
+        { message: 'extra must serialise to at most 5000 characters' },
+      )
+      .optional(),
+    visibility: visibilitySchema,
+  })
+  .strict()
+  .refine(
+    (data) => Object.values(data).some((value) => value !== undefined),
+    { message: 'At least one field must be provided: title, artist, description, tags, extra, or visibility' },
+  );
+
+// Signed URL parameters, verified by the controller
+const signedUrlParams = {
+  exp: z.string().regex(/^\d{1,12}$/u, 'exp must be a unix timestamp in seconds').optional(),
+  sig: z.string().regex(/^[A-Za-z0-9_-]{1,128}$/u, 'sig must be a base64url string').optional(),
+  uid: z.string().min(1).max(100).optional(),
+};
+
 const streamQuerySchema = z.object({
   variant: z
     .preprocess((value) => {
@@ -66,12 +130,56 @@ const streamQuerySchema = z.object({
       return undefined;
     }, z.string().max(50))
     .optional(),
+  // Output format of derivative variants (thumb, small, ...)
+  format: z
+    .preprocess((value) => (typeof value === 'string' ? value.trim().toLowerCase() : value), z.enum(['webp', 'avif']))
+    .optional(),
+  ...signedUrlParams,
+});
+
+const renderDimension = z
+  .preprocess(
+    (value) => (value === undefined || value === null || value === '' ? undefined : Number(value)),
+    z.number().int().min(1).max(8192)
+  )
+  .optional();
+
+// Sizes are snapped to the configured buckets by the render service
+const renderQuerySchema = z.object({
+  w: renderDimension,
+  h: renderDimension,
+  fit: z
+    .preprocess(
+      (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+      z.enum(['cover', 'contain', 'fill', 'inside', 'outside'])
+    )
+    .optional(),
+  format: z
+    .preprocess(
+      (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+      z.enum(['webp', 'avif', 'jpeg', 'png'])
+    )
+    .optional(),
+  quality: z
+    .preprocess(
+      (value) => (value === undefined || value === null || value === '' ? undefined : Number(value)),
+      z.number().int().min(1).max(100)
+    )
+    .optional(),
+}).refine((data) => data.w !== undefined || data.h !== undefined, {
+  message: 'At least one of w or h must be provided',
 });
 
 const searchQuerySchema = z.object({
   artist: optionalTrimmedString(120),
   q: optionalTrimmedString(200),
   userId: optionalTrimmedString(100),
+  copyright: optionalTrimmedString(200),
+  creator: optionalTrimmedString(120),
+  software: optionalTrimmedString(120),
+  colorProfile: optionalTrimmedString(120),
+  capturedFrom: optionalDate(),
+  capturedTo: optionalDate(),
   tags: z
     .preprocess((value) => {
       if (Array.isArray(value)) return value;
@@ -118,9 +226,56 @@ const downloadUrlQuerySchema = z.object({
       z.number().int().min(60).max(86400)
     )
     .optional(),
+  bindUser: z
+    .preprocess((value) => {
+      if (value === undefined || value === null || value === '') return undefined;
+      if (typeof value === 'string') return value.trim().toLowerCase() === 'true';
+      return value;
+    }, z.boolean())
+    .optional(),
 });
 
-const maskQuerySchema = z.object({});
+const maskRegionCoordinate = (min) => z
+  .preprocess(
+    (value) => (value === undefined || value === null || value === '' ? undefined : Number(value)),
+    z.number().int().min(min).max(65535)
+  )
+  .optional();
+
+const maskQuerySchema = z.object({
+  x: maskRegionCoordinate(0),
+  y: maskRegionCoordinate(0),
+  w: maskRegionCoordinate(1),
+  h: maskRegionCoordinate(1),
+  // RGB masks are restricted like the original (see canStreamVariant)
+  ...signedUrlParams,
+}).refine(
+  (data) => (data.w === undefined) === (data.h === undefined)
+    && (data.w !== undefined || (data.x === undefined && data.y === undefined)),
+  { message: 'A mask region needs both w and h' }
+);
+
+const maskPreviewQuerySchema = z.object({
+  scale: z
+    .preprocess(
+      (value) => (value === undefined || value === null || value === '' ? undefined : Number(value)),
+      z.number().int().min(1).max(32767)
+    )
+    .optional(),
+  colormap: z
+    .preprocess(
+      (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+      z.enum(['diverging', 'heat', 'gray'])
+    )
+    .optional(),
+  downsample: z
+    .preprocess(
+      (value) => (value === undefined || value === null || value === '' ? undefined : Number(value)),
+      z.number().int().min(1).max(64)
+    )
+    .optional(),
+  ...signedUrlParams,
+});
 
 const checkExistsQuerySchema = z.object({
   id: z
@@ -154,11 +309,17 @@ const checkExistsQuerySchema = z.object({
 
 module.exports = {
   uploadArtworkSchema: { body: uploadBodySchema },
+  updateArtworkSchema: { params: idParamSchema, body: updateBodySchema },
   artworkStreamSchema: { params: idParamSchema, query: streamQuerySchema },
   artworkMetadataSchema: { params: idParamSchema },
+  renderArtworkSchema: { params: idParamSchema, query: renderQuerySchema },
   artworkSearchSchema: { query: searchQuerySchema },
   batchArtworksSchema: { body: batchBodySchema },
   downloadUrlSchema: { params: idParamSchema, query: downloadUrlQuerySchema },
   checkExistsSchema: { query: checkExistsQuerySchema },
   maskSchema: { params: idParamSchema, query: maskQuerySchema },
+  maskPreviewSchema: { params: idParamSchema, query: maskPreviewQuerySchema },
+  deleteArtworkSchema: { params: idParamSchema },
+  restoreArtworkSchema: { params: idParamSchema },
+  reconstructArtworkSchema: { params: idParamSchema },
 };
@@ -0,0 +1,27 @@
+const { z } = require('zod');
+const { ALLOWED_IMAGE_TYPES } = require('../middlewares/artworkUpload');
+const { uploadArtworkSchema } = require('./artwork.validators');
+
+const sessionIdParamSchema = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/u, 'id must be a 24 character hex string'),
+});
+
+const createUploadBodySchema = z.object({
+  length: z.number().int().positive(),
+  filename: z.string().trim().min(1).max(255),
+  contentType: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .refine((value) => ALLOWED_IMAGE_TYPES.has(value), {
+      message: `contentType must be one of: ${[...ALLOWED_IMAGE_TYPES].join(', ')}`,
+    }),
+});
+
+module.exports = {
+  createUploadSchema: { body: createUploadBodySchema },
+  uploadSessionSchema: { params: sessionIdParamSchema },
+  finalizeUploadSchema: { params: sessionIdParamSchema, body: uploadArtworkSchema.body },
+};
@@ -0,0 +1,69 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const sharp = require('sharp');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Accept negotiation', () => {
+  const suite = setupTestApp();
+  const { seedArtwork, uniqueImage, testImages } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  it('should transcode the protected image to the preferred format and store it', async () => {
+    const artwork = await seedArtwork({ original: await uniqueImage() });
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=display`)
+      .set('Accept', 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8')
+      .expect(200);
+
+    expect(res.headers['content-type']).to.equal('image/avif');
+    expect(res.headers.vary).to.include('Accept');
+    expect(res.headers).to.have.property('etag', `"${artwork._id}-protected_avif"`);
+    expect(await sharp(res.body).metadata()).to.include({ width: 32, height: 32 });
+
+    const stored = await db.collection('artworks_meta').findOne({ _id: artwork._id });
+    expect(stored.formats.protected_avif).to.include({ bucket: 'derivatives', derivedFrom: 'protected' });
+
+    const webp = await request(app)
+      .get(`/artworks/${artwork._id}?variant=display`)
+      .set('Accept', 'image/webp,*/*;q=0.8')
+      .expect(200);
+    expect(webp.headers['content-type']).to.equal('image/webp');
+    expect(webp.headers).to.have.property('etag', `"${artwork._id}-protected_webp"`);
+  });
+
+  it('should serve the stored format when no transcoded format is preferred', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=display`)
+      .set('Accept', '*/*')
+      .expect(200);
+
+    expect(res.headers['content-type']).to.equal('image/png');
+    expect(res.headers.vary).to.include('Accept');
+    expect(res.headers).to.have.property('etag', `"${artwork._id}-protected_png"`);
+
+    const stored = await db.collection('artworks_meta').findOne({ _id: artwork._id });
+    expect(stored.formats).to.not.have.property('protected_avif');
+  });
+
+  it('should always serve the stored protected image, which masks reconstruct from', async () => {
+    const artwork = await seedArtwork({ original: await uniqueImage() });
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .set('Accept', 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8')
+      .expect(200);
+
+    expect(res.headers['content-type']).to.equal('image/png');
+    expect(res.headers).to.have.property('etag', `"${artwork._id}-protected_png"`);
+    expect(res.body.equals(testImages.protected)).to.equal(true);
+  });
+});
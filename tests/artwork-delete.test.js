@@ -0,0 +1,95 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('DELETE /artworks/:id', () => {
+  const suite = setupTestApp();
+  const { seedArtwork } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  it('should reject anonymous deletes', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .delete(`/artworks/${artwork._id}`)
+      .expect(401);
+
+    expect(res.body).to.have.property('error', 'Authentication required');
+  });
+
+  it('should reject deletes from users who do not own the artwork', async () => {
+    const { deleteArtwork } = require('../src/services/artwork.service');
+    const artwork = await seedArtwork();
+
+    try {
+      await deleteArtwork(artwork._id.toString(), { userId: 'someone-else' });
+      expect.fail('Expected deleteArtwork to throw');
+    } catch (error) {
+      expect(error.status).to.equal(403);
+    }
+  });
+
+  it('should move the artwork to the trash and revoke its tokens', async () => {
+    const artwork = await seedArtwork();
+    const { createToken } = require('../src/services/token.service');
+    await createToken({ artworkId: artwork._id.toString() });
+
+    const res = await request(app)
+      .delete(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+
+    expect(res.body).to.have.property('success', true);
+    expect(res.body).to.have.property('deletedAt');
+    expect(res.body).to.have.property('purgeAt');
+    expect(res.body).to.have.property('tokensRevoked', 1);
+
+    const meta = await db.collection('artworks_meta').findOne({ _id: artwork._id });
+    expect(meta.deletedAt).to.be.instanceOf(Date);
+
+    const openTokens = await db
+      .collection('auth_tokens')
+      .countDocuments({ artworkId: artwork._id, used: false });
+    expect(openTokens).to.equal(0);
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/metadata`)
+      .expect(404);
+  });
+
+  it('should hide trashed artworks from search and existence checks', async () => {
+    const artwork = await seedArtwork({ body: { title: 'Trashed Unique Title', artist: 'Trash Artist' } });
+
+    await request(app)
+      .delete(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+
+    const searchRes = await request(app)
+      .get('/artworks?artist=Trash Artist')
+      .expect(200);
+    expect(searchRes.body).to.have.lengthOf(0);
+
+    const existsRes = await request(app)
+      .get(`/artworks/check-exists?checksum=${artwork.checksum.replace('sha256:', '')}`)
+      .expect(200);
+    const ids = existsRes.body.matches.map((match) => match._id);
+    expect(ids).not.to.include(artwork._id.toString());
+  });
+
+  it('should return 404 for unknown artworks', async () => {
+    const res = await request(app)
+      .delete(`/artworks/${new ObjectId()}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(404);
+
+    expect(res.body).to.have.property('error', 'Artwork not found');
+  });
+});
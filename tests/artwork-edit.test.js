@@ -0,0 +1,83 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('PATCH /artworks/:id', () => {
+  const suite = setupTestApp();
+  const { seedArtwork } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  it('should reject anonymous edits', async () => {
+    const artwork = await seedArtwork();
+
+    await request(app)
+      .patch(`/artworks/${artwork._id}`)
+      .send({ title: 'Hijacked' })
+      .expect(401);
+  });
+
+  it('should update metadata with the upload normalisation rules', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .patch(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .send({
+        title: '  Fixed Title  ',
+        tags: 'fixed, typo ,',
+        extra: JSON.stringify({ source: 'edit' }),
+      })
+      .expect(200);
+
+    expect(res.body).to.have.property('title', 'Fixed Title');
+    expect(res.body.tags).to.deep.equal(['fixed', 'typo']);
+    expect(res.body.extra).to.deep.equal({ source: 'edit' });
+    expect(res.body).to.have.property('artist', 'Managed Artist');
+    expect(res.body).to.have.property('updatedAt');
+  });
+
+  it('should clear fields set to an empty string', async () => {
+    const artwork = await seedArtwork({ body: { description: 'Typo here' } });
+
+    const res = await request(app)
+      .patch(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .send({ description: '' })
+      .expect(200);
+
+    expect(res.body).to.have.property('description', null);
+  });
+
+  it('should reject empty and unknown fields', async () => {
+    const artwork = await seedArtwork();
+
+    await request(app)
+      .patch(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .send({})
+      .expect(400);
+
+    await request(app)
+      .patch(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .send({ userId: 'attacker' })
+      .expect(400);
+  });
+
+  it('should reject edits from users who do not own the artwork', async () => {
+    const { updateArtwork } = require('../src/services/artwork.service');
+    const artwork = await seedArtwork();
+
+    try {
+      await updateArtwork(artwork._id.toString(), { title: 'Nope' }, { userId: 'someone-else' });
+      expect.fail('Expected updateArtwork to throw');
+    } catch (error) {
+      expect(error.status).to.equal(403);
+    }
+  });
+});
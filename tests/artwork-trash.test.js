@@ -0,0 +1,70 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Trash restore and purge', () => {
+  const suite = setupTestApp();
+  const { seedArtwork, uniqueImage } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  it('should restore a trashed artwork', async () => {
+    const artwork = await seedArtwork();
+
+    await request(app)
+      .delete(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/artworks/${artwork._id}/restore`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+
+    expect(res.body).to.have.property('_id', artwork._id.toString());
+    expect(res.body).not.to.have.property('deletedAt');
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/metadata`)
+      .expect(200);
+  });
+
+  it('should return 409 when restoring an artwork that is not trashed', async () => {
+    const artwork = await seedArtwork();
+
+    await request(app)
+      .post(`/artworks/${artwork._id}/restore`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(409);
+  });
+
+  it('should require authentication to list the trash', async () => {
+    await request(app)
+      .get('/artworks/me/trash')
+      .expect(401);
+  });
+
+  it('should purge trashed artworks past retention including GridFS files', async () => {
+    const { deleteArtwork, purgeDeletedArtworks } = require('../src/services/artwork.service');
+    const artwork = await seedArtwork({ original: await uniqueImage() });
+
+    await deleteArtwork(artwork._id.toString(), { internal: true });
+    const summary = await purgeDeletedArtworks({ olderThan: 0 });
+
+    expect(summary.purged).to.be.at.least(1);
+    expect(summary.fileErrors).to.have.lengthOf(0);
+
+    const meta = await db.collection('artworks_meta').findOne({ _id: artwork._id });
+    expect(meta).to.equal(null);
+
+    const originalFile = await db
+      .collection('artwork_originals.files')
+      .findOne({ _id: artwork.formats.original.fileId });
+    expect(originalFile).to.equal(null);
+  });
+});
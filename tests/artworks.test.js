@@ -23,6 +23,17 @@ describe('Artwork Storage API', () => {
   let mongoClient;
   let db;
   let testArtworkId;
+  const internalApiKey = process.env.INTERNAL_API_KEY;
+
+  // Restricted variants are only served through signed URLs
+  async function signedPath(artworkId, { variant = 'original', download = false } = {}) {
+    const res = await request(app)
+      .get(`/artworks/${artworkId}/download-url?variant=${variant}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    const url = new URL(download ? res.body.downloadUrl : res.body.directUrl);
+    return `${url.pathname}${url.search}`;
+  }
 
   // Test data
   const testImages = {
@@ -240,7 +251,7 @@ describe('Artwork Storage API', () => {
   describe('GET /artworks/:id - Stream Artwork', () => {
     it('should stream original artwork', async () => {
       const res = await request(app)
-        .get(`/artworks/${testArtworkId}`)
+        .get(await signedPath(testArtworkId))
         .expect(200);
 
       expect(res.headers).to.have.property('content-type');
@@ -357,7 +368,7 @@ describe('Artwork Storage API', () => {
     it('should download artwork with proper headers', async () => {
       try {
         const res = await request(app)
-          .get(`/artworks/${testArtworkId}/download`)
+          .get(await signedPath(testArtworkId, { download: true }))
           .expect(200);
 
         expect(res.headers).to.have.property('content-disposition');
@@ -397,6 +408,7 @@ describe('Artwork Storage API', () => {
     it('should generate download URLs', async () => {
       const res = await request(app)
         .get(`/artworks/${testArtworkId}/download-url`)
+        .set('X-Internal-Key', internalApiKey)
         .expect(200);
 
       expect(res.body).to.have.property('downloadUrl');
@@ -567,7 +579,7 @@ describe('Artwork Storage API', () => {
 
       // Download original
       const downloadRes = await request(app)
-        .get(`/artworks/${testArtworkId}?variant=original`)
+        .get(await signedPath(testArtworkId))
         .expect(200);
 
       // Calculate checksum of downloaded data
@@ -617,7 +629,7 @@ describe('Artwork Storage API', () => {
 
       // Download
       const downloadRes = await request(app)
-        .get(`/artworks/${artworkId}`)
+        .get(await signedPath(artworkId))
         .expect(200);
 
       // Check image dimensions are preserved
@@ -685,9 +697,12 @@ describe('Artwork Storage API', () => {
     it('should handle concurrent downloads', async function() {
       this.timeout(10000);
 
-      const downloadPromises = ['original', 'protected', 'mask_hi', 'mask_lo'].map(variant =>
-        request(app)
-          .get(`/artworks/${testArtworkId}?variant=${variant}`)
+      const downloadPromises = ['original', 'protected', 'mask_hi', 'mask_lo'].map(async variant =>
+        request(app).get(
+          variant === 'original'
+            ? await signedPath(testArtworkId)
+            : `/artworks/${testArtworkId}?variant=${variant}`
+        )
       );
 
       const results = await Promise.all(downloadPromises);
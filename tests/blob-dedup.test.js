@@ -0,0 +1,103 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Blob deduplication', () => {
+  const suite = setupTestApp();
+  const { testImages, seedArtwork, uniqueImage } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  it('should share one GridFS file between identical uploads until the last reference goes', async () => {
+    const { deleteArtwork, purgeDeletedArtworks } = require('../src/services/artwork.service');
+    const original = await uniqueImage();
+    const first = await seedArtwork({ original });
+    const second = await seedArtwork({ original });
+
+    const fileId = first.formats.original.fileId;
+    expect(second.formats.original.fileId.toString()).to.equal(fileId.toString());
+    const blob = await db.collection('gridfs_blobs').findOne({ bucket: 'originals', fileId });
+    expect(blob).to.include({ refCount: 2, checksum: first.checksum });
+
+    await deleteArtwork(first._id.toString(), { internal: true });
+    await purgeDeletedArtworks({ olderThan: 0 });
+    expect(await db.collection('artwork_originals.files').findOne({ _id: fileId })).to.not.equal(null);
+    expect(await db.collection('gridfs_blobs').findOne({ _id: blob._id })).to.include({ refCount: 1 });
+
+    await deleteArtwork(second._id.toString(), { internal: true });
+    await purgeDeletedArtworks({ olderThan: 0 });
+    expect(await db.collection('artwork_originals.files').findOne({ _id: fileId })).to.equal(null);
+    expect(await db.collection('gridfs_blobs').findOne({ _id: blob._id })).to.equal(null);
+  });
+
+  it('should drop a streamed upload whose content is already stored', async () => {
+    const existing = await seedArtwork({ original: await uniqueImage() });
+    const tokenRes = await request(app)
+      .post('/tokens')
+      .set('X-Internal-Key', internalApiKey)
+      .send({ metadata: { source: 'test' } })
+      .expect(201);
+    const filesBefore = await db.collection('artwork_protected.files').countDocuments();
+
+    const res = await request(app)
+      .post('/artworks')
+      .set('Authorization', `Bearer ${tokenRes.body.token}`)
+      .attach('original', testImages.original, { filename: 'original.png', contentType: 'image/png' })
+      .attach('protected', testImages.protected, { filename: 'protected.png', contentType: 'image/png' })
+      .attach('mask', testImages.mask, { filename: 'mask.sac', contentType: 'application/octet-stream' })
+      .attach('analysis', Buffer.from('{"ok":true}'), { filename: 'analysis.json', contentType: 'application/json' })
+      .attach('summary', Buffer.from('{"title":"Summary"}'), { filename: 'summary.json', contentType: 'application/json' })
+      .expect(201);
+
+    expect(res.body.formats.protected.fileId).to.equal(existing.formats.protected.fileId.toString());
+    expect(await db.collection('artwork_protected.files').countDocuments()).to.equal(filesBefore);
+  });
+
+  it('should collapse duplicates stored before deduplication', async () => {
+    const { collapseDuplicateBlobs } = require('../src/services/blob.service');
+    const { getOriginalBucket, uploadStreamToBucket } = require('../src/storage/gridfs');
+    const { Readable } = require('stream');
+    const { sha256FromBuffer } = require('../src/utils/checksum');
+
+    const content = await uniqueImage();
+    const checksum = sha256FromBuffer(content);
+    const legacyIds = [];
+    for (let i = 0; i < 2; i += 1) {
+      const fileId = await uploadStreamToBucket(
+        getOriginalBucket(),
+        Readable.from([content]),
+        { filename: 'legacy.png', contentType: 'image/png' },
+      );
+      const { insertedId } = await db.collection('artworks_meta').insertOne({
+        title: 'Legacy Duplicate',
+        checksum,
+        formats: {
+          original: { fileId, bucket: 'originals', contentType: 'image/png', bytes: content.length, checksum },
+        },
+      });
+      legacyIds.push({ artworkId: insertedId, fileId });
+    }
+
+    const dryRun = await collapseDuplicateBlobs({ dryRun: true });
+    expect(dryRun.duplicateFiles).to.be.at.least(1);
+    expect(await db.collection('artwork_originals.files').countDocuments({ _id: legacyIds[1].fileId })).to.equal(1);
+
+    const summary = await collapseDuplicateBlobs();
+    expect(summary.fileErrors).to.have.lengthOf(0);
+
+    const docs = await db
+      .collection('artworks_meta')
+      .find({ _id: { $in: legacyIds.map((entry) => entry.artworkId) } })
+      .toArray();
+    expect(docs.map((doc) => doc.formats.original.fileId.toString()))
+      .to.deep.equal([legacyIds[0].fileId.toString(), legacyIds[0].fileId.toString()]);
+    expect(await db.collection('artwork_originals.files').countDocuments({ _id: legacyIds[1].fileId })).to.equal(0);
+    expect(await db.collection('gridfs_blobs').findOne({ bucket: 'originals', checksum }))
+      .to.include({ refCount: 2 });
+  });
+});
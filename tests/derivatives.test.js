@@ -0,0 +1,82 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const sharp = require('sharp');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Derivatives', () => {
+  const suite = setupTestApp();
+  const { seedArtwork, assetsOfSize } = suite;
+  let app;
+  let db;
+  let artwork;
+
+  before(async () => {
+    ({ app, db } = suite);
+    artwork = await seedArtwork(await assetsOfSize(600, 400));
+  });
+
+  it('should render a WebP thumbnail of the protected image on first request', async () => {
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=thumb`)
+      .expect(200);
+
+    expect(res.headers['content-type']).to.equal('image/webp');
+    expect(res.headers).to.have.property('etag', `"${artwork._id}-thumb_webp"`);
+    const metadata = await sharp(res.body).metadata();
+    expect(metadata).to.include({ format: 'webp', width: 256, height: 171 });
+
+    const stored = await db.collection('artworks_meta').findOne({ _id: artwork._id });
+    expect(stored.formats.thumb_webp).to.include({
+      bucket: 'derivatives',
+      contentType: 'image/webp',
+      derivedFrom: 'protected',
+      width: 256,
+      height: 171,
+    });
+    expect(await db.collection('artwork_derivatives.files').countDocuments({ _id: stored.formats.thumb_webp.fileId }))
+      .to.equal(1);
+  });
+
+  it('should serve the stored derivative on later requests', async () => {
+    const before = await db.collection('artwork_derivatives.files').countDocuments();
+    await request(app).get(`/artworks/${artwork._id}?variant=thumb`).expect(200);
+    expect(await db.collection('artwork_derivatives.files').countDocuments()).to.equal(before);
+  });
+
+  it('should render AVIF when requested and reject unknown formats', async () => {
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=small&format=avif`)
+      .expect(200);
+    expect(res.headers['content-type']).to.equal('image/avif');
+
+    await request(app).get(`/artworks/${artwork._id}?variant=small&format=gif`).expect(400);
+    await request(app).get(`/artworks/${artwork._id}?variant=huge`).expect(404);
+  });
+
+  it('should list derivatives in the variants endpoint', async () => {
+    const res = await request(app).get(`/artworks/${artwork._id}/variants`).expect(200);
+
+    expect(res.body.variants).to.have.keys('original', 'protected', 'mask', 'thumb', 'small', 'medium');
+    expect(res.body.variants.thumb).to.include({ derivedFrom: 'protected', maxDimension: 256 });
+    expect(res.body.variants.thumb.formats.webp).to.include({ generated: true, width: 256, height: 171 });
+    expect(res.body.variants.medium.formats.avif).to.include({
+      generated: false,
+      url: `/artworks/${artwork._id}?variant=medium&format=avif`,
+    });
+  });
+
+  it('should release derivative files when the artwork is purged', async () => {
+    const { deleteArtwork, purgeDeletedArtworks } = require('../src/services/artwork.service');
+    const doomed = await seedArtwork(await assetsOfSize(300, 300));
+
+    await request(app).get(`/artworks/${doomed._id}?variant=thumb`).expect(200);
+    const { formats } = await db.collection('artworks_meta').findOne({ _id: doomed._id });
+
+    await deleteArtwork(doomed._id.toString(), { internal: true });
+    await purgeDeletedArtworks({ olderThan: 0 });
+
+    expect(await db.collection('artwork_derivatives.files').countDocuments({ _id: formats.thumb_webp.fileId }))
+      .to.equal(0);
+  });
+});
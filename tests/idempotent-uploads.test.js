@@ -0,0 +1,74 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Idempotent uploads', () => {
+  const suite = setupTestApp();
+  const { testImages } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  async function issueToken() {
+    const res = await request(app)
+      .post('/tokens')
+      .set('X-Internal-Key', internalApiKey)
+      .send({ metadata: { source: 'test' } })
+      .expect(201);
+    return res.body.token;
+  }
+
+  function uploadRequest(token, key, { title = 'Idempotent Artwork' } = {}) {
+    return request(app)
+      .post('/artworks')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', key)
+      .field('title', title)
+      .attach('original', testImages.original, { filename: 'original.png', contentType: 'image/png' })
+      .attach('protected', testImages.protected, { filename: 'protected.png', contentType: 'image/png' })
+      .attach('mask', testImages.mask, { filename: 'mask.sac', contentType: 'application/octet-stream' })
+      .attach('analysis', Buffer.from('{"ok":true}'), { filename: 'analysis.json', contentType: 'application/json' })
+      .attach('summary', Buffer.from('{"title":"Summary"}'), { filename: 'summary.json', contentType: 'application/json' });
+  }
+
+  it('should replay the first response when a retry repeats the key', async () => {
+    const token = await issueToken();
+    const key = `retry-${new ObjectId()}`;
+
+    const first = await uploadRequest(token, key).expect(201);
+    const originalsAfterFirst = await db.collection('artwork_originals.files').countDocuments();
+
+    const retry = await uploadRequest(token, key).expect(201);
+    expect(retry.headers).to.have.property('idempotent-replayed', 'true');
+    expect(retry.body).to.deep.equal(first.body);
+
+    expect(await db.collection('artworks_meta').countDocuments({ _id: new ObjectId(first.body.id) })).to.equal(1);
+    expect(await db.collection('artworks_meta').countDocuments({ title: 'Idempotent Artwork' })).to.equal(1);
+    expect(await db.collection('artwork_originals.files').countDocuments()).to.equal(originalsAfterFirst);
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    const token = await issueToken();
+    const key = `conflict-${new ObjectId()}`;
+
+    await uploadRequest(token, key, { title: 'First Body' }).expect(201);
+    const res = await uploadRequest(token, key, { title: 'Second Body' }).expect(409);
+    expect(res.body.error).to.include('different request body');
+  });
+
+  it('should still refuse a consumed token without the original key', async () => {
+    const token = await issueToken();
+    await uploadRequest(token, `first-${new ObjectId()}`).expect(201);
+    await uploadRequest(token, `other-${new ObjectId()}`).expect(401);
+  });
+
+  it('should reject a malformed key', async () => {
+    const res = await uploadRequest(await issueToken(), 'has spaces').expect(400);
+    expect(res.body.error).to.include('Idempotency-Key');
+  });
+});
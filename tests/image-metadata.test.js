@@ -0,0 +1,101 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Embedded image metadata', () => {
+  const suite = setupTestApp();
+  const { seedArtwork, uniqueImage } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  // The copyright doubles as a marker so searches only see this suite's artworks
+  const copyright = `(c) 2019 Ada Studio ${new ObjectId()}`;
+
+  function imageWithMetadata(exif) {
+    const [r, g, b] = crypto.randomBytes(3);
+    return sharp({ create: { width: 32, height: 32, channels: 3, background: { r, g, b } } })
+      .png()
+      .withMetadata({ icc: 'srgb', exif })
+      .toBuffer();
+  }
+
+  it('should store EXIF fields and use them for an omitted artist and creation date', async () => {
+    const original = await imageWithMetadata({
+      IFD0: { Copyright: copyright, Artist: 'Ada Lovelace', Software: 'Krita 5.2' },
+      IFD2: { DateTimeOriginal: '2019:06:30 14:15:16', OffsetTimeOriginal: '+02:00' },
+    });
+
+    const prefilled = await seedArtwork({ original, body: { artist: '' } });
+    expect(prefilled.imageMetadata).to.deep.equal({
+      copyright,
+      creator: 'Ada Lovelace',
+      capturedAt: new Date('2019-06-30T12:15:16Z'),
+      software: 'Krita 5.2',
+      colorProfile: 'sRGB',
+    });
+    expect(prefilled).to.include({ artist: 'Ada Lovelace' });
+    expect(prefilled.createdAt.toISOString()).to.equal('2019-06-30T12:15:16.000Z');
+
+    const fromForm = await seedArtwork({
+      original,
+      body: { artist: 'Form Artist', createdAt: '2024-01-02T00:00:00Z' },
+    });
+    expect(fromForm).to.include({ artist: 'Form Artist' });
+    expect(fromForm.createdAt.toISOString()).to.equal('2024-01-02T00:00:00.000Z');
+    expect(fromForm.imageMetadata.creator).to.equal('Ada Lovelace');
+  });
+
+  it('should leave fields null for images without embedded metadata', async () => {
+    const doc = await seedArtwork({ original: await uniqueImage() });
+    expect(doc.imageMetadata).to.deep.equal({
+      copyright: null,
+      creator: null,
+      capturedAt: null,
+      software: null,
+      colorProfile: null,
+    });
+    expect(doc.artist).to.equal('Managed Artist');
+  });
+
+  it('should filter the artwork list by embedded metadata', async () => {
+    const older = await seedArtwork({
+      original: await imageWithMetadata({
+        IFD0: { Copyright: copyright, Software: 'GIMP 2.10' },
+        IFD2: { DateTimeOriginal: '2015:01:01 00:00:00' },
+      }),
+    });
+    const newer = await seedArtwork({
+      original: await imageWithMetadata({
+        IFD0: { Copyright: copyright, Software: 'Krita 5.2' },
+        IFD2: { DateTimeOriginal: '2021:01:01 00:00:00' },
+      }),
+    });
+    const idsOf = (res) => res.body.map((artwork) => artwork._id);
+
+    const bySoftware = await request(app)
+      .get('/artworks')
+      .query({ copyright: copyright.toUpperCase(), software: 'krita' })
+      .expect(200);
+    expect(idsOf(bySoftware)).to.include(newer._id.toString());
+    expect(idsOf(bySoftware)).to.not.include(older._id.toString());
+
+    const byDate = await request(app)
+      .get('/artworks')
+      .query({ copyright, capturedFrom: '2014-01-01', capturedTo: '2016-01-01' })
+      .expect(200);
+    expect(idsOf(byDate)).to.deep.equal([older._id.toString()]);
+
+    // Regex metacharacters are matched literally
+    const literal = await request(app).get('/artworks').query({ copyright: 'Ada.Studio' }).expect(200);
+    expect(literal.body).to.have.length(0);
+
+    await request(app).get('/artworks').query({ capturedFrom: 'yesterday' }).expect(400);
+  });
+});
@@ -19,6 +19,17 @@ describe('Integration Tests - Complete Workflow', () => {
   let mongoServer;
   let mongoClient;
   let testData = {};
+  const internalApiKey = process.env.INTERNAL_API_KEY;
+
+  // Restricted variants are only served through signed URLs
+  async function signedPath(artworkId, { variant = 'original', download = false } = {}) {
+    const res = await request(app)
+      .get(`/artworks/${artworkId}/download-url?variant=${variant}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    const url = new URL(download ? res.body.downloadUrl : res.body.directUrl);
+    return `${url.pathname}${url.search}`;
+  }
 
   before(async function() {
     this.timeout(60000);
@@ -166,8 +177,11 @@ describe('Integration Tests - Complete Workflow', () => {
 
         // Download each variant
         for (const variant of ['original', 'protected', 'mask_hi', 'mask_lo']) {
+          const path = variant === 'original'
+            ? await signedPath(artworkId)
+            : `/artworks/${artworkId}?variant=${variant}`;
           const res = await request(app)
-            .get(`/artworks/${artworkId}?variant=${variant}`)
+            .get(path)
             .expect(200);
 
           expect(res.body).to.be.instanceOf(Buffer);
@@ -244,6 +258,7 @@ describe('Integration Tests - Complete Workflow', () => {
 
       const res = await request(app)
         .get(`/artworks/${artworkId}/download-url?variant=original&expires=7200`)
+        .set('X-Internal-Key', internalApiKey)
         .expect(200);
 
       expect(res.body).to.have.property('downloadUrl');
@@ -410,7 +425,7 @@ describe('Integration Tests - Complete Workflow', () => {
       // Download and measure time
       const startTime = Date.now();
       const downloadRes = await request(app)
-        .get(`/artworks/${artworkId}`)
+        .get(await signedPath(artworkId))
         .expect(200);
 
       const elapsed = Date.now() - startTime;
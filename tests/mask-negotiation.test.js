@@ -0,0 +1,79 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { buildSAC, parseSAC } = require('../src/services/sac-encoder.service');
+const { setupTestApp, binary } = require('./test-helpers');
+
+describe('Mask version negotiation', () => {
+  const suite = setupTestApp();
+  const { testImages, seedArtwork } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  it('should serve SAC v1 unless the client accepts SAC v2', async () => {
+    const maskArray = new Int16Array(32 * 32).map((_, i) => (i % 7) - 3);
+    const mask = buildSAC(maskArray, maskArray, 32, 32, { version: 2, compression: 'brotli', checksum: 'sha256' });
+    const artwork = await seedArtwork({ mask });
+
+    const legacy = await request(app).get(`/artworks/${artwork._id}/mask`).buffer(true).parse(binary).expect(200);
+    expect(legacy.headers['content-type']).to.equal('application/octet-stream');
+    expect(legacy.headers.vary).to.include('Accept');
+    expect(legacy.body.toString('ascii', 0, 4)).to.equal('SAC1');
+    expect([...parseSAC(legacy.body).arrayA]).to.deep.equal([...maskArray]);
+
+    const current = await request(app)
+      .get(`/artworks/${artwork._id}/mask`)
+      .set('Accept', 'application/x-sac; version=2')
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    expect(current.headers['content-type']).to.equal('application/x-sac; version=2');
+    expect(current.body.equals(mask)).to.equal(true);
+    expect(current.headers.etag).to.not.equal(legacy.headers.etag);
+  });
+
+  it('should describe the dtype and widen narrow masks for SAC v1 readers', async () => {
+    const maskArray = new Int16Array(32 * 32).map((_, i) => (i % 200) - 100);
+    const mask = buildSAC(maskArray, maskArray, 32, 32, { version: 2 });
+    const artwork = await seedArtwork({ mask });
+
+    const current = await request(app)
+      .get(`/artworks/${artwork._id}/mask`)
+      .set('Accept', 'application/x-sac; version=2')
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    expect(current.headers['x-sac-dtype']).to.equal('int8');
+    expect(current.body.equals(mask)).to.equal(true);
+
+    const legacy = await request(app).get(`/artworks/${artwork._id}/mask`).buffer(true).parse(binary).expect(200);
+    expect(legacy.headers['x-sac-dtype']).to.equal('int16');
+    const parsed = parseSAC(legacy.body);
+    expect(parsed.dtype).to.equal('int16');
+    expect([...parsed.arrayA]).to.deep.equal([...maskArray]);
+  });
+
+  it('should convert SAC v1 masks for clients that accept SAC v2', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/mask`)
+      .set('Accept', 'application/x-sac; version=2, */*;q=0.1')
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    const parsed = parseSAC(res.body);
+    expect(parsed).to.include({ version: 2, compression: 'deflate', checksum: 'crc32', width: 32, height: 32 });
+    expect([...parsed.arrayA]).to.deep.equal([...parseSAC(testImages.mask).arrayA]);
+    expect(res.body.length).to.be.lessThan(testImages.mask.length);
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/mask`)
+      .set('Accept', 'application/x-sac; version=2')
+      .set('If-None-Match', res.headers.etag)
+      .expect(304);
+  });
+});
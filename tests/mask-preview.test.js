@@ -0,0 +1,68 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const sharp = require('sharp');
+const { buildSAC } = require('../src/services/sac-encoder.service');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Mask preview', () => {
+  const suite = setupTestApp();
+  const { seedArtwork } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  it('should render the mask as a PNG with the mask caching headers', async () => {
+    const artwork = await seedArtwork();
+
+    const raw = await request(app).get(`/artworks/${artwork._id}/mask`).expect(200);
+    const res = await request(app).get(`/artworks/${artwork._id}/mask/preview`).expect(200);
+
+    expect(res.headers['content-type']).to.equal('image/png');
+    expect(res.headers['cache-control']).to.equal(raw.headers['cache-control']);
+    expect(res.headers['x-mask-scale']).to.equal('10');
+
+    const { data, info } = await sharp(res.body).raw().toBuffer({ resolveWithObject: true });
+    expect(info).to.include({ width: 32, height: 32 });
+    // A uniform positive mask at full scale is solid red on the diverging map
+    expect([...data.subarray(0, 3)]).to.deep.equal([255, 0, 0]);
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/mask/preview`)
+      .set('If-None-Match', res.headers.etag)
+      .expect(304);
+  });
+
+  it('should downsample, rescale and show both arrays of two-array masks', async () => {
+    const arrayA = new Int16Array(32 * 32).fill(10);
+    const arrayB = new Int16Array(32 * 32).fill(-10);
+    const artwork = await seedArtwork({ mask: buildSAC(arrayA, arrayB, 32, 32) });
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/mask/preview?colormap=gray&scale=20&downsample=4`)
+      .expect(200);
+    expect(res.headers['x-mask-scale']).to.equal('20');
+
+    const defaults = await request(app).get(`/artworks/${artwork._id}/mask/preview`).expect(200);
+    expect(res.headers.etag).to.not.equal(defaults.headers.etag);
+
+    // Two 8x8 panels with a gap between them
+    const { data, info } = await sharp(res.body).raw().toBuffer({ resolveWithObject: true });
+    expect(info).to.include({ width: 24, height: 8 });
+    expect(data[0]).to.be.greaterThan(128);
+    expect(data[(info.width - 1) * info.channels]).to.be.lessThan(128);
+  });
+
+  it('should reject unknown preview options', async () => {
+    const artwork = await seedArtwork();
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/mask/preview?colormap=rainbow`)
+      .expect(400);
+    await request(app)
+      .get(`/artworks/${artwork._id}/mask/preview?downsample=0`)
+      .expect(400);
+  });
+});
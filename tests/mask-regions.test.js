@@ -0,0 +1,107 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { buildSAC, parseSAC, SAC2_HEADER_SIZE } = require('../src/services/sac-encoder.service');
+const { setupTestApp, binary } = require('./test-helpers');
+
+describe('Mask regions', () => {
+  const suite = setupTestApp();
+  const { seedArtwork, assetsOfSize } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  const width = 32;
+  const height = 32;
+  const maskArray = new Int16Array(width * height).map((_, i) => (i % 251) - 125);
+
+  function expectedRegion(values, { x, y, w, h }) {
+    const region = [];
+    for (let row = y; row < y + h; row += 1) {
+      region.push(...values.subarray(row * width + x, row * width + x + w));
+    }
+    return region;
+  }
+
+  it('should return a SAC sub-container for the requested region', async () => {
+    const inverted = maskArray.map((value) => -value);
+    const artwork = await seedArtwork({ mask: buildSAC(maskArray, inverted, width, height) });
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/mask?x=5&y=3&w=10&h=4`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    const parsed = parseSAC(res.body);
+    expect(parsed).to.include({ version: 1, width: 10, height: 4, lengthA: 40 });
+    expect([...parsed.arrayA]).to.deep.equal(expectedRegion(maskArray, { x: 5, y: 3, w: 10, h: 4 }));
+    expect([...parsed.arrayB]).to.deep.equal(expectedRegion(inverted, { x: 5, y: 3, w: 10, h: 4 }));
+
+    const whole = await request(app).get(`/artworks/${artwork._id}/mask`).expect(200);
+    expect(res.headers.etag).to.not.equal(whole.headers.etag);
+  });
+
+  it('should read only the region\'s rows from uncompressed masks', async () => {
+    const { getMaskBucket } = require('../src/storage/gridfs');
+    // Rows of a mask this wide are too far apart to read along
+    const wide = 40000;
+    const wideValues = Int16Array.from({ length: wide * 2 }, (_, i) => (i % 251) - 125);
+    const { original, protectedImage } = await assetsOfSize(wide, 2);
+    const artwork = await seedArtwork({
+      original,
+      protectedImage,
+      mask: buildSAC(wideValues, wideValues.map((value) => -value), wide, 2, { dtype: 'int16' }),
+    });
+
+    const bucket = getMaskBucket(artwork.formats.mask.driver);
+    const { openDownloadStream } = bucket;
+    let bytesRead = 0;
+    bucket.openDownloadStream = (...args) => openDownloadStream.apply(bucket, args)
+      .on('data', (chunk) => { bytesRead += chunk.length; });
+    let res;
+    try {
+      res = await request(app)
+        .get(`/artworks/${artwork._id}/mask?x=100&y=0&w=10&h=2`)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+    } finally {
+      delete bucket.openDownloadStream;
+    }
+
+    const parsed = parseSAC(res.body);
+    const expected = [...wideValues.subarray(100, 110), ...wideValues.subarray(wide + 100, wide + 110)];
+    expect([...parsed.arrayA]).to.deep.equal(expected);
+    // The header (read at SAC v2 size), then 2 rows of 10 int16 values from each of the 2 arrays
+    expect(bytesRead).to.equal(SAC2_HEADER_SIZE + 2 * 2 * 10 * 2);
+  });
+
+  it('should cut regions from compressed SAC v2 masks', async () => {
+    const artwork = await seedArtwork({ mask: buildSAC(maskArray, maskArray, width, height, { version: 2 }) });
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/mask?x=30&y=0&w=2&h=32`)
+      .set('Accept', 'application/x-sac; version=2')
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    const parsed = parseSAC(res.body);
+    expect(parsed).to.include({ version: 2, width: 2, height: 32, isSingleArray: true });
+    expect([...parsed.arrayA]).to.deep.equal(expectedRegion(maskArray, { x: 30, y: 0, w: 2, h: 32 }));
+  });
+
+  it('should reject regions outside the mask', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/mask?x=30&y=0&w=4&h=4`)
+      .expect(400);
+    expect(res.body.error).to.include('exceeds the 32x32 mask');
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/mask?x=1&y=1`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Orphaned file collection', () => {
+  const suite = setupTestApp();
+  const { seedArtwork, uniqueImage } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  it('should report and then delete unreferenced files past the grace period', async () => {
+    const { collectOrphanedFiles } = require('../src/services/orphan-gc.service');
+    const { getOriginalBucket, getUploadStagingBucket, uploadStreamToBucket } = require('../src/storage/gridfs');
+    const { Readable } = require('stream');
+
+    const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000);
+    const orphanId = await uploadStreamToBucket(
+      getOriginalBucket(),
+      Readable.from([await uniqueImage()]),
+      { filename: 'orphan.png', contentType: 'image/png' },
+    );
+    const stagedId = await uploadStreamToBucket(
+      getUploadStagingBucket(),
+      Readable.from([Buffer.from('abandoned chunk')]),
+      { filename: 'chunk', contentType: 'application/octet-stream' },
+    );
+    const freshId = await uploadStreamToBucket(
+      getOriginalBucket(),
+      Readable.from([await uniqueImage()]),
+      { filename: 'in-flight.png', contentType: 'image/png' },
+    );
+    const artwork = await seedArtwork({ original: await uniqueImage() });
+
+    await db.collection('artwork_originals.files').updateMany(
+      { _id: { $in: [orphanId, artwork.formats.original.fileId] } },
+      { $set: { uploadDate: twoDaysAgo } },
+    );
+    await db.collection('artwork_uploads.files').updateOne({ _id: stagedId }, { $set: { uploadDate: twoDaysAgo } });
+
+    const report = await collectOrphanedFiles({ dryRun: true, graceHours: 24 });
+    expect(report.orphans).to.be.at.least(2);
+    expect(report.deleted).to.equal(0);
+    expect(report.buckets['gridfs/uploads'].orphans).to.be.at.least(1);
+    expect(await db.collection('artwork_originals.files').countDocuments({ _id: orphanId })).to.equal(1);
+
+    const summary = await collectOrphanedFiles({ graceHours: 24 });
+    expect(summary.errors).to.have.lengthOf(0);
+    expect(summary.deleted).to.equal(summary.orphans);
+    expect(await db.collection('artwork_originals.files').countDocuments({ _id: orphanId })).to.equal(0);
+    expect(await db.collection('artwork_uploads.files').countDocuments({ _id: stagedId })).to.equal(0);
+    expect(await db.collection('artwork_originals.files').countDocuments({ _id: freshId })).to.equal(1);
+    expect(await db.collection('artwork_originals.files').countDocuments({ _id: artwork.formats.original.fileId }))
+      .to.equal(1);
+
+    const res = await request(app).get('/health').expect(200);
+    expect(res.body.summary).to.have.property('orphanedFiles', 'healthy');
+    expect(res.body.components.orphanedFiles.lastRun).to.include({ dryRun: false, deleted: summary.deleted });
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const sharp = require('sharp');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Provenance manifests', () => {
+  const suite = setupTestApp();
+  const { testImages, seedArtwork, uniqueImage } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  async function seedWithProvenance(overrides = {}) {
+    const config = require('../src/config/env');
+    config.uploads.embedProvenance = true;
+    try {
+      return await seedArtwork({ original: await uniqueImage(), ...overrides });
+    } finally {
+      config.uploads.embedProvenance = false;
+    }
+  }
+
+  function verify(image, contentType = 'image/png') {
+    return request(app)
+      .post('/artworks/verify-provenance')
+      .attach('image', image, { filename: 'image', contentType });
+  }
+
+  it('should embed a signed manifest without touching the protected pixels', async () => {
+    const artwork = await seedWithProvenance();
+    expect(artwork.provenance).to.include({ version: 1 });
+
+    const res = await request(app).get(`/artworks/${artwork._id}?variant=protected`).expect(200);
+    expect(res.body.length).to.equal(artwork.formats.protected.bytes);
+    const [stored, uploaded] = await Promise.all([
+      sharp(res.body).raw().toBuffer(),
+      sharp(testImages.protected).raw().toBuffer(),
+    ]);
+    expect(stored.equals(uploaded)).to.equal(true);
+
+    const verified = await verify(res.body).expect(200);
+    expect(verified.body).to.include({ embedded: true, valid: true });
+    expect(verified.body.manifest).to.include({
+      '@type': 'ProvenanceManifest',
+      artworkId: artwork._id.toString(),
+      owner: 'owner-user',
+      originalChecksum: artwork.checksum,
+      protectedAt: artwork.provenance.protectedAt.toISOString(),
+    });
+    expect(verified.body.artwork).to.deep.equal({
+      id: artwork._id.toString(),
+      available: true,
+      matchesProtectedImage: true,
+    });
+  });
+
+  it('should report a manifest whose claims were altered as invalid', async () => {
+    const artwork = await seedWithProvenance();
+    const res = await request(app).get(`/artworks/${artwork._id}?variant=protected`).expect(200);
+    const tampered = Buffer.from(
+      res.body.toString('latin1').replace('"owner":"owner-user"', '"owner":"other-user"'),
+      'latin1',
+    );
+
+    const verified = await verify(tampered).expect(200);
+    expect(verified.body).to.deep.equal({ embedded: true, valid: false, reason: 'invalid' });
+  });
+
+  it('should not reveal private artworks to other callers', async () => {
+    const artwork = await seedWithProvenance({ body: { visibility: 'private' } });
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+
+    const anonymous = await verify(res.body).expect(200);
+    expect(anonymous.body.artwork).to.deep.equal({
+      id: artwork._id.toString(),
+      available: false,
+      matchesProtectedImage: false,
+    });
+
+    const internal = await verify(res.body).set('X-Internal-Key', internalApiKey).expect(200);
+    expect(internal.body.artwork).to.include({ available: true, matchesProtectedImage: true });
+  });
+
+  it('should report images without a manifest and reject requests without an image', async () => {
+    const verified = await verify(testImages.protected).expect(200);
+    expect(verified.body).to.deep.equal({ embedded: false, valid: false, reason: 'missing' });
+
+    await request(app).post('/artworks/verify-provenance').expect(400);
+    await verify(Buffer.from('not an image'), 'text/plain').expect(400);
+  });
+
+  it('should not embed a manifest unless enabled', async () => {
+    const artwork = await seedArtwork({ original: await uniqueImage() });
+    expect(artwork).to.not.have.property('provenance');
+    expect(artwork.formats.protected.bytes).to.equal(testImages.protected.length);
+  });
+});
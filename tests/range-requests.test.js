@@ -0,0 +1,90 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Range and conditional requests', () => {
+  const suite = setupTestApp();
+  const { testImages, seedArtwork } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  it('should answer a byte range with 206 Partial Content', async () => {
+    const artwork = await seedArtwork();
+    const total = testImages.protected.length;
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .set('Range', 'bytes=0-9')
+      .expect(206);
+
+    expect(res.headers).to.have.property('accept-ranges', 'bytes');
+    expect(res.headers).to.have.property('content-range', `bytes 0-9/${total}`);
+    expect(res.headers).to.have.property('content-length', '10');
+    expect(res.body.equals(testImages.protected.subarray(0, 10))).to.equal(true);
+  });
+
+  it('should serve suffix ranges from the mask endpoint', async () => {
+    const artwork = await seedArtwork();
+    const total = testImages.mask.length;
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/mask`)
+      .set('Range', 'bytes=-4')
+      .expect(206);
+
+    expect(res.headers).to.have.property('content-range', `bytes ${total - 4}-${total - 1}/${total}`);
+    expect(res.body.equals(testImages.mask.subarray(total - 4))).to.equal(true);
+  });
+
+  it('should reject unsatisfiable ranges with 416', async () => {
+    const artwork = await seedArtwork();
+    const total = testImages.protected.length;
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .set('Range', `bytes=${total + 10}-`)
+      .expect(416);
+
+    expect(res.headers).to.have.property('content-range', `bytes */${total}`);
+  });
+
+  it('should ignore the range when If-Range no longer matches', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .set('Range', 'bytes=0-9')
+      .set('If-Range', '"stale-etag"')
+      .expect(200);
+
+    expect(res.body.equals(testImages.protected)).to.equal(true);
+  });
+
+  it('should answer a matching If-None-Match with 304', async () => {
+    const artwork = await seedArtwork();
+
+    const first = await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .expect(200);
+
+    await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+  });
+
+  it('should send the stored byte length on downloads', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/download?variant=protected`)
+      .expect(200);
+
+    expect(res.headers).to.have.property('content-length', String(artwork.formats.protected.bytes));
+    expect(res.headers).to.have.property('etag');
+  });
+});
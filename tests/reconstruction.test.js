@@ -0,0 +1,181 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const sharp = require('sharp');
+const { buildSAC, buildRgbSAC, pngToSAC } = require('../src/services/sac-encoder.service');
+const crypto = require('crypto');
+const { setupTestApp, internalApiKey, signedPath } = require('./test-helpers');
+
+describe('Reconstruction', () => {
+  const suite = setupTestApp();
+  const { seedArtwork } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  const width = 48;
+  const height = 32;
+  const raw = { width, height, channels: 3 };
+
+  // PIL "L" conversion, as in poison-mask-grayscale-protocol.md
+  function luminance(pixels, offset) {
+    return (pixels[offset] * 19595 + pixels[offset + 1] * 38470 + pixels[offset + 2] * 7471 + 0x8000) >> 16;
+  }
+
+  function psnr(a, b) {
+    let squaredError = 0;
+    for (let i = 0; i < a.length; i += 1) squaredError += (a[i] - b[i]) ** 2;
+    return 10 * Math.log10((255 * 255) / (squaredError / a.length));
+  }
+
+  async function protectedFixture() {
+    const original = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        original.set([x * 5, y * 7, 128], (y * width + x) * 3);
+      }
+    }
+    const noise = crypto.randomBytes(original.length);
+    const perturbed = original.map((value, i) => Math.min(255, Math.max(0, value + (noise[i] % 25) - 12)));
+
+    const difference = new Int16Array(width * height);
+    for (let pixel = 0; pixel < difference.length; pixel += 1) {
+      difference[pixel] = luminance(original, pixel * 3) - luminance(perturbed, pixel * 3);
+    }
+    return {
+      original,
+      perturbed,
+      files: {
+        original: await sharp(original, { raw }).png().toBuffer(),
+        protectedImage: await sharp(perturbed, { raw }).png().toBuffer(),
+        mask: buildSAC(difference, difference, width, height),
+      },
+    };
+  }
+
+  it('should rebuild the original closer than the protected image', async () => {
+    const fixture = await protectedFixture();
+    const artwork = await seedArtwork(fixture.files);
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/reconstruct`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+
+    expect(res.headers['content-type']).to.equal('image/png');
+    expect(res.headers['cache-control']).to.equal('private, no-store');
+
+    const storedRes = await request(app).get(await signedPath(app, artwork._id)).expect(200);
+    const stored = await sharp(storedRes.body).raw().toBuffer();
+    const reconstructed = await sharp(res.body).raw().toBuffer();
+
+    // Luminance-only masks cannot undo per-channel noise, so the gain is modest
+    const baseline = psnr(fixture.perturbed, stored);
+    const score = psnr(reconstructed, stored);
+    console.log(`      reconstruction PSNR ${score.toFixed(2)} dB (protected ${baseline.toFixed(2)} dB)`);
+    expect(score).to.be.greaterThan(baseline);
+    expect(score).to.be.greaterThan(30);
+  });
+
+  it('should reconstruct RGB masks losslessly and record the mask mode', async () => {
+    const fixture = await protectedFixture();
+    const channelDifference = (channel) => Int16Array.from(
+      { length: width * height },
+      (_, pixel) => fixture.original[pixel * 3 + channel] - fixture.perturbed[pixel * 3 + channel],
+    );
+    const artwork = await seedArtwork({
+      ...fixture.files,
+      mask: buildRgbSAC(channelDifference(0), channelDifference(1), channelDifference(2), width, height),
+    });
+    expect(artwork.maskMode).to.equal('rgb');
+
+    const meta = await request(app).get(`/artworks/${artwork._id}/metadata`).expect(200);
+    expect(meta.body.maskMode).to.equal('rgb');
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/reconstruct`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    const reconstructed = await sharp(res.body).raw().toBuffer();
+    expect(reconstructed.equals(fixture.original)).to.equal(true);
+
+    const grayscale = await seedArtwork(fixture.files);
+    expect(grayscale.maskMode).to.equal('grayscale');
+  });
+
+  it('should only serve RGB masks to the owner, internal callers or signed URLs', async () => {
+    const fixture = await protectedFixture();
+    const difference = Int16Array.from({ length: width * height }, (_, pixel) => pixel % 9 - 4);
+    const artwork = await seedArtwork({
+      ...fixture.files,
+      mask: buildRgbSAC(difference, difference, difference, width, height),
+    });
+
+    const anonymous = await request(app).get(`/artworks/${artwork._id}/mask`).expect(403);
+    expect(anonymous.body.error).to.equal('Variant only available through a signed URL');
+    await request(app).get(`/artworks/${artwork._id}/mask/preview`).expect(403);
+    await request(app).get(`/artworks/${artwork._id}/download?variant=mask`).expect(403);
+
+    const internal = await request(app)
+      .get(`/artworks/${artwork._id}/mask`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    expect(internal.headers['cache-control']).to.equal('private, no-store');
+
+    const signed = await request(app)
+      .get(`/artworks/${artwork._id}/download-url?variant=mask`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    const { search } = new URL(signed.body.directUrl);
+    await request(app).get(`/artworks/${artwork._id}/mask${search}`).expect(200);
+
+    // Grayscale masks cannot rebuild the original and stay public
+    const grayscale = await seedArtwork(fixture.files);
+    await request(app).get(`/artworks/${grayscale._id}/mask`).expect(200);
+  });
+
+  it('should reconstruct losslessly from an RGB mask converted from PNG', async () => {
+    const fixture = await protectedFixture();
+    // The fixture's noise stays well within the -128 to 127 a PNG channel can hold
+    const differencePng = await sharp(
+      fixture.original.map((value, i) => value - fixture.perturbed[i] + 128),
+      { raw },
+    ).png().toBuffer();
+    const artwork = await seedArtwork({
+      ...fixture.files,
+      mask: await pngToSAC(differencePng, { mode: 'rgb' }),
+    });
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/reconstruct`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    const reconstructed = await sharp(res.body).raw().toBuffer();
+    expect(reconstructed.equals(fixture.original)).to.equal(true);
+  });
+
+  it('should only reconstruct for the owner or internal callers', async () => {
+    const artwork = await seedArtwork();
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/reconstruct`)
+      .expect(401);
+  });
+
+  it('should reject masks that do not match the protected image', async () => {
+    const fixture = await protectedFixture();
+    const mismatched = new Int16Array(16 * 16);
+    const artwork = await seedArtwork({
+      ...fixture.files,
+      mask: buildSAC(mismatched, mismatched, 16, 16),
+    });
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/reconstruct`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(422);
+    expect(res.body.error).to.include('Mask has 256 values');
+  });
+});
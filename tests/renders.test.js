@@ -0,0 +1,92 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const sharp = require('sharp');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Renders', () => {
+  const suite = setupTestApp();
+  const { seedArtwork, uniqueImage, assetsOfSize } = suite;
+  let app;
+  let db;
+  let artwork;
+
+  before(async () => {
+    ({ app, db } = suite);
+    artwork = await seedArtwork(await assetsOfSize(600, 400));
+  });
+
+  it('should snap the requested size to an allowed bucket and cache the render', async () => {
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/render?w=100&h=100&fit=cover`)
+      .expect(200);
+
+    expect(res.headers['content-type']).to.equal('image/webp');
+    expect(res.headers).to.have.property('x-render-cache', 'MISS');
+    expect(res.headers).to.have.property('etag', `"${artwork._id}-w=128&h=128&fit=cover&format=webp&quality=80"`);
+    expect(await sharp(res.body).metadata()).to.include({ format: 'webp', width: 128, height: 128 });
+
+    const entry = await db.collection('render_cache').findOne({ artworkId: artwork._id });
+    expect(entry).to.include({ transform: 'w=128&h=128&fit=cover&format=webp&quality=80', bucket: 'renders' });
+    expect(await db.collection('artwork_renders.files').countDocuments({ _id: entry.fileId })).to.equal(1);
+
+    // w=120 lands in the same bucket
+    const again = await request(app)
+      .get(`/artworks/${artwork._id}/render?w=120&h=128&fit=cover`)
+      .expect(200);
+    expect(again.headers).to.have.property('x-render-cache', 'HIT');
+    expect(await db.collection('render_cache').countDocuments({ artworkId: artwork._id })).to.equal(1);
+  });
+
+  it('should render other formats without upscaling', async () => {
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/render?w=2000&format=jpeg&quality=60`)
+      .expect(200);
+    expect(res.headers['content-type']).to.equal('image/jpeg');
+    expect(await sharp(res.body).metadata()).to.include({ format: 'jpeg', width: 600, height: 400 });
+  });
+
+  it('should reject sizes beyond the largest bucket or the pixel budget', async () => {
+    const config = require('../src/config/env');
+
+    const res = await request(app).get(`/artworks/${artwork._id}/render?w=4000`).expect(400);
+    expect(res.body.error).to.match(/at most 2048/);
+    await request(app).get(`/artworks/${artwork._id}/render?fit=cover`).expect(400);
+    await request(app).get(`/artworks/${artwork._id}/render?w=64&format=gif`).expect(400);
+
+    const { maxPixels } = config.renders;
+    config.renders.maxPixels = 64 * 64;
+    try {
+      await request(app).get(`/artworks/${artwork._id}/render?w=128&h=128&fit=fill`).expect(400);
+    } finally {
+      config.renders.maxPixels = maxPixels;
+    }
+  });
+
+  it('should evict the least recently used renders beyond the byte budget', async () => {
+    const { evictRenderCache } = require('../src/services/render-cache.service');
+    await request(app).get(`/artworks/${artwork._id}/render?w=64`).expect(200);
+    await request(app).get(`/artworks/${artwork._id}/render?w=256`).expect(200);
+    // Touch the oldest render so it becomes the most recently used
+    await request(app).get(`/artworks/${artwork._id}/render?w=64`).expect(200);
+
+    const entries = await db.collection('render_cache').find({}).sort({ lastAccessedAt: -1 }).toArray();
+    const result = await evictRenderCache({ maxBytes: entries[0].bytes });
+
+    const remaining = await db.collection('render_cache').find({}).toArray();
+    expect(remaining.map((entry) => entry.transform)).to.deep.equal(['w=64&fit=inside&format=webp&quality=80']);
+    expect(result.evicted).to.equal(entries.length - 1);
+    expect(await db.collection('artwork_renders.files').countDocuments()).to.equal(1);
+  });
+
+  it('should drop cached renders when the artwork is purged', async () => {
+    const { deleteArtwork, purgeDeletedArtworks } = require('../src/services/artwork.service');
+    const doomed = await seedArtwork({ original: await uniqueImage() });
+    await request(app).get(`/artworks/${doomed._id}/render?w=64`).expect(200);
+
+    await deleteArtwork(doomed._id.toString(), { internal: true });
+    await purgeDeletedArtworks({ olderThan: 0 });
+
+    expect(await db.collection('render_cache').countDocuments({ artworkId: doomed._id })).to.equal(0);
+  });
+});
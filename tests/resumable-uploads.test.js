@@ -0,0 +1,166 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Resumable uploads', () => {
+  const suite = setupTestApp();
+  const { testImages } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  async function issueToken() {
+    const res = await request(app)
+      .post('/tokens')
+      .set('X-Internal-Key', internalApiKey)
+      .send({ metadata: { source: 'test' } })
+      .expect(201);
+    return res.body.token;
+  }
+
+  async function openSession(token, length = testImages.original.length) {
+    const res = await request(app)
+      .post('/uploads')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ length, filename: 'original.png', contentType: 'image/png' })
+      .expect(201);
+    return res;
+  }
+
+  function sendChunk(token, id, offset, chunk) {
+    return request(app)
+      .patch(`/uploads/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/offset+octet-stream')
+      .set('Upload-Offset', String(offset))
+      .send(chunk);
+  }
+
+  function finalize(token, id, { title = 'Resumed Artwork', mask = testImages.mask } = {}) {
+    return request(app)
+      .post(`/uploads/${id}/finalize`)
+      .set('Authorization', `Bearer ${token}`)
+      .field('title', title)
+      .attach('protected', testImages.protected, { filename: 'protected.png', contentType: 'image/png' })
+      .attach('mask', mask, { filename: 'mask.sac', contentType: 'application/octet-stream' })
+      .attach('analysis', Buffer.from('{"ok":true}'), { filename: 'analysis.json', contentType: 'application/json' })
+      .attach('summary', Buffer.from('{"title":"Summary"}'), { filename: 'summary.json', contentType: 'application/json' });
+  }
+
+  it('should assemble chunks into an artwork and consume the token', async () => {
+    const token = await issueToken();
+    const created = await openSession(token);
+    const { id } = created.body;
+    expect(created.headers.location).to.equal(`/uploads/${id}`);
+    expect(created.headers).to.have.property('upload-offset', '0');
+
+    const split = Math.floor(testImages.original.length / 2);
+    const first = await sendChunk(token, id, 0, testImages.original.subarray(0, split)).expect(204);
+    expect(first.headers).to.have.property('upload-offset', String(split));
+
+    const progress = await request(app)
+      .head(`/uploads/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(progress.headers).to.have.property('upload-offset', String(split));
+    expect(progress.headers).to.have.property('upload-length', String(testImages.original.length));
+
+    await sendChunk(token, id, split, testImages.original.subarray(split)).expect(204);
+
+    const res = await finalize(token, id).expect(201);
+    const checksum = crypto.createHash('sha256').update(testImages.original).digest('hex');
+    expect(res.body.formats.original).to.include({
+      bytes: testImages.original.length,
+      checksum: `sha256:${checksum}`,
+    });
+
+    const doc = await db.collection('artworks_meta').findOne({ _id: new ObjectId(res.body.id) });
+    expect(doc).to.include({ title: 'Resumed Artwork', width: 32, height: 32 });
+    expect(await db.collection('upload_sessions').countDocuments({ _id: new ObjectId(id) })).to.equal(0);
+    expect(await db.collection('artwork_uploads.files').countDocuments({ 'metadata.sessionId': new ObjectId(id) }))
+      .to.equal(0);
+
+    // The token is spent once the artwork exists
+    await request(app)
+      .post('/uploads')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ length: 10, filename: 'again.png', contentType: 'image/png' })
+      .expect(401);
+  });
+
+  it('should reject a chunk at the wrong offset', async () => {
+    const token = await issueToken();
+    const { body } = await openSession(token);
+
+    const res = await sendChunk(token, body.id, 5, testImages.original.subarray(0, 10)).expect(409);
+    expect(res.body.error).to.include('expected 0');
+
+    await sendChunk(token, body.id, 0, testImages.original.subarray(0, 10))
+      .set('Content-Type', 'application/octet-stream')
+      .expect(415);
+  });
+
+  it('should refuse to finalize an incomplete upload', async () => {
+    const token = await issueToken();
+    const { body } = await openSession(token);
+    await sendChunk(token, body.id, 0, testImages.original.subarray(0, 10)).expect(204);
+
+    const protectedBefore = await db.collection('artwork_protected.files').countDocuments();
+    const res = await finalize(token, body.id).expect(409);
+    expect(res.body.error).to.include('Upload incomplete');
+    expect(await db.collection('artwork_protected.files').countDocuments()).to.equal(protectedBefore);
+  });
+
+  it('should discard streamed parts when the finalize form fields are invalid', async () => {
+    const token = await issueToken();
+    const { body } = await openSession(token);
+    await sendChunk(token, body.id, 0, testImages.original).expect(204);
+
+    const buckets = ['artwork_protected', 'artwork_masks'];
+    const countFiles = () => Promise.all(buckets.map((bucket) => db.collection(`${bucket}.files`).countDocuments()));
+    const filesBefore = await countFiles();
+    const res = await finalize(token, body.id, { title: 'x'.repeat(201) }).expect(400);
+
+    expect(res.body.error).to.equal('Validation failed');
+    expect(await countFiles()).to.deep.equal(filesBefore);
+    // The session is left intact, so the client can retry with valid fields
+    await finalize(token, body.id).expect(201);
+  });
+
+  it('should let only one session of a token become an artwork', async () => {
+    const token = await issueToken();
+    const ids = [];
+    for (let i = 0; i < 2; i += 1) {
+      const { body } = await openSession(token);
+      await sendChunk(token, body.id, 0, testImages.original).expect(204);
+      ids.push(body.id);
+    }
+
+    // A finalize that fails to create the artwork hands the token back
+    await finalize(token, ids[0], { mask: Buffer.from('not a mask') }).expect(400);
+
+    const results = await Promise.all(ids.map((id) => finalize(token, id, { title: 'Raced Artwork' })));
+    const statuses = results.map((res) => res.status).sort();
+    expect(statuses[0]).to.equal(201);
+    // The loser is refused by the token check, or by the claim if both got past it
+    expect([401, 409]).to.include(statuses[1]);
+    expect(await db.collection('artworks_meta').countDocuments({ title: 'Raced Artwork' })).to.equal(1);
+  });
+
+  it('should hide a session from other tokens', async () => {
+    const { body } = await openSession(await issueToken());
+    const other = await issueToken();
+
+    await sendChunk(other, body.id, 0, testImages.original.subarray(0, 10)).expect(403);
+    await request(app)
+      .delete(`/uploads/${body.id}`)
+      .set('Authorization', `Bearer ${other}`)
+      .expect(403);
+  });
+});
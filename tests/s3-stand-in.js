@@ -0,0 +1,167 @@
+// In-memory S3-compatible server for exercising the S3 storage driver.
+// Covers the calls the driver makes (PUT, ranged GET, HEAD, DELETE, listing
+// and multipart uploads) and checks every request's SigV4 signature.
+
+const http = require('http');
+const crypto = require('crypto');
+const { signRequest } = require('../src/storage/drivers/s3-client');
+
+function xmlError(res, status, code, message) {
+  res.writeHead(status, { 'content-type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+/**
+ * Start a stand-in on a random local port
+ * @param {Object} options
+ * @param {string} options.bucket - The only bucket the server accepts
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.region]
+ * @param {number} [options.pageSize] - Keys per ListObjectsV2 page
+ * @returns {Promise<{ endpoint: string, objects: Map, uploads: Map, close: Function }>}
+ */
+async function startS3StandIn({ bucket, accessKeyId, secretAccessKey, region = 'us-east-1', pageSize = 1000 }) {
+  const objects = new Map();
+  const uploads = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stand-in');
+    const query = Object.fromEntries(url.searchParams.entries());
+    const body = await readBody(req);
+
+    const signedNames = (req.headers.authorization || '').match(/SignedHeaders=([^,]+)/)?.[1]?.split(';') || [];
+    const headers = Object.fromEntries(signedNames.map((name) => [name, req.headers[name] || '']));
+    const expected = signRequest(
+      { method: req.method, path: url.pathname, query, headers },
+      { accessKeyId, secretAccessKey, region },
+    );
+    if (!signedNames.length || req.headers.authorization !== expected) {
+      xmlError(res, 403, 'SignatureDoesNotMatch', 'Signature mismatch');
+      return;
+    }
+    if (body.length && crypto.createHash('sha256').update(body).digest('hex') !== req.headers['x-amz-content-sha256']) {
+      xmlError(res, 400, 'XAmzContentSHA256Mismatch', 'Payload hash mismatch');
+      return;
+    }
+
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    if (bucketName !== bucket) {
+      xmlError(res, 404, 'NoSuchBucket', 'Unknown bucket');
+      return;
+    }
+    const key = decodeURIComponent(keyParts.join('/'));
+
+    if (req.method === 'GET' && query['list-type'] === '2') {
+      const keys = [...objects.keys()]
+        .filter((name) => name.startsWith(query.prefix || ''))
+        .sort();
+      const start = Number(query['continuation-token'] || 0);
+      const page = keys.slice(start, start + pageSize);
+      const truncated = start + pageSize < keys.length;
+      const contents = page
+        .map((name) => `<Contents><Key>${name}</Key><Size>${objects.get(name).length}</Size>`
+          + `<LastModified>${new Date().toISOString()}</LastModified></Contents>`)
+        .join('');
+      res.writeHead(200, { 'content-type': 'application/xml' });
+      res.end(`<ListBucketResult><IsTruncated>${truncated}</IsTruncated>${contents}`
+        + `${truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : ''}</ListBucketResult>`);
+      return;
+    }
+
+    if (req.method === 'POST' && 'uploads' in query) {
+      const uploadId = crypto.randomUUID();
+      uploads.set(uploadId, { key, parts: new Map() });
+      res.writeHead(200, { 'content-type': 'application/xml' });
+      res.end(`<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+      return;
+    }
+
+    if (query.uploadId) {
+      const upload = uploads.get(query.uploadId);
+      if (!upload || upload.key !== key) {
+        xmlError(res, 404, 'NoSuchUpload', 'Unknown upload');
+        return;
+      }
+      if (req.method === 'PUT') {
+        upload.parts.set(Number(query.partNumber), body);
+        res.writeHead(200, { etag: etagOf(body) });
+        res.end();
+      } else if (req.method === 'POST') {
+        const numbers = [...body.toString('utf8').matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map((m) => Number(m[1]));
+        objects.set(key, Buffer.concat(numbers.map((number) => upload.parts.get(number))));
+        uploads.delete(query.uploadId);
+        res.writeHead(200, { 'content-type': 'application/xml' });
+        res.end('<CompleteMultipartUploadResult></CompleteMultipartUploadResult>');
+      } else if (req.method === 'DELETE') {
+        uploads.delete(query.uploadId);
+        res.writeHead(204);
+        res.end();
+      }
+      return;
+    }
+
+    const object = objects.get(key);
+    switch (req.method) {
+      case 'PUT':
+        objects.set(key, body);
+        res.writeHead(200, { etag: etagOf(body) });
+        res.end();
+        return;
+      case 'DELETE':
+        objects.delete(key);
+        res.writeHead(204);
+        res.end();
+        return;
+      case 'HEAD':
+        res.writeHead(object ? 200 : 404, object ? { 'content-length': object.length } : {});
+        res.end();
+        return;
+      case 'GET': {
+        if (!object) {
+          xmlError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+          return;
+        }
+        const range = req.headers.range?.match(/^bytes=(\d+)-(\d*)$/);
+        if (range) {
+          const start = Number(range[1]);
+          const end = range[2] ? Math.min(Number(range[2]), object.length - 1) : object.length - 1;
+          res.writeHead(206, { 'content-range': `bytes ${start}-${end}/${object.length}` });
+          res.end(object.subarray(start, end + 1));
+          return;
+        }
+        res.writeHead(200, { 'content-length': object.length });
+        res.end(object);
+        return;
+      }
+      default:
+        xmlError(res, 405, 'MethodNotAllowed', 'Method not allowed');
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    uploads,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startS3StandIn,
+};
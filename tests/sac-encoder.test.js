@@ -1,4 +1,21 @@
-const { buildSAC, parseSAC, pngToSAC, FLAG_SINGLE_ARRAY } = require('../src/services/sac-encoder.service');
+const {
+  buildSAC,
+  buildRgbSAC,
+  parseSAC,
+  parseSACHeader,
+  pngToSAC,
+  validateSACLayout,
+  sacRegionRanges,
+  verifySAC2Stream,
+  decodeValues,
+  selectDtype,
+  FLAG_SINGLE_ARRAY,
+  RGB_ARRAYS_COUNT,
+  SAC2_HEADER_SIZE,
+} = require('../src/services/sac-encoder.service');
+const { crc32 } = require('../src/utils/checksum');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 const sharp = require('sharp');
 
 /**
@@ -17,7 +34,7 @@ async function testBuildAndParseSAC() {
   const arrayB = new Int16Array([5, -5, 4, -4, 0, 1]);
 
   // Build SAC
-  const sacBuffer = buildSAC(arrayA, arrayB, width, height);
+  const sacBuffer = buildSAC(arrayA, arrayB, width, height, { dtype: 'int16' });
 
   // Verify header size + payload size
   const expectedSize = 24 + (totalPixels * 2) + (totalPixels * 2);
@@ -131,7 +148,7 @@ async function testSACv11SingleArray() {
   const arrayB = new Int16Array([10, -20, 30, -40, 50, -60, 70, -80, 90, -100, 110, -120]); // Identical
 
   // Build SAC (should use FLAG_SINGLE_ARRAY)
-  const sacBuffer = buildSAC(arrayA, arrayB, width, height);
+  const sacBuffer = buildSAC(arrayA, arrayB, width, height, { dtype: 'int16' });
 
   // Expected size: 24-byte header + (12 pixels × 2 bytes) = 48 bytes
   // vs v1.0 which would be: 24 + (12 × 2) + (12 × 2) = 72 bytes
@@ -193,7 +210,7 @@ async function testSACv10BackwardCompatibility() {
   const arrayB = new Int16Array([10, 20, 30, 40, 50, 60]); // Different
 
   // Build SAC (should NOT use FLAG_SINGLE_ARRAY)
-  const sacBuffer = buildSAC(arrayA, arrayB, width, height);
+  const sacBuffer = buildSAC(arrayA, arrayB, width, height, { dtype: 'int16' });
 
   // Expected size: 24 + (6 × 2) + (6 × 2) = 48 bytes
   const expectedSize = 24 + (totalPixels * 2) + (totalPixels * 2);
@@ -252,14 +269,14 @@ async function testSACv11FileSizeComparison() {
   const arrayB = new Int16Array(arrayA); // Identical
 
   // Build SAC v1.1
-  const sacV11 = buildSAC(arrayA, arrayB, width, height);
+  const sacV11 = buildSAC(arrayA, arrayB, width, height, { dtype: 'int16' });
 
   // Build SAC v1.0 (force different arrays for comparison)
   const arrayBDifferent = new Int16Array(totalPixels);
   for (let i = 0; i < totalPixels; i++) {
     arrayBDifferent[i] = arrayA[i] + 1; // Slightly different
   }
-  const sacV10 = buildSAC(arrayA, arrayBDifferent, width, height);
+  const sacV10 = buildSAC(arrayA, arrayBDifferent, width, height, { dtype: 'int16' });
 
   const savings = sacV10.length - sacV11.length;
   const savingsPercent = ((savings / sacV10.length) * 100).toFixed(1);
@@ -276,6 +293,323 @@ async function testSACv11FileSizeComparison() {
   console.log('✓ SAC v1.1 file size comparison test passed');
 }
 
+async function testSACv2RoundTrip() {
+  console.log('Testing SAC v2 compression round trip...');
+
+  const width = 512;
+  const height = 344;
+  const totalPixels = width * height;
+
+  const arrayA = new Int16Array(totalPixels);
+  for (let i = 0; i < totalPixels; i++) {
+    arrayA[i] = (i % 256) - 128;
+  }
+  const arrayB = new Int16Array(totalPixels);
+  for (let i = 0; i < totalPixels; i++) {
+    arrayB[i] = (i % 17) - 8;
+  }
+
+  const sacV11 = buildSAC(arrayA, arrayA, width, height);
+  const variants = [
+    { compression: 'none', checksum: 'crc32' },
+    { compression: 'deflate', checksum: 'crc32' },
+    { compression: 'brotli', checksum: 'sha256' },
+  ];
+
+  for (const options of variants) {
+    for (const second of [arrayA, arrayB]) {
+      const sacBuffer = buildSAC(arrayA, second, width, height, { version: 2, ...options });
+
+      const magic = sacBuffer.toString('ascii', 0, 4);
+      if (magic !== 'SAC2') {
+        throw new Error(`Expected magic 'SAC2', got '${magic}'`);
+      }
+
+      const parsed = parseSAC(sacBuffer);
+      if (parsed.version !== 2 || parsed.compression !== options.compression || parsed.checksum !== options.checksum) {
+        throw new Error(`Unexpected SAC v2 header: ${JSON.stringify(parsed)}`);
+      }
+      if (parsed.isSingleArray !== (second === arrayA)) {
+        throw new Error('isSingleArray should only be set for identical arrays');
+      }
+      for (let i = 0; i < totalPixels; i++) {
+        if (parsed.arrayA[i] !== arrayA[i] || parsed.arrayB[i] !== second[i]) {
+          throw new Error(`Array mismatch at index ${i} (${options.compression})`);
+        }
+      }
+
+      // The header alone is enough to check the layout of a streamed upload
+      validateSACLayout(sacBuffer.subarray(0, SAC2_HEADER_SIZE), sacBuffer.length);
+    }
+  }
+
+  const compressed = buildSAC(arrayA, arrayA, width, height, { version: 2 });
+  console.log(`  - SAC v1.1 size: ${sacV11.length.toLocaleString()} bytes`);
+  console.log(`  - SAC v2 (deflate) size: ${compressed.length.toLocaleString()} bytes`);
+  if (compressed.length >= sacV11.length / 10) {
+    throw new Error('Expected deflate to shrink a repetitive mask at least tenfold');
+  }
+
+  console.log('✓ SAC v2 compression round trip test passed');
+}
+
+async function testSACv2Integrity() {
+  console.log('Testing SAC v2 integrity checks...');
+
+  const arrayA = new Int16Array([10, -20, 30, -40, 50, -60]);
+  const arrayB = new Int16Array([1, 2, 3, 4, 5, 6]);
+
+  for (const checksum of ['crc32', 'sha256']) {
+    const sacBuffer = buildSAC(arrayA, arrayB, 3, 2, { version: 2, checksum });
+
+    const corruptPayload = Buffer.from(sacBuffer);
+    corruptPayload[SAC2_HEADER_SIZE] ^= 0xff;
+    const corruptFooter = Buffer.from(sacBuffer);
+    corruptFooter[corruptFooter.length - 1] ^= 0xff;
+
+    for (const corrupt of [corruptPayload, corruptFooter]) {
+      let error;
+      try {
+        parseSAC(corrupt);
+      } catch (err) {
+        error = err;
+      }
+      if (!error || !error.message.includes(`${checksum} checksum mismatch`)) {
+        throw new Error(`Expected a ${checksum} checksum mismatch, got ${error ? error.message : 'none'}`);
+      }
+    }
+  }
+
+  let truncated;
+  try {
+    const sacBuffer = buildSAC(arrayA, arrayB, 3, 2, { version: 2 });
+    parseSAC(sacBuffer.subarray(0, sacBuffer.length - 1));
+  } catch (err) {
+    truncated = err;
+  }
+  if (!truncated || !truncated.message.includes('Buffer size mismatch')) {
+    throw new Error('Truncated SAC v2 files should be rejected');
+  }
+
+  console.log('✓ SAC v2 integrity test passed');
+}
+
+async function testSACv2StreamVerification() {
+  console.log('Testing SAC v2 stream verification...');
+
+  const arrayA = new Int16Array(256).map((_, i) => (i * 37) % 600 - 300);
+  // Small chunks so the header, payload and footer straddle chunk boundaries
+  const chunked = (buffer) => Readable.from(
+    Array.from({ length: Math.ceil(buffer.length / 7) }, (_, i) => buffer.subarray(i * 7, (i + 1) * 7)),
+  );
+  const verify = async (buffer) => {
+    try {
+      await verifySAC2Stream(chunked(buffer), parseSACHeader(buffer));
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  for (const compression of ['none', 'deflate', 'brotli']) {
+    for (const checksum of ['crc32', 'sha256']) {
+      const sacBuffer = buildSAC(arrayA, arrayA, 16, 16, { version: 2, compression, checksum });
+      const error = await verify(sacBuffer);
+      if (error) throw new Error(`${compression}/${checksum} mask failed to verify: ${error.message}`);
+
+      const corruptFooter = Buffer.from(sacBuffer);
+      corruptFooter[corruptFooter.length - 1] ^= 0xff;
+      const corrupt = await verify(corruptFooter);
+      if (!corrupt || !corrupt.message.includes(`${checksum} checksum mismatch`)) {
+        throw new Error(`Expected a ${checksum} checksum mismatch, got ${corrupt ? corrupt.message : 'none'}`);
+      }
+    }
+  }
+
+  // A deflate payload that inflates past the size the header declares
+  const header = Buffer.from(buildSAC(arrayA, arrayA, 16, 16, { version: 2 }).subarray(0, SAC2_HEADER_SIZE));
+  const bomb = zlib.deflateSync(Buffer.alloc(64 * 1024));
+  header.writeUInt32LE(bomb.length, 28);
+  const body = Buffer.concat([header, bomb]);
+  const footer = Buffer.alloc(4);
+  footer.writeUInt32LE(crc32(body));
+  const inflated = await verify(Buffer.concat([body, footer]));
+  if (!inflated || !inflated.message.includes('Decompressed payload is larger than')) {
+    throw new Error(`Oversized payloads should be rejected, got ${inflated ? inflated.message : 'none'}`);
+  }
+
+  console.log('✓ SAC v2 stream verification test passed');
+}
+
+async function testSACDtypes() {
+  console.log('Testing SAC dtypes...');
+
+  const cases = [
+    { values: [-128, 0, 127], dtype: 'int8', bytes: 1 },
+    { values: [0, 128, 255], dtype: 'uint8', bytes: 1 },
+    { values: [-129, 0, 32767], dtype: 'int16', bytes: 2 },
+    { values: [0.5, -1.25, 1024], dtype: 'float16', bytes: 2 },
+  ];
+
+  for (const { values, dtype, bytes } of cases) {
+    const selected = selectDtype([values, values]);
+    if (selected !== dtype) {
+      throw new Error(`Expected ${dtype} for ${values}, got ${selected}`);
+    }
+
+    for (const version of [1, 2]) {
+      const sacBuffer = buildSAC(values, values, 3, 1, { version, dtype: 'auto', compression: 'none' });
+      const headerSize = version === 2 ? SAC2_HEADER_SIZE : 24;
+      const footerSize = version === 2 ? 4 : 0;
+      if (sacBuffer.length !== headerSize + values.length * bytes + footerSize) {
+        throw new Error(`Unexpected ${dtype} SAC v${version} size ${sacBuffer.length}`);
+      }
+
+      const parsed = parseSAC(sacBuffer);
+      if (parsed.dtype !== dtype) {
+        throw new Error(`Expected dtype ${dtype}, got ${parsed.dtype}`);
+      }
+      for (let i = 0; i < values.length; i++) {
+        if (parsed.arrayA[i] !== values[i] || parsed.arrayB[i] !== values[i]) {
+          throw new Error(`${dtype} mismatch at index ${i}: expected ${values[i]}, got ${parsed.arrayA[i]}`);
+        }
+      }
+    }
+  }
+
+  // Both versions pick the dtype unless asked otherwise; int16 is kept for older SAC v1 readers on request
+  if (parseSAC(buildSAC([1, 2], [3, 4])).dtype !== 'int8' || parseSAC(buildRgbSAC([1], [2], [300])).dtype !== 'int16') {
+    throw new Error('SAC v1 should default to the narrowest dtype');
+  }
+  if (parseSAC(buildSAC([1, 2], [3, 4], 0, 0, { dtype: 'int16' })).dtype !== 'int16') {
+    throw new Error('SAC v1 should honour an explicit int16 dtype');
+  }
+
+  // float16 rounds to the nearest representable value
+  const rounded = parseSAC(buildSAC([0.1, 2049], [0.1, 2049], 0, 0, { version: 2, dtype: 'float16' }));
+  if (rounded.arrayA[0] !== 0.0999755859375 || rounded.arrayA[1] !== 2048) {
+    throw new Error(`Unexpected float16 rounding: ${rounded.arrayA}`);
+  }
+
+  let error;
+  try {
+    buildSAC([300], [0], 0, 0, { dtype: 'int8' });
+  } catch (err) {
+    error = err;
+  }
+  if (!error || !error.message.includes('do not fit dtype int8')) {
+    throw new Error('Values outside an explicit dtype should be rejected');
+  }
+
+  console.log('✓ SAC dtypes test passed');
+}
+
+async function testSACRgbMasks() {
+  console.log('Testing RGB SAC masks...');
+
+  const red = new Int16Array([1, -2, 300, 4]);
+  const green = new Int16Array([0, 5, -6, 7]);
+  const blue = new Int16Array([-9, 8, 7, -400]);
+
+  for (const version of [1, 2]) {
+    const sacBuffer = buildRgbSAC(red, green, blue, 2, 2, { version });
+    const parsed = parseSAC(sacBuffer);
+
+    if (parsed.arraysCount !== RGB_ARRAYS_COUNT || parsed.maskMode !== 'rgb') {
+      throw new Error(`Expected an RGB mask, got arrays_count ${parsed.arraysCount} (${parsed.maskMode})`);
+    }
+    if (validateSACLayout(sacBuffer.subarray(0, SAC2_HEADER_SIZE), sacBuffer.length).arraysCount !== RGB_ARRAYS_COUNT) {
+      throw new Error('Header should report three arrays');
+    }
+    for (let i = 0; i < red.length; i++) {
+      if (parsed.arrayA[i] !== red[i] || parsed.arrayB[i] !== green[i] || parsed.arrayC[i] !== blue[i]) {
+        throw new Error(`SAC v${version} RGB mismatch at index ${i}`);
+      }
+    }
+  }
+
+  // Two-array masks stay grayscale
+  const gray = parseSAC(buildSAC(red, red, 2, 2));
+  if (gray.maskMode !== 'grayscale' || gray.arrayC !== undefined) {
+    throw new Error('Two-array masks should be grayscale');
+  }
+
+  // pngToSAC maps R, G and B to arrays A, B and C in rgb mode, centred on 128
+  const pixels = Buffer.from([10, 20, 30, 128, 129, 130, 255, 0, 1, 2, 3, 4]);
+  const pngBuffer = await sharp(pixels, { raw: { width: 2, height: 2, channels: 3 } }).png().toBuffer();
+  const fromPng = parseSAC(await pngToSAC(pngBuffer, { mode: 'rgb' }));
+  for (let i = 0; i < 4; i++) {
+    const expected = [0, 1, 2].map((channel) => pixels[i * 3 + channel] - 128);
+    const actual = [fromPng.arrayA[i], fromPng.arrayB[i], fromPng.arrayC[i]];
+    if (actual.some((value, channel) => value !== expected[channel])) {
+      throw new Error(`pngToSAC rgb mismatch at pixel ${i}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  console.log('✓ RGB SAC masks test passed');
+}
+
+async function testSACRegionRanges() {
+  console.log('Testing SAC region ranges...');
+
+  const width = 6;
+  const height = 4;
+  const arrayA = Int16Array.from({ length: width * height }, (_, i) => i);
+  const arrayB = arrayA.map((value) => -value);
+  const region = { x: 1, y: 2, w: 3, h: 2 };
+
+  for (const options of [{}, { version: 2, compression: 'none', dtype: 'int8' }]) {
+    const sacBuffer = buildSAC(arrayA, arrayB, width, height, options);
+    const header = parseSACHeader(sacBuffer);
+    const elementBytes = header.dtype === 'int8' ? 1 : 2;
+
+    // Gaps of (width - w) values: read along when allowed, otherwise one range per row
+    for (const [maxGap, rangesPerArray, bytesPerArray] of [
+      [0, region.h, region.w * region.h * elementBytes],
+      [(width - region.w) * elementBytes, 1, ((region.h - 1) * width + region.w) * elementBytes],
+    ]) {
+      const arrays = sacRegionRanges(header, width, region, { maxGap });
+      if (arrays.length !== 2) {
+        throw new Error(`Expected ranges for each array, got ${arrays.length}`);
+      }
+
+      arrays.forEach((ranges, index) => {
+        const bytes = ranges.reduce((sum, { start, end }) => sum + end - start, 0);
+        if (ranges.length !== rangesPerArray || bytes !== bytesPerArray) {
+          throw new Error(`maxGap ${maxGap}: expected ${rangesPerArray} ranges of ${bytesPerArray} bytes, got ${ranges.length} of ${bytes}`);
+        }
+
+        const source = index === 0 ? arrayA : arrayB;
+        let row = 0;
+        for (const { start, end, rows } of ranges) {
+          const band = decodeValues(sacBuffer.subarray(start, end), 0, (rows - 1) * width + region.w, header.dtype);
+          for (let r = 0; r < rows; r++, row++) {
+            for (let col = 0; col < region.w; col++) {
+              const expected = source[(region.y + row) * width + region.x + col];
+              if (band[r * width + col] !== expected) {
+                throw new Error(`Region mismatch in array ${index} at ${col},${row}: expected ${expected}`);
+              }
+            }
+          }
+        }
+      });
+    }
+  }
+
+  let error;
+  try {
+    const compressed = buildSAC(arrayA, arrayB, width, height, { version: 2 });
+    sacRegionRanges(parseSACHeader(compressed), width, region);
+  } catch (err) {
+    error = err;
+  }
+  if (!error || !error.message.includes('uncompressed')) {
+    throw new Error('Compressed payloads should be rejected');
+  }
+
+  console.log('✓ SAC region ranges test passed');
+}
+
 async function runAllTests() {
   console.log('Running SAC encoder tests...\n');
 
@@ -285,6 +619,12 @@ async function runAllTests() {
     await testSACv11SingleArray();
     await testSACv10BackwardCompatibility();
     await testSACv11FileSizeComparison();
+    await testSACv2RoundTrip();
+    await testSACv2Integrity();
+    await testSACv2StreamVerification();
+    await testSACDtypes();
+    await testSACRgbMasks();
+    await testSACRegionRanges();
 
     console.log('\n✓ All tests passed!');
     process.exit(0);
@@ -306,5 +646,11 @@ module.exports = {
   testSACv11SingleArray,
   testSACv10BackwardCompatibility,
   testSACv11FileSizeComparison,
+  testSACv2RoundTrip,
+  testSACv2Integrity,
+  testSACv2StreamVerification,
+  testSACDtypes,
+  testSACRgbMasks,
+  testSACRegionRanges,
   runAllTests,
 };
@@ -0,0 +1,114 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Signed download URLs', () => {
+  const suite = setupTestApp();
+  const { testImages, seedArtwork } = suite;
+  let app;
+  let signArtworkUrl;
+
+  before(() => {
+    ({ app } = suite);
+    ({ signArtworkUrl } = require('../src/utils/signed-url'));
+  });
+
+  async function mintUrl(artworkId, query = '') {
+    const res = await request(app)
+      .get(`/artworks/${artworkId}/download-url?variant=original${query}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    return res.body;
+  }
+
+  function pathOf(url) {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  }
+
+  it('should serve the original variant through a signed URL', async () => {
+    const artwork = await seedArtwork();
+    const minted = await mintUrl(artwork._id);
+
+    expect(minted.downloadUrl).to.include('sig=');
+    expect(minted).to.have.property('boundUserId', null);
+
+    const streamRes = await request(app).get(pathOf(minted.directUrl)).expect(200);
+    expect(streamRes.headers['cache-control']).to.equal('private, no-store');
+    expect(streamRes.body.equals(testImages.original)).to.equal(true);
+
+    const downloadRes = await request(app).get(pathOf(minted.downloadUrl)).expect(200);
+    expect(downloadRes.headers['content-disposition']).to.include('attachment');
+  });
+
+  it('should reject tampered signed URLs', async () => {
+    const artwork = await seedArtwork();
+    const url = new URL((await mintUrl(artwork._id)).downloadUrl);
+
+    url.searchParams.set('exp', String(Number(url.searchParams.get('exp')) + 3600));
+    const res = await request(app).get(`${url.pathname}${url.search}`).expect(403);
+    expect(res.body).to.have.property('error', 'Invalid signed URL');
+
+    const other = await seedArtwork();
+    const reused = new URL((await mintUrl(artwork._id)).downloadUrl);
+    await request(app).get(`/artworks/${other._id}/download${reused.search}`).expect(403);
+  });
+
+  it('should reject expired signed URLs', async () => {
+    const artwork = await seedArtwork();
+    const params = signArtworkUrl({
+      artworkId: artwork._id.toString(),
+      variant: 'original',
+      expiresAt: Date.now() - 1000,
+    });
+    const query = new URLSearchParams({ variant: 'original', ...params }).toString();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/download?${query}`)
+      .expect(403);
+    expect(res.body).to.have.property('error', 'Signed URL has expired');
+  });
+
+  it('should not let a signed URL unlock a different variant', async () => {
+    const artwork = await seedArtwork();
+    const protectedRes = await request(app)
+      .get(`/artworks/${artwork._id}/download-url?variant=protected`)
+      .expect(200);
+
+    const url = new URL(protectedRes.body.downloadUrl);
+    url.searchParams.set('variant', 'original');
+    await request(app).get(`${url.pathname}${url.search}`).expect(403);
+  });
+
+  it('should only let owners sign restricted variants', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/download-url?variant=original`)
+      .expect(403);
+    expect(res.body).to.have.property('error', 'Only the artwork owner can sign this variant');
+  });
+
+  it('should enforce user binding', async () => {
+    const artwork = await seedArtwork();
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/download-url?variant=original&bindUser=true`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(400);
+
+    const params = signArtworkUrl({
+      artworkId: artwork._id.toString(),
+      variant: 'original',
+      expiresAt: Date.now() + 60000,
+      userId: 'owner-user',
+    });
+    const query = new URLSearchParams({ variant: 'original', ...params }).toString();
+
+    const res = await request(app)
+      .get(`/artworks/${artwork._id}/download?${query}`)
+      .expect(403);
+    expect(res.body).to.have.property('error', 'Signed URL is bound to another user');
+  });
+});
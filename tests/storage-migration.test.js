@@ -0,0 +1,62 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp } = require('./test-helpers');
+
+describe('Storage drivers', () => {
+  const suite = setupTestApp();
+  const { testImages, seedArtwork, uniqueImage } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  it('should migrate files between drivers and keep serving them', async function() {
+    this.timeout(30000);
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { setStorageDriver } = require('../src/storage/drivers');
+    const { FsDriver } = require('../src/storage/drivers/fs.driver');
+    const { migrateStorage } = require('../src/services/storage-migration.service');
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-migration-'));
+    setStorageDriver('fs', new FsDriver({ root }));
+
+    try {
+      const artwork = await seedArtwork({ original: await uniqueImage() });
+      const fileId = artwork.formats.original.fileId;
+
+      const dryRun = await migrateStorage({ from: 'gridfs', to: 'fs', dryRun: true });
+      expect(dryRun.files).to.be.at.least(1);
+      expect(await db.collection('artwork_originals.files').countDocuments({ _id: fileId })).to.equal(1);
+
+      const summary = await migrateStorage({ from: 'gridfs', to: 'fs' });
+      expect(summary.errors).to.have.lengthOf(0);
+      expect(summary.remaining).to.equal(0);
+
+      const migrated = await db.collection('artworks_meta').findOne({ _id: artwork._id });
+      expect(migrated.formats.original).to.include({ driver: 'fs' });
+      expect(migrated.formats.original.fileId.toString()).to.equal(fileId.toString());
+      expect(await db.collection('artwork_originals.files').countDocuments({ _id: fileId })).to.equal(0);
+      expect(await db.collection('gridfs_blobs').findOne({ bucket: 'originals', fileId }))
+        .to.include({ driver: 'fs' });
+
+      const res = await request(app)
+        .get(`/artworks/${artwork._id}?variant=protected`)
+        .set('Range', 'bytes=0-9')
+        .expect(206);
+      expect(res.body.equals(testImages.protected.subarray(0, 10))).to.equal(true);
+
+      // Move everything back so the remaining tests find their files in GridFS
+      const back = await migrateStorage({ from: 'fs', to: 'gridfs' });
+      expect(back.errors).to.have.lengthOf(0);
+      expect(await db.collection('artwork_originals.files').countDocuments({ _id: fileId })).to.equal(1);
+    } finally {
+      setStorageDriver('fs', null);
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,235 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const sharp = require('sharp');
+const { buildSAC, SAC2_HEADER_SIZE } = require('../src/services/sac-encoder.service');
+const crypto = require('crypto');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Streaming uploads', () => {
+  const suite = setupTestApp();
+  const { testImages } = suite;
+  let app;
+  let db;
+
+  before(() => {
+    ({ app, db } = suite);
+  });
+
+  async function issueToken() {
+    const res = await request(app)
+      .post('/tokens')
+      .set('X-Internal-Key', internalApiKey)
+      .send({ metadata: { source: 'test' } })
+      .expect(201);
+    return res.body.token;
+  }
+
+  function uploadRequest(token, {
+    mask = testImages.mask,
+    original = testImages.original,
+    originalType = 'image/png',
+    protectedImage = testImages.protected,
+    title = 'Streamed Artwork',
+  } = {}) {
+    return request(app)
+      .post('/artworks')
+      .set('Authorization', `Bearer ${token}`)
+      .field('title', title)
+      .attach('original', original, { filename: 'original.png', contentType: originalType })
+      .attach('protected', protectedImage, { filename: 'protected.png', contentType: 'image/png' })
+      .attach('mask', mask, { filename: 'mask.sac', contentType: 'application/octet-stream' })
+      .attach('analysis', Buffer.from('{"ok":true}'), { filename: 'analysis.json', contentType: 'application/json' })
+      .attach('summary', Buffer.from('{"title":"Summary"}'), { filename: 'summary.json', contentType: 'application/json' });
+  }
+
+  it('should stream every part into GridFS with its checksum and size', async () => {
+    const res = await uploadRequest(await issueToken()).expect(201);
+
+    const expected = {
+      original: testImages.original,
+      protected: testImages.protected,
+      mask: testImages.mask,
+    };
+    for (const [variant, buffer] of Object.entries(expected)) {
+      const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+      expect(res.body.formats[variant]).to.include({ bytes: buffer.length, checksum: `sha256:${checksum}` });
+    }
+
+    const doc = await db.collection('artworks_meta').findOne({ _id: new ObjectId(res.body.id) });
+    expect(doc).to.include({ width: 32, height: 32 });
+    expect(doc.analysis).to.deep.equal({ ok: true });
+
+    const stored = await db
+      .collection('artwork_protected.files')
+      .findOne({ _id: new ObjectId(res.body.formats.protected.fileId) });
+    expect(stored).to.have.property('length', testImages.protected.length);
+  });
+
+  it('should roll back streamed parts when the mask is invalid', async () => {
+    const filesBefore = await db.collection('artwork_originals.files').countDocuments();
+
+    const res = await uploadRequest(await issueToken(), { mask: testImages.mask.subarray(0, 40) })
+      .expect(400);
+    expect(res.body.error).to.include('Invalid SAC format for mask');
+
+    const filesAfter = await db.collection('artwork_originals.files').countDocuments();
+    expect(filesAfter).to.equal(filesBefore);
+    const orphanChunks = await db.collection('artwork_masks.chunks').countDocuments({
+      files_id: { $nin: await db.collection('artwork_masks.files').distinct('_id') },
+    });
+    expect(orphanChunks).to.equal(0);
+  });
+
+  it('should discard streamed parts when the form fields are invalid', async () => {
+    const buckets = ['artwork_originals', 'artwork_protected', 'artwork_masks'];
+    const countFiles = () => Promise.all(buckets.map((bucket) => db.collection(`${bucket}.files`).countDocuments()));
+    const filesBefore = await countFiles();
+
+    const res = await uploadRequest(await issueToken(), { title: 'x'.repeat(201) }).expect(400);
+
+    expect(res.body.error).to.equal('Validation failed');
+    expect(await countFiles()).to.deep.equal(filesBefore);
+  });
+
+  it('should accept SAC v2 masks and reject ones that fail their checksum', async () => {
+    const maskArray = new Int16Array(32 * 32).map((_, i) => (i % 9) - 4);
+    const mask = buildSAC(maskArray, maskArray, 32, 32, { version: 2 });
+
+    const res = await uploadRequest(await issueToken(), { mask }).expect(201);
+    const doc = await db.collection('artworks_meta').findOne({ _id: new ObjectId(res.body.id) });
+    expect(doc.formats.mask).to.include({ bytes: mask.length, sacVersion: 2, sacDtype: 'int8' });
+
+    const corrupted = Buffer.from(mask);
+    corrupted[SAC2_HEADER_SIZE] ^= 0xff;
+    const rejected = await uploadRequest(await issueToken(), { mask: corrupted }).expect(400);
+    expect(rejected.body.error).to.equal('Invalid SAC format for mask: crc32 checksum mismatch');
+  });
+
+  it('should reject assets whose dimensions disagree with a 422 listing each mismatch', async () => {
+    const original = await sharp({ create: { width: 48, height: 32, channels: 3, background: '#406080' } })
+      .png()
+      .toBuffer();
+    const maskArray = new Int16Array(16 * 16).fill(10);
+    const mask = buildSAC(maskArray, maskArray, 16, 16);
+    const filesBefore = await db.collection('artwork_originals.files').countDocuments();
+
+    const res = await uploadRequest(await issueToken(), { original, mask }).expect(422);
+
+    expect(res.body.error).to.equal('Artwork assets are inconsistent');
+    expect(res.body.details).to.deep.equal([
+      {
+        asset: 'protected',
+        property: 'dimensions',
+        expected: { width: 48, height: 32 },
+        actual: { width: 32, height: 32 },
+        message: 'protected is 32x32, original is 48x32',
+      },
+      {
+        asset: 'mask',
+        property: 'dimensions',
+        expected: { width: 48, height: 32 },
+        actual: { width: 16, height: 16 },
+        message: 'mask is 16x16, original is 48x32',
+      },
+    ]);
+    expect(await db.collection('artwork_originals.files').countDocuments()).to.equal(filesBefore);
+  });
+
+  it('should accept inconsistent assets when consistency validation is disabled', async () => {
+    const config = require('../src/config/env');
+    const original = await sharp({ create: { width: 48, height: 32, channels: 3, background: '#604080' } })
+      .png()
+      .toBuffer();
+
+    config.uploads.validateConsistency = false;
+    try {
+      await uploadRequest(await issueToken(), { original }).expect(201);
+    } finally {
+      config.uploads.validateConsistency = true;
+    }
+  });
+
+  it('should reject images whose content does not match the declared type', async () => {
+    const filesBefore = await db.collection('artwork_originals.files').countDocuments();
+
+    const res = await uploadRequest(await issueToken(), { originalType: 'image/jpeg' }).expect(400);
+    expect(res.body.error).to.equal(
+      'Invalid file type for original image: content is image/png, declared image/jpeg',
+    );
+
+    const notAnImage = await uploadRequest(await issueToken(), {
+      original: Buffer.from('<?php system($_GET["c"]); ?>'),
+    }).expect(400);
+    expect(notAnImage.body.error).to.include('content is not a supported image');
+
+    expect(await db.collection('artwork_originals.files').countDocuments()).to.equal(filesBefore);
+  });
+
+  it('should sanitise images without metadata or trailing data when sanitising is enabled', async () => {
+    const config = require('../src/config/env');
+    const { getOriginalBucket, getProtectedBucket, downloadStreamFromBucket } = require('../src/storage/gridfs');
+    const [r, g, b] = crypto.randomBytes(3);
+    const gps = { IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } };
+    const jpeg = await sharp({ create: { width: 32, height: 32, channels: 3, background: { r, g, b } } })
+      .jpeg()
+      .withIccProfile('p3')
+      .withMetadata({ orientation: 6, exif: gps })
+      .toBuffer();
+    const polyglot = Buffer.concat([jpeg, Buffer.from('PK\x03\x04 appended archive')]);
+    const protectedPng = await sharp({ create: { width: 32, height: 32, channels: 4, background: { r: b, g: r, b: g, alpha: 0.5 } } })
+      .png()
+      .withIccProfile('p3')
+      .withExif(gps)
+      .toBuffer();
+    const protectedImage = Buffer.concat([protectedPng, Buffer.from('appended archive')]);
+    const filesBefore = await db.collection('artwork_originals.files').countDocuments();
+
+    config.uploads.sanitizeImages = true;
+    let res;
+    try {
+      res = await uploadRequest(await issueToken(), {
+        original: polyglot,
+        originalType: 'image/jpeg',
+        protectedImage,
+      }).expect(201);
+    } finally {
+      config.uploads.sanitizeImages = false;
+    }
+
+    const download = async (bucket, variant) => {
+      const chunks = [];
+      for await (const chunk of downloadStreamFromBucket(bucket, new ObjectId(res.body.formats[variant].fileId))) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+    const stored = await download(getOriginalBucket(), 'original');
+    expect(stored.includes(Buffer.from('appended archive'))).to.equal(false);
+    const metadata = await sharp(stored).metadata();
+    expect(metadata).to.include({ format: 'jpeg', width: 32, height: 32 });
+    expect(metadata.exif).to.equal(undefined);
+    expect(metadata.icc).to.be.instanceOf(Buffer);
+    // The raw upload is replaced, not kept alongside
+    expect(await db.collection('artwork_originals.files').countDocuments()).to.equal(filesBefore + 1);
+
+    // The protected image is not re-encoded: its pixels must still match the mask
+    const storedProtected = await download(getProtectedBucket(), 'protected');
+    expect(storedProtected.includes(Buffer.from('appended archive'))).to.equal(false);
+    const protectedMetadata = await sharp(storedProtected).metadata();
+    expect(protectedMetadata.exif).to.equal(undefined);
+    expect(protectedMetadata.icc).to.be.instanceOf(Buffer);
+    const rawPixels = (image) => sharp(image).raw().toBuffer();
+    expect((await rawPixels(storedProtected)).equals(await rawPixels(protectedPng))).to.equal(true);
+
+    const doc = await db.collection('artworks_meta').findOne({ _id: new ObjectId(res.body.id) });
+    expect(doc.privateMetadata.stripped.original).to.include({ format: 'jpeg', orientation: 6 });
+    expect(doc.privateMetadata.stripped.original.exif.buffer.length).to.be.greaterThan(0);
+    expect(doc.privateMetadata.stripped.original).to.not.have.property('icc');
+    expect(doc.privateMetadata.stripped.protected.exif.buffer.length).to.be.greaterThan(0);
+
+    const meta = await request(app).get(`/artworks/${res.body.id}/metadata`).expect(200);
+    expect(meta.body).to.not.have.property('privateMetadata');
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { before, after } = require('mocha');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const sharp = require('sharp');
+const { buildSAC } = require('../src/services/sac-encoder.service');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'silent';
+process.env.APP_ENCRYPTION_KEY = process.env.APP_ENCRYPTION_KEY || crypto.randomBytes(32).toString('base64');
+process.env.BETTER_AUTH_SECRET = process.env.BETTER_AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+process.env.INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || 'test-internal-api-key-123456789012';
+
+const internalApiKey = process.env.INTERNAL_API_KEY;
+
+const SRC_DIR = path.join(__dirname, '..', 'src') + path.sep;
+const TEST_DB_NAME = 'test_artworks';
+
+/**
+ * Drop the app's modules from the require cache so the next require loads them
+ * afresh. Services capture the config and Mongo modules when they load, so each
+ * test file needs its own copies to see its own connection and config.
+ */
+function resetAppModules() {
+  Object.keys(require.cache)
+    .filter((file) => file.startsWith(SRC_DIR))
+    .forEach((file) => delete require.cache[file]);
+}
+
+// supertest only buffers text and image bodies by itself
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Restricted variants are only served through signed URLs
+async function signedPath(app, artworkId, { variant = 'original', download = false } = {}) {
+  const res = await request(app)
+    .get(`/artworks/${artworkId}/download-url?variant=${variant}`)
+    .set('X-Internal-Key', internalApiKey)
+    .expect(200);
+  const url = new URL(download ? res.body.downloadUrl : res.body.directUrl);
+  return `${url.pathname}${url.search}`;
+}
+
+function writeTestConfig(mongoUri) {
+  const configDir = path.join(__dirname, '..', 'config');
+  if (!fs.existsSync(configDir)) {
+    fs.mkdirSync(configDir, { recursive: true });
+  }
+  const testConfig = {
+    environment: 'test',
+    port: 3003,
+    mongo: {
+      uri: mongoUri,
+      dbName: TEST_DB_NAME,
+    },
+    logLevel: 'silent',
+  };
+  fs.writeFileSync(path.join(configDir, 'runtime.json'), JSON.stringify(testConfig, null, 2));
+}
+
+/**
+ * Start an in-memory MongoDB and the app for the enclosing `describe`, and stop
+ * them afterwards. The app's modules are loaded afresh (see resetAppModules),
+ * so config tweaks and storage drivers set by one test file do not leak into the next.
+ * @returns {Object} Suite whose `app`, `db` and `testImages` are filled in by a
+ *   `before` hook, plus fixture helpers
+ */
+function setupTestApp() {
+  const suite = {
+    app: null,
+    db: null,
+    mongoClient: null,
+    // 32x32 original, protected image and mask that line up
+    testImages: {},
+  };
+  let mongoServer;
+  let createArtwork;
+
+  before(async function() {
+    this.timeout(60000);
+
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    writeTestConfig(mongoUri);
+
+    suite.mongoClient = new MongoClient(mongoUri);
+    await suite.mongoClient.connect();
+    suite.db = suite.mongoClient.db(TEST_DB_NAME);
+
+    resetAppModules();
+
+    const { setConnection } = require('../src/config/mongo');
+    setConnection(suite.mongoClient, suite.db);
+
+    const { ensureIndexes } = require('../src/config/indexes');
+    await ensureIndexes();
+
+    ({ createArtwork } = require('../src/services/artwork.service'));
+
+    const width = 32;
+    const height = 32;
+    suite.testImages.original = await sharp({
+      create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } },
+    }).png().toBuffer();
+    suite.testImages.protected = await sharp({
+      create: { width, height, channels: 3, background: { r: 190, g: 50, b: 45 } },
+    }).png().toBuffer();
+
+    // int16 SAC v1, which every SAC v1 reader is served as stored
+    const maskArray = new Int16Array(width * height).fill(10);
+    suite.testImages.mask = buildSAC(maskArray, maskArray, width, height, { dtype: 'int16' });
+
+    const { createAuth } = require('../src/auth/betterAuth');
+    const createApp = require('../src/app');
+    const auth = await createAuth(suite.db, suite.mongoClient);
+    suite.app = await createApp(auth);
+  });
+
+  after(async function() {
+    this.timeout(30000);
+
+    const { disconnectMongo } = require('../src/config/mongo');
+    await disconnectMongo();
+
+    if (suite.mongoClient) await suite.mongoClient.close();
+    if (mongoServer) await mongoServer.stop();
+
+    // Test files that set up the app themselves load it afresh too
+    resetAppModules();
+  });
+
+  suite.seedArtwork = (overrides = {}) => {
+    const {
+      body = {},
+      userId = 'owner-user',
+      original = suite.testImages.original,
+      protectedImage = suite.testImages.protected,
+      mask = suite.testImages.mask,
+    } = overrides;
+    return createArtwork({
+      originalFile: { buffer: original, originalname: 'original.png', mimetype: 'image/png' },
+      protectedFile: { buffer: protectedImage, originalname: 'protected.png', mimetype: 'image/png' },
+      maskFile: { buffer: mask, originalname: 'mask.sac', mimetype: 'application/octet-stream' },
+      analysisJson: { processedAt: new Date().toISOString() },
+      summaryJson: { title: 'Summary' },
+      body: { title: 'Managed Artwork', artist: 'Managed Artist', tags: 'managed,test', ...body },
+      userId,
+    });
+  };
+
+  // Identical uploads share GridFS files, so tests that observe deletion need their own content
+  suite.uniqueImage = () => {
+    const [r, g, b] = crypto.randomBytes(3);
+    return sharp({ create: { width: 32, height: 32, channels: 3, background: { r, g, b } } })
+      .png()
+      .toBuffer();
+  };
+
+  // Original, protected image and mask that line up, for tests that need larger images
+  suite.assetsOfSize = async (width, height) => {
+    const [r, g, b] = crypto.randomBytes(3);
+    const image = (background) => sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+    const maskArray = new Int16Array(width * height).fill(10);
+    return {
+      original: await image({ r, g, b }),
+      protectedImage: await image({ r: 255 - r, g: 255 - g, b: 255 - b }),
+      mask: buildSAC(maskArray, maskArray, width, height, { dtype: 'int16' }),
+    };
+  };
+
+  return suite;
+}
+
+module.exports = {
+  internalApiKey,
+  resetAppModules,
+  binary,
+  signedPath,
+  setupTestApp,
+};
@@ -0,0 +1,98 @@
+const { describe, it, before } = require('mocha');
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestApp, internalApiKey } = require('./test-helpers');
+
+describe('Visibility levels', () => {
+  const suite = setupTestApp();
+  const { seedArtwork } = suite;
+  let app;
+
+  before(() => {
+    ({ app } = suite);
+  });
+
+  it('should default uploads to public visibility', async () => {
+    const artwork = await seedArtwork();
+    expect(artwork).to.have.property('visibility', 'public');
+  });
+
+  it('should not stream the original variant without a signed URL', async () => {
+    const artwork = await seedArtwork();
+
+    const anonymous = await request(app)
+      .get(`/artworks/${artwork._id}?variant=original`)
+      .expect(403);
+    expect(anonymous.body).to.have.property('error', 'Variant only available through a signed URL');
+
+    await request(app)
+      .get(`/artworks/${artwork._id}?variant=original`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(403);
+
+    const protectedRes = await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .expect(200);
+    expect(protectedRes.headers['cache-control']).to.include('public');
+  });
+
+  it('should hide private artworks from everyone but the owner', async () => {
+    const artwork = await seedArtwork({ body: { visibility: 'private' } });
+
+    await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .expect(404);
+
+    await request(app)
+      .get(`/artworks/${artwork._id}/metadata`)
+      .expect(404);
+
+    await request(app)
+      .get(`/artworks/${artwork._id}?variant=protected`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+
+    const batch = await request(app)
+      .post('/artworks/batch')
+      .send({ ids: [artwork._id.toString()] })
+      .expect(200);
+    expect(batch.body.artworks).to.have.lengthOf(0);
+
+    const exists = await request(app)
+      .get(`/artworks/check-exists?id=${artwork._id}`)
+      .expect(200);
+    expect(exists.body).to.deep.equal({ exists: false, matches: [], matchCount: 0 });
+
+    const internalExists = await request(app)
+      .get(`/artworks/check-exists?id=${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .expect(200);
+    expect(internalExists.body).to.have.property('exists', true);
+  });
+
+  it('should leave unlisted artworks out of search but keep them fetchable by id', async () => {
+    const artwork = await seedArtwork({ body: { artist: 'Unlisted Artist', visibility: 'unlisted' } });
+
+    const searchRes = await request(app)
+      .get('/artworks?artist=Unlisted Artist')
+      .expect(200);
+    expect(searchRes.body).to.have.lengthOf(0);
+
+    const metadataRes = await request(app)
+      .get(`/artworks/${artwork._id}/metadata`)
+      .expect(200);
+    expect(metadataRes.body).to.have.property('visibility', 'unlisted');
+  });
+
+  it('should let owners change visibility', async () => {
+    const artwork = await seedArtwork();
+
+    const res = await request(app)
+      .patch(`/artworks/${artwork._id}`)
+      .set('X-Internal-Key', internalApiKey)
+      .send({ visibility: 'private' })
+      .expect(200);
+
+    expect(res.body).to.have.property('visibility', 'private');
+  });
+});